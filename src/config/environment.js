@@ -1,5 +1,6 @@
 // src/config/environment.js
 require('dotenv').config();
+const path = require('path');
 
 // Required environment variables
 const requiredEnvVars = [
@@ -18,7 +19,8 @@ const optionalGroups = {
         vars: ['ELEVENLABS_API_KEY']
     },
     github: {
-        condition: true, // Prompt editing
+        // Prompt sync is optional, so only warn when it's partly configured
+        condition: Boolean(process.env.GITHUB_TOKEN || process.env.GITHUB_REPO_OWNER || process.env.GITHUB_REPO_NAME),
         vars: ['GITHUB_TOKEN', 'GITHUB_REPO_OWNER', 'GITHUB_REPO_NAME']
     },
     sms: {
@@ -45,6 +47,29 @@ Object.entries(optionalGroups).forEach(([groupName, group]) => {
     }
 });
 
+/**
+ * Reads a whole-number setting, falling back to its default (with a
+ * warning) when it isn't a whole number or is below the minimum.
+ *
+ * @param {String} name - Environment variable name
+ * @param {Number} defaultValue - Value used when unset or invalid
+ * @param {Number} min - Smallest allowed value
+ * @returns {Number} Setting value
+ */
+function readInteger(name, defaultValue, min) {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === '') {
+        return defaultValue;
+    }
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min) {
+        console.warn(`⚠️  ${name} must be a whole number of at least ${min}, got "${raw}". Using ${defaultValue}`);
+        return defaultValue;
+    }
+    return value;
+}
+
 // Export configuration
 module.exports = {
     // Server config
@@ -53,17 +78,47 @@ module.exports = {
     apiKey: process.env.API_KEY,
     defaultTimeZone: process.env.DEFAULT_TIMEZONE || 'UTC',
     adminPassword: process.env.ADMIN_PASSWORD,
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '../../data'),
+
+    // Languages the agent speaks; callers get the language of their country if it's listed
+    languages: {
+        default: (process.env.DEFAULT_LANGUAGE || 'en').trim(),
+        supported: (process.env.SUPPORTED_LANGUAGES || process.env.DEFAULT_LANGUAGE || 'en')
+            .split(',')
+            .map(language => language.trim())
+            .filter(Boolean)
+    },
+
+    // Business details used in the system prompt
+    business: {
+        name: process.env.BUSINESS_NAME || '',
+        description: process.env.BUSINESS_DESCRIPTION || ''
+    },
 
     // Calendly config
     calendly: {
         apiToken: process.env.CALENDLY_API_TOKEN,
         baseUrl: 'https://api.calendly.com',
-        userUuid: process.env.CALENDLY_USER_UUID
+        userUuid: process.env.CALENDLY_USER_UUID,
+        webhookSigningKey: process.env.CALENDLY_WEBHOOK_SIGNING_KEY,
+        availabilityHorizonDays: readInteger('AVAILABILITY_HORIZON_DAYS', 28, 1),
+        availabilityCacheTtlSeconds: readInteger('AVAILABILITY_CACHE_TTL_SECONDS', 120, 0),
+        timeoutMs: readInteger('CALENDLY_TIMEOUT_MS', 5000, 1),
+        maxRetries: readInteger('CALENDLY_MAX_RETRIES', 2, 0)
     },
 
     // Elevenlabs config
     elevenlabs: {
-        apiKey: process.env.ELEVENLABS_API_KEY
+        apiKey: process.env.ELEVENLABS_API_KEY,
+        // Shared secret for HMAC signatures on post-call webhooks
+        webhookSecret: process.env.ELEVENLABS_WEBHOOK_SECRET
+    },
+
+    // Per-call session state shared across tool calls
+    sessions: {
+        // 'memory' (lost on restart) or 'file' (kept in DATA_DIR)
+        store: process.env.SESSION_STORE || 'memory',
+        ttlMinutes: readInteger('SESSION_TTL_MINUTES', 120, 1)
     },
 
     // GitHub config
@@ -71,7 +126,9 @@ module.exports = {
         token: process.env.GITHUB_TOKEN,
         repoOwner: process.env.GITHUB_REPO_OWNER,
         repoName: process.env.GITHUB_REPO_NAME,
-        branch: process.env.GITHUB_BRANCH || 'master'
+        branch: process.env.GITHUB_BRANCH || 'master',
+        // Also commit saved prompts to the repository (when it's configured)
+        syncPrompts: process.env.PROMPT_GITHUB_SYNC !== 'false'
     },
 
     // Twilio SMS config
@@ -80,5 +137,10 @@ module.exports = {
         accountSid: process.env.TWILIO_ACCOUNT_SID,
         authToken: process.env.TWILIO_AUTH_TOKEN,
         phoneNumber: process.env.TWILIO_PHONE_NUMBER
+    },
+
+    // Prometheus metrics (/metrics is disabled without a token)
+    metrics: {
+        token: process.env.METRICS_TOKEN
     }
 };
\ No newline at end of file
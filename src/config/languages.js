@@ -0,0 +1,173 @@
+// src/config/languages.js
+const { parsePhoneNumber } = require('libphonenumber-js');
+const config = require('./environment');
+
+/**
+ * Languages the agent can speak.
+ *
+ * DEFAULT_LANGUAGE is the agent's main language and uses the usual system
+ * prompt (the active prompt version, or the tenant's own prompt). Other
+ * languages listed in SUPPORTED_LANGUAGES (e.g. "en,es,de") use their own
+ * prompt from config/prompts/locales and are added to the agent as
+ * ElevenLabs language presets. Callers are matched to a language by the
+ * country of their phone number.
+ */
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    locale: 'en-US',
+    firstMessage: "Hi there! I'm your Calendly booking assistant. How can I help you schedule an appointment today?",
+    prompt: null,
+    partials: {}
+  },
+  es: {
+    name: 'Spanish',
+    locale: 'es-ES',
+    ...require('./prompts/locales/es')
+  },
+  de: {
+    name: 'German',
+    locale: 'de-DE',
+    ...require('./prompts/locales/de')
+  }
+};
+
+// Main language spoken in each country (countries not listed use the default language)
+const COUNTRY_LANGUAGES = {
+  US: 'en', GB: 'en', CA: 'en', AU: 'en', NZ: 'en', IE: 'en', IN: 'en', ZA: 'en',
+  ES: 'es', MX: 'es', AR: 'es', CO: 'es', CL: 'es', PE: 'es', VE: 'es', EC: 'es',
+  GT: 'es', CU: 'es', BO: 'es', DO: 'es', HN: 'es', PY: 'es', SV: 'es', NI: 'es',
+  CR: 'es', PA: 'es', UY: 'es', PR: 'es',
+  DE: 'de', AT: 'de', CH: 'de', LI: 'de', LU: 'de'
+};
+
+/**
+ * Keeps only configured languages that exist in LANGUAGES.
+ *
+ * @returns {Object} { defaultLanguage, supported }
+ */
+function loadLanguageConfig() {
+  let defaultLanguage = config.languages.default;
+  if (!LANGUAGES[defaultLanguage]) {
+    console.warn(`⚠️  Unknown DEFAULT_LANGUAGE "${defaultLanguage}", using English`);
+    defaultLanguage = 'en';
+  }
+
+  const unknown = config.languages.supported.filter(language => !LANGUAGES[language]);
+  if (unknown.length > 0) {
+    console.warn(`⚠️  Ignoring unsupported languages: ${unknown.join(', ')} (available: ${Object.keys(LANGUAGES).join(', ')})`);
+  }
+
+  const supported = Array.from(new Set([
+    defaultLanguage,
+    ...config.languages.supported.filter(language => LANGUAGES[language])
+  ]));
+
+  return { defaultLanguage, supported };
+}
+
+const { defaultLanguage, supported } = loadLanguageConfig();
+
+/**
+ * Gets a language's settings.
+ *
+ * @param {String} language - Language code (e.g. "es")
+ * @returns {Object|null} { code, name, locale, firstMessage, prompt, partials }, or null if unknown
+ */
+function getLanguage(language) {
+  return LANGUAGES[language] ? { code: language, ...LANGUAGES[language] } : null;
+}
+
+/**
+ * Gets the agent's main language.
+ *
+ * @returns {String} Language code
+ */
+function getDefaultLanguage() {
+  return defaultLanguage;
+}
+
+/**
+ * Lists the languages the agent speaks, the default language first.
+ *
+ * @returns {Array} Language codes
+ */
+function getSupportedLanguages() {
+  return [...supported];
+}
+
+/**
+ * Builds the locale for a language as spoken in a country (e.g. "es-MX"),
+ * so dates follow local conventions, falling back to the language's own locale.
+ *
+ * @param {String} language - Language code
+ * @param {String} country - ISO country code (optional)
+ * @returns {String} BCP 47 locale
+ */
+function getLocale(language, country) {
+  const candidate = country ? `${language}-${country}` : null;
+  if (candidate && Intl.DateTimeFormat.supportedLocalesOf(candidate).length > 0) {
+    return candidate;
+  }
+  return LANGUAGES[language].locale;
+}
+
+/**
+ * Gets the country of a phone number.
+ *
+ * @param {String} phoneNumber - Phone number with country code (optional)
+ * @returns {String|null} ISO country code, or null if unknown
+ */
+function getCountry(phoneNumber) {
+  if (!phoneNumber) {
+    return null;
+  }
+  try {
+    return parsePhoneNumber(phoneNumber)?.country || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Detects the language and locale for a caller from the country of their
+ * phone number. Countries whose language the agent doesn't speak get the
+ * default language.
+ *
+ * @param {String} phoneNumber - Phone number with country code (optional)
+ * @returns {Object} { language, locale }
+ */
+function detectLanguage(phoneNumber) {
+  return resolveLanguage(null, phoneNumber);
+}
+
+/**
+ * Picks the language for a request: an explicitly requested supported
+ * language wins, otherwise it is detected from the caller's phone number.
+ * The locale follows the caller's country when it speaks that language (e.g. "es-MX").
+ *
+ * @param {String} requested - Requested language code (optional)
+ * @param {String} phoneNumber - Caller phone number (optional)
+ * @returns {Object} { language, locale }
+ */
+function resolveLanguage(requested, phoneNumber) {
+  const country = getCountry(phoneNumber);
+  const countryLanguage = COUNTRY_LANGUAGES[country];
+
+  let language = defaultLanguage;
+  if (requested && supported.includes(requested)) {
+    language = requested;
+  } else if (supported.includes(countryLanguage)) {
+    language = countryLanguage;
+  }
+
+  return { language, locale: getLocale(language, countryLanguage === language ? country : null) };
+}
+
+module.exports = {
+  getLanguage,
+  getDefaultLanguage,
+  getSupportedLanguages,
+  detectLanguage,
+  resolveLanguage
+};
@@ -0,0 +1,175 @@
+// src/config/schedule.js
+const timeUtils = require('../utils/time-utils');
+
+/**
+ * Working hours and named day periods used to search and describe availability.
+ *
+ * The defaults can be overridden with the SCHEDULE_CONFIG environment variable,
+ * a JSON object with a "default" schedule and optional per-event-type schedules
+ * keyed by Calendly event type URI. Times are "HH:MM" strings or whole hours:
+ *
+ * {
+ *   "default": {
+ *     "workingHours": { "start": "08:30", "end": 18 },
+ *     "periods": { "morning": { "start": 5, "end": 12 }, "lunchtime": { "start": "11:30", "end": "13:30" } }
+ *   },
+ *   "eventTypes": {
+ *     "https://api.calendly.com/event_types/...": { "workingHours": { "start": 9, "end": 21 } }
+ *   }
+ * }
+ *
+ * Per-event-type schedules inherit anything they don't set from the default.
+ * Periods may overlap; a slot counts towards every period it falls in.
+ */
+
+const DEFAULT_SCHEDULE = {
+  workingHours: { start: 9, end: 17 },
+  periods: {
+    morning: { start: 5, end: 12 },
+    afternoon: { start: 12, end: 17 },
+    evening: { start: 17, end: 21 }
+  }
+};
+
+/**
+ * Normalizes a raw schedule (hours or "HH:MM") into minute-based ranges.
+ *
+ * @param {Object} raw - Raw schedule with workingHours and periods
+ * @returns {Object} { workingHours: { start, end }, periods: [{ name, start, end }] }
+ */
+function normalizeSchedule(raw) {
+  const workingHours = {
+    start: timeUtils.parseTimeOfDay(raw.workingHours.start),
+    end: timeUtils.parseTimeOfDay(raw.workingHours.end)
+  };
+
+  if (workingHours.start >= workingHours.end) {
+    throw new Error('Schedule working hours must start before they end');
+  }
+
+  const periods = Object.entries(raw.periods).map(([name, range]) => {
+    const period = {
+      name,
+      start: timeUtils.parseTimeOfDay(range.start),
+      end: timeUtils.parseTimeOfDay(range.end)
+    };
+    if (period.start >= period.end) {
+      throw new Error(`Schedule period "${name}" must start before it ends`);
+    }
+    return period;
+  });
+
+  return { workingHours, periods };
+}
+
+/**
+ * Merges an event type's schedule over the default schedule.
+ *
+ * @param {Object} base - Default raw schedule
+ * @param {Object} override - Event type raw schedule
+ * @returns {Object} Merged raw schedule
+ */
+function mergeSchedule(base, override = {}) {
+  return {
+    workingHours: { ...base.workingHours, ...override.workingHours },
+    periods: override.periods || base.periods
+  };
+}
+
+/**
+ * Loads and validates the schedule configuration from the environment,
+ * falling back to the defaults if it is missing or invalid.
+ *
+ * @returns {Object} { defaultSchedule, eventTypeSchedules }
+ */
+function loadScheduleConfig() {
+  let raw = {};
+
+  if (process.env.SCHEDULE_CONFIG) {
+    try {
+      raw = JSON.parse(process.env.SCHEDULE_CONFIG);
+    } catch (error) {
+      console.warn(`⚠️  SCHEDULE_CONFIG is not valid JSON, using default schedule: ${error.message}`);
+    }
+  }
+
+  try {
+    const defaultRaw = mergeSchedule(DEFAULT_SCHEDULE, raw.default);
+    const eventTypeSchedules = {};
+
+    Object.entries(raw.eventTypes || {}).forEach(([eventTypeUrl, override]) => {
+      eventTypeSchedules[eventTypeUrl] = normalizeSchedule(mergeSchedule(defaultRaw, override));
+    });
+
+    return { defaultSchedule: normalizeSchedule(defaultRaw), eventTypeSchedules };
+  } catch (error) {
+    console.warn(`⚠️  Invalid SCHEDULE_CONFIG, using default schedule: ${error.message}`);
+    return { defaultSchedule: normalizeSchedule(DEFAULT_SCHEDULE), eventTypeSchedules: {} };
+  }
+}
+
+const { defaultSchedule, eventTypeSchedules } = loadScheduleConfig();
+
+/**
+ * Gets the schedule for an event type, or the default schedule.
+ *
+ * @param {String} eventTypeUrl - Calendly event type URI (optional)
+ * @returns {Object} { workingHours: { start, end }, periods: [{ name, start, end }] } in minutes
+ */
+function getSchedule(eventTypeUrl) {
+  return (eventTypeUrl && eventTypeSchedules[eventTypeUrl]) || defaultSchedule;
+}
+
+/**
+ * Lists the period names available for the given event types (all configured
+ * event types and the default schedule if none are given).
+ *
+ * @param {Array} eventTypeUrls - Calendly event type URIs (optional)
+ * @returns {Array} Unique period names, in configuration order
+ */
+function getPeriodNames(eventTypeUrls) {
+  const schedules = eventTypeUrls && eventTypeUrls.length > 0
+    ? eventTypeUrls.map(getSchedule)
+    : [defaultSchedule, ...Object.values(eventTypeSchedules)];
+
+  const names = [];
+  schedules.forEach(schedule => {
+    schedule.periods.forEach(period => {
+      if (!names.includes(period.name)) {
+        names.push(period.name);
+      }
+    });
+  });
+  return names;
+}
+
+/**
+ * Checks whether a period name exists in an event type's schedule.
+ *
+ * @param {String} period - Period name
+ * @param {String} eventTypeUrl - Calendly event type URI (optional)
+ * @returns {Boolean} Whether the period is valid
+ */
+function isValidPeriod(period, eventTypeUrl) {
+  return getSchedule(eventTypeUrl).periods.some(p => p.name === period);
+}
+
+/**
+ * Returns the names of the periods a local time of day falls in.
+ *
+ * @param {Number} minutes - Local time as minutes since midnight
+ * @param {Object} schedule - Schedule from getSchedule()
+ * @returns {Array} Period names
+ */
+function getPeriodsForTime(minutes, schedule) {
+  return schedule.periods
+    .filter(period => minutes >= period.start && minutes < period.end)
+    .map(period => period.name);
+}
+
+module.exports = {
+  getSchedule,
+  getPeriodNames,
+  isValidPeriod,
+  getPeriodsForTime
+};
@@ -0,0 +1,216 @@
+// src/config/tenants.js
+const fs = require('fs');
+const path = require('path');
+const config = require('./environment');
+const agentRegistry = require('../services/agentRegistry');
+const { normalizePhoneNumber } = require('../utils/phone-utils');
+
+/**
+ * Tenant registry for running several businesses on one server.
+ *
+ * Tenants are read from the JSON file named by TENANTS_FILE, or from the
+ * TENANTS_CONFIG environment variable, as an array of:
+ *
+ * {
+ *   "id": "acme-dental",
+ *   "name": "Acme Dental",
+ *   "business": { "name": "Acme Dental", "description": "Family dental practice in Oakland" },
+ *   "agentIds": ["agent_..."],
+ *   "calledNumbers": ["+14155550100"],
+ *   "calendly": { "apiToken": "..." },
+ *   "sms": { "phoneNumber": "+14155550100", "accountSid": "...", "authToken": "..." },
+ *   "promptFile": "prompts/acme-dental.md",
+ *   "eventTypes": ["https://api.calendly.com/event_types/..."],
+ *   "agentGreeting": "Hi, you've reached Acme Dental..."
+ * }
+ *
+ * Anything a tenant leaves out falls back to the server's own settings, and
+ * calls that match no tenant use the "default" tenant built from them.
+ * Relative promptFile paths are resolved from the tenants file's directory.
+ */
+
+const DEFAULT_TENANT_ID = 'default';
+
+/**
+ * Builds the default tenant from the server's own configuration.
+ *
+ * @returns {Object} Default tenant
+ */
+function buildDefaultTenant() {
+  return {
+    id: DEFAULT_TENANT_ID,
+    name: 'Default',
+    business: { ...config.business },
+    agentIds: [],
+    calledNumbers: [],
+    calendly: { apiToken: config.calendly.apiToken },
+    sms: {
+      phoneNumber: config.sms.phoneNumber,
+      accountSid: config.sms.accountSid,
+      authToken: config.sms.authToken
+    },
+    prompt: null,
+    eventTypes: [],
+    agentGreeting: null
+  };
+}
+
+/**
+ * Validates a raw tenant entry and fills in defaults.
+ *
+ * @param {Object} raw - Tenant entry from the configuration
+ * @param {String} baseDir - Directory relative promptFile paths resolve from
+ * @param {Object} defaultTenant - Default tenant to inherit settings from
+ * @returns {Object} Normalized tenant
+ */
+function normalizeTenant(raw, baseDir, defaultTenant) {
+  if (!raw.id || typeof raw.id !== 'string') {
+    throw new Error('Every tenant needs a string "id"');
+  }
+
+  let prompt = raw.prompt || null;
+  if (raw.promptFile) {
+    prompt = fs.readFileSync(path.resolve(baseDir, raw.promptFile), 'utf8');
+  }
+
+  return {
+    id: raw.id,
+    name: raw.name || raw.id,
+    business: { ...defaultTenant.business, name: raw.name || defaultTenant.business.name, ...raw.business },
+    agentIds: raw.agentIds || [],
+    calledNumbers: (raw.calledNumbers || []).map(number => normalizePhoneNumber(number) || number),
+    calendly: { ...defaultTenant.calendly, ...raw.calendly },
+    sms: { ...defaultTenant.sms, ...raw.sms },
+    prompt,
+    eventTypes: raw.eventTypes || [],
+    agentGreeting: raw.agentGreeting || null
+  };
+}
+
+/**
+ * Loads tenants from TENANTS_FILE or TENANTS_CONFIG. Invalid configuration
+ * is logged and leaves only the default tenant.
+ *
+ * @returns {Map} Tenants keyed by id
+ */
+function loadTenants() {
+  const defaultTenant = buildDefaultTenant();
+  const tenants = new Map([[DEFAULT_TENANT_ID, defaultTenant]]);
+
+  let raw = null;
+  let baseDir = process.cwd();
+
+  try {
+    if (process.env.TENANTS_FILE) {
+      const filePath = path.resolve(process.env.TENANTS_FILE);
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      baseDir = path.dirname(filePath);
+    } else if (process.env.TENANTS_CONFIG) {
+      raw = JSON.parse(process.env.TENANTS_CONFIG);
+    }
+
+    if (raw && !Array.isArray(raw)) {
+      throw new Error('tenant configuration must be a JSON array');
+    }
+
+    (raw || []).forEach(entry => {
+      const tenant = normalizeTenant(entry, baseDir, defaultTenant);
+      if (tenants.has(tenant.id) && tenant.id !== DEFAULT_TENANT_ID) {
+        throw new Error(`Duplicate tenant id "${tenant.id}"`);
+      }
+      tenants.set(tenant.id, tenant);
+    });
+  } catch (error) {
+    console.warn(`⚠️  Invalid tenant configuration, running single-tenant: ${error.message}`);
+    return new Map([[DEFAULT_TENANT_ID, defaultTenant]]);
+  }
+
+  if (tenants.size > 1) {
+    console.log(`Loaded ${tenants.size - 1} tenants`);
+  }
+  return tenants;
+}
+
+const tenants = loadTenants();
+
+/**
+ * Gets a tenant by id.
+ *
+ * @param {String} tenantId - Tenant id
+ * @returns {Object|null} Tenant, or null if unknown
+ */
+function getTenant(tenantId) {
+  return tenants.get(tenantId) || null;
+}
+
+/**
+ * Gets the default tenant built from the server's own settings.
+ *
+ * @returns {Object} Default tenant
+ */
+function getDefaultTenant() {
+  return tenants.get(DEFAULT_TENANT_ID);
+}
+
+/**
+ * Lists all tenants, including the default tenant.
+ *
+ * @returns {Array} Tenants
+ */
+function listTenants() {
+  return Array.from(tenants.values());
+}
+
+/**
+ * Finds the tenant for a call from its ElevenLabs agent id or the number
+ * that was dialled. Agent ids are checked first, including agents created
+ * for a tenant through create-agent.
+ *
+ * @param {Object} lookup - Call details
+ * @param {String} lookup.agentId - ElevenLabs agent id (optional)
+ * @param {String} lookup.calledNumber - Number the caller dialled (optional)
+ * @returns {Object|null} Matching tenant, or null if none matches
+ */
+function findTenant({ agentId, calledNumber } = {}) {
+  if (agentId) {
+    const configured = listTenants().find(tenant => tenant.agentIds.includes(agentId));
+    if (configured) {
+      return configured;
+    }
+
+    // Agents created for a tenant through create-agent (default-tenant agents
+    // fall through to the called number)
+    const registered = agentRegistry.getAgent(agentId)?.tenantId;
+    if (registered && registered !== DEFAULT_TENANT_ID && tenants.has(registered)) {
+      return tenants.get(registered);
+    }
+  }
+
+  const normalized = normalizePhoneNumber(calledNumber);
+  if (normalized) {
+    const byNumber = listTenants().find(tenant => tenant.calledNumbers.includes(normalized));
+    if (byNumber) {
+      return byNumber;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether any tenants are configured besides the default one.
+ *
+ * @returns {Boolean} Whether the server is running multi-tenant
+ */
+function isMultiTenant() {
+  return tenants.size > 1;
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  getTenant,
+  getDefaultTenant,
+  listTenants,
+  findTenant,
+  isMultiTenant
+};
@@ -3,6 +3,7 @@ const config = require('../config/environment');
 /**
  * Unified authentication middleware that supports API Key (X-API-Key header)
  * or Basic Auth (using the admin password).
+ * Sets req.auth to { method: 'api-key'|'basic', username }.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -13,6 +14,7 @@ const authenticateApiKey = (req, res, next) => {
   // Option 1: Check for API Key
   const apiKey = req.headers['x-api-key'];
   if (apiKey && apiKey === config.apiKey) {
+    req.auth = { method: 'api-key', username: null };
     return next();
   }
   
@@ -23,10 +25,11 @@ const authenticateApiKey = (req, res, next) => {
       // Parse Basic Auth credentials
       const base64Credentials = authHeader.split(' ')[1];
       const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
-      const [, password] = credentials.split(':');
+      const [username, password] = credentials.split(':');
       
       if (password === config.adminPassword) {
         console.log('Authentication successful via Basic Auth');
+        req.auth = { method: 'basic', username: username || null };
         return next();
       }
     } catch (error) {
@@ -74,7 +77,44 @@ const adminAuth = (req, res, next) => {
   return res.status(401).send('Authentication failed');
 };
 
+/**
+ * Middleware for admin API routes that expose call data or change how calls
+ * are handled. The API key is built into every agent tool's request headers,
+ * so these routes accept only Basic Auth with the admin password.
+ * Sets req.auth to { method: 'basic', username }.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const authenticateAdmin = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    try {
+      const base64Credentials = authHeader.split(' ')[1];
+      const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
+      const [username, password] = credentials.split(':');
+      
+      if (config.adminPassword && password === config.adminPassword) {
+        req.auth = { method: 'basic', username: username || null };
+        return next();
+      }
+    } catch (error) {
+      console.error('Error parsing Basic Auth:', error);
+    }
+  }
+  
+  console.log('Admin authentication failed - admin password required');
+  res.setHeader('WWW-Authenticate', 'Basic realm="Admin Access"');
+  return res.status(401).json({ 
+    error: 'Unauthorized', 
+    message: 'Admin password required' 
+  });
+};
+
 module.exports = {
   authenticateApiKey,
+  authenticateAdmin,
   adminAuth
 };
\ No newline at end of file
@@ -0,0 +1,61 @@
+// src/middleware/metrics.js
+const crypto = require('crypto');
+const config = require('../config/environment');
+const metrics = require('../services/metrics');
+
+/**
+ * Records each request's count and latency once the response is sent.
+ * Requests are labelled by the route pattern they matched (e.g.
+ * /api/admin/calls/:conversationId), so IDs in URLs don't create new series.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const trackRequestMetrics = (req, res, next) => {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    metrics.observeHttpRequest({
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  next();
+};
+
+/**
+ * Protects /metrics with its own bearer token (METRICS_TOKEN), so scrapers
+ * don't need the API key. The endpoint is disabled without a token.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const authenticateMetricsToken = (req, res, next) => {
+  const token = config.metrics.token;
+  if (!token) {
+    return res.status(404).json({ error: 'Metrics are not enabled' });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const received = Buffer.from(authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '');
+  const expected = Buffer.from(token);
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).json({ error: 'Unauthorized', message: 'Valid metrics token required' });
+  }
+
+  return next();
+};
+
+module.exports = {
+  trackRequestMetrics,
+  authenticateMetricsToken
+};
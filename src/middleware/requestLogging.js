@@ -0,0 +1,54 @@
+// src/middleware/requestLogging.js
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { runWithContext } = require('../utils/request-context');
+
+// Request IDs accepted from callers (e.g. a proxy's X-Request-Id); others are replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Gives each request an ID (the caller's X-Request-Id if it sent a usable
+ * one), returns it in the X-Request-Id header, and runs the rest of the
+ * request in a context that log lines and outbound API calls read it from.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = REQUEST_ID_PATTERN.test(incoming || '') ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  return runWithContext({ requestId: req.id, request: req, logFields: {} }, next);
+};
+
+/**
+ * Logs each request once its response has been sent, with its status and
+ * how long it took.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const logRequests = (req, res, next) => {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger[level]('Request completed', {
+      requestId: req.id,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  assignRequestId,
+  logRequests
+};
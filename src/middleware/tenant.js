@@ -0,0 +1,49 @@
+// src/middleware/tenant.js
+const tenants = require('../config/tenants');
+const { runWithContext } = require('../utils/request-context');
+
+/**
+ * Resolves the tenant for a request and runs the rest of the request in
+ * that tenant's context, so Calendly and Twilio calls use its credentials.
+ * 
+ * The tenant is taken from, in order:
+ * - an explicit tenant id (X-Tenant-Id header or tenantId in the body)
+ * - the ElevenLabs agent_id in the body
+ * - the called_number in the body
+ * Requests that match no tenant use the default tenant.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const resolveTenant = (req, res, next) => {
+  const body = req.body || {};
+  const tenantId = req.headers['x-tenant-id'] || body.tenantId;
+  
+  let tenant;
+  if (tenantId) {
+    tenant = tenants.getTenant(tenantId);
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown tenant: ${tenantId}`
+      });
+    }
+  } else {
+    tenant = tenants.findTenant({ agentId: body.agent_id, calledNumber: body.called_number });
+    if (!tenant) {
+      if (tenants.isMultiTenant() && (body.agent_id || body.called_number)) {
+        console.warn(`No tenant matches agent ${body.agent_id || '-'} / number ${body.called_number || '-'}, using default`);
+      }
+      tenant = tenants.getDefaultTenant();
+    }
+  }
+  
+  req.tenant = tenant;
+  return runWithContext({ tenant }, next);
+};
+
+module.exports = {
+  resolveTenant
+};
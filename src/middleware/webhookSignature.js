@@ -0,0 +1,145 @@
+// src/middleware/webhookSignature.js
+const crypto = require('crypto');
+const config = require('../config/environment');
+
+// Reject signatures older than this to limit replay attacks
+const SIGNATURE_TOLERANCE_SECONDS = 3 * 60;
+
+// ElevenLabs sends post-call webhooks after analysis, which can take a while
+const ELEVENLABS_SIGNATURE_TOLERANCE_SECONDS = 30 * 60;
+
+/**
+ * Parses a "t=...,v1=..." style signature header into its parts.
+ * 
+ * @param {String} header - Signature header value
+ * @returns {Object} Map of signature parts
+ */
+function parseSignatureHeader(header) {
+  return header.split(',').reduce((parts, part) => {
+    const [key, value] = part.split('=');
+    if (key && value) {
+      parts[key.trim()] = value.trim();
+    }
+    return parts;
+  }, {});
+}
+
+/**
+ * Compares two hex signatures in constant time.
+ * 
+ * @param {String} expected - Expected signature
+ * @param {String} received - Received signature
+ * @returns {Boolean} Whether the signatures match
+ */
+function signaturesMatch(expected, received) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(received, 'hex');
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Verifies the Calendly-Webhook-Signature header against the raw request body
+ * using the configured webhook signing key.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const verifyCalendlySignature = (req, res, next) => {
+  const signingKey = config.calendly.webhookSigningKey;
+  
+  if (!signingKey) {
+    console.error('Calendly webhook received but CALENDLY_WEBHOOK_SIGNING_KEY is not configured');
+    return res.status(500).json({
+      error: 'Webhook verification not configured'
+    });
+  }
+  
+  const header = req.headers['calendly-webhook-signature'];
+  if (!header || !req.rawBody) {
+    console.log('Calendly webhook rejected - missing signature');
+    return res.status(401).json({ error: 'Missing webhook signature' });
+  }
+  
+  const { t: timestamp, v1: signature } = parseSignatureHeader(header);
+  if (!timestamp || !signature) {
+    console.log('Calendly webhook rejected - malformed signature');
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+  if (isNaN(age) || age > SIGNATURE_TOLERANCE_SECONDS) {
+    console.log('Calendly webhook rejected - signature timestamp outside tolerance');
+    return res.status(401).json({ error: 'Expired webhook signature' });
+  }
+  
+  const expected = crypto
+    .createHmac('sha256', signingKey)
+    .update(`${timestamp}.${req.rawBody.toString('utf8')}`)
+    .digest('hex');
+  
+  if (!signaturesMatch(expected, signature)) {
+    console.log('Calendly webhook rejected - signature mismatch');
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  
+  return next();
+};
+
+/**
+ * Verifies the ElevenLabs-Signature header ("t=<timestamp>,v0=<hmac>") on
+ * post-call webhooks against the raw request body using the configured
+ * webhook secret.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+const verifyElevenlabsSignature = (req, res, next) => {
+  const secret = config.elevenlabs.webhookSecret;
+  
+  if (!secret) {
+    console.error('ElevenLabs webhook received but ELEVENLABS_WEBHOOK_SECRET is not configured');
+    return res.status(500).json({
+      error: 'Webhook verification not configured'
+    });
+  }
+  
+  const header = req.headers['elevenlabs-signature'];
+  if (!header || !req.rawBody) {
+    console.log('ElevenLabs webhook rejected - missing signature');
+    return res.status(401).json({ error: 'Missing webhook signature' });
+  }
+  
+  const { t: timestamp, v0: signature } = parseSignatureHeader(header);
+  if (!timestamp || !signature) {
+    console.log('ElevenLabs webhook rejected - malformed signature');
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+  if (isNaN(age) || age > ELEVENLABS_SIGNATURE_TOLERANCE_SECONDS) {
+    console.log('ElevenLabs webhook rejected - signature timestamp outside tolerance');
+    return res.status(401).json({ error: 'Expired webhook signature' });
+  }
+  
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${req.rawBody.toString('utf8')}`)
+    .digest('hex');
+  
+  if (!signaturesMatch(expected, signature)) {
+    console.log('ElevenLabs webhook rejected - signature mismatch');
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  
+  return next();
+};
+
+module.exports = {
+  verifyCalendlySignature,
+  verifyElevenlabsSignature
+};
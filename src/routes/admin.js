@@ -0,0 +1,528 @@
+// src/routes/admin.js
+const express = require('express');
+const router = express.Router();
+const availabilityCache = require('../services/availabilityCache');
+const tenants = require('../config/tenants');
+const experimentService = require('../services/experimentService');
+const sessionStore = require('../services/sessionStore');
+const conversationStore = require('../services/conversationStore');
+const funnelTracker = require('../services/funnelTracker');
+const smsTemplateService = require('../services/smsTemplateService');
+const { authenticateApiKey, authenticateAdmin } = require('../middleware/auth');
+const { redactPhoneNumber } = require('../utils/phone-utils');
+const { redactText } = require('../utils/redaction');
+
+/**
+ * Redacts the caller's number in a tool call's parameters.
+ * 
+ * @param {Object} toolCall - Tool call from the conversation store
+ * @returns {Object} Tool call
+ */
+function redactToolCall(toolCall) {
+  if (!toolCall.parameters) {
+    return toolCall;
+  }
+  const parameters = { ...toolCall.parameters };
+  ['callerNumber', 'phoneNumber'].forEach(key => {
+    if (parameters[key]) {
+      parameters[key] = redactPhoneNumber(parameters[key]);
+    }
+  });
+  return { ...toolCall, parameters };
+}
+
+/**
+ * Formats a stored conversation for the admin API with phone numbers redacted.
+ * The summary and transcript are free text where callers read out numbers
+ * and emails, so they go through redactText.
+ * 
+ * @param {Object} conversation - Conversation from the conversation store
+ * @param {Boolean} includeDetails - Whether to include the transcript and tool call details
+ * @returns {Object} Conversation
+ */
+function formatCall(conversation, includeDetails = false) {
+  const { transcript, toolCalls, callerNumber, calledNumber, summary, ...call } = conversation;
+  return {
+    ...call,
+    callerNumber: redactPhoneNumber(callerNumber),
+    calledNumber,
+    summary: redactText(summary),
+    ...(includeDetails
+      ? {
+          toolCalls: toolCalls.map(redactToolCall),
+          transcript: transcript.map(turn => ({ ...turn, message: redactText(turn.message) }))
+        }
+      : { toolCalls: toolCalls.map(toolCall => toolCall.name) })
+  };
+}
+
+/**
+ * Gets availability cache statistics (hits, misses, entries).
+ * 
+ * @route   GET /api/admin/cache/availability
+ * @desc    Get availability cache hit/miss statistics
+ * @access  Protected
+ */
+router.get('/cache/availability', authenticateApiKey, (req, res) => {
+  res.json({
+    success: true,
+    cache: availabilityCache.getStats()
+  });
+});
+
+/**
+ * Clears the availability cache.
+ * 
+ * @route   DELETE /api/admin/cache/availability
+ * @desc    Clear all cached availability
+ * @access  Protected
+ */
+router.delete('/cache/availability', authenticateApiKey, (req, res) => {
+  availabilityCache.clear();
+  console.log('Availability cache cleared');
+  res.json({
+    success: true,
+    message: 'Availability cache cleared'
+  });
+});
+
+/**
+ * Lists configured tenants without their credentials.
+ * 
+ * @route   GET /api/admin/tenants
+ * @desc    List tenants and how calls are routed to them
+ * @access  Protected
+ */
+router.get('/tenants', authenticateApiKey, (req, res) => {
+  res.json({
+    success: true,
+    tenants: tenants.listTenants().map(tenant => ({
+      id: tenant.id,
+      name: tenant.name,
+      agent_ids: tenant.agentIds,
+      called_numbers: tenant.calledNumbers,
+      sms_from: tenant.sms.phoneNumber || null,
+      event_types: tenant.eventTypes,
+      has_calendly_token: Boolean(tenant.calendly.apiToken),
+      has_custom_prompt: Boolean(tenant.prompt)
+    }))
+  });
+});
+
+/**
+ * Lists prompt experiments, newest first.
+ * 
+ * @route   GET /api/admin/experiments
+ * @desc    List prompt A/B experiments
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.get('/experiments', authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    experiments: experimentService.listExperiments()
+  });
+});
+
+/**
+ * Creates and starts a prompt experiment. Each call to a matching tenant is
+ * assigned one of the weighted variants. Variant prompts are validated like
+ * saved prompts; their warnings are returned with the experiment.
+ * 
+ * @route   POST /api/admin/experiments
+ * @desc    Start a prompt A/B experiment
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.post('/experiments', authenticateAdmin, async (req, res) => {
+  const { name, tenantId, variants } = req.body || {};
+  
+  if (tenantId && !tenants.getTenant(tenantId)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown tenant: ${tenantId}`
+    });
+  }
+  
+  const { experiment, warnings, error } = await experimentService.createExperiment({ name, tenantId, variants });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+  
+  res.status(201).json({
+    success: true,
+    experiment,
+    warnings
+  });
+});
+
+/**
+ * Stops, restarts or renames a prompt experiment.
+ * 
+ * @route   PATCH /api/admin/experiments/:id
+ * @desc    Update a prompt experiment's status or name
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.patch('/experiments/:id', authenticateAdmin, (req, res) => {
+  const { name, status } = req.body || {};
+  
+  if (status !== undefined && !['running', 'stopped'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'status must be "running" or "stopped"'
+    });
+  }
+  
+  const experiment = experimentService.updateExperiment(req.params.id, { name, status });
+  if (!experiment) {
+    return res.status(404).json({
+      success: false,
+      error: `Experiment not found: ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    experiment
+  });
+});
+
+/**
+ * Compares SMS-sent and booking rates between an experiment's variants.
+ * 
+ * @route   GET /api/admin/experiments/:id/report
+ * @desc    Get the results of a prompt experiment by variant
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.get('/experiments/:id/report', authenticateAdmin, (req, res) => {
+  const report = experimentService.getReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      error: `Experiment not found: ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    ...report
+  });
+});
+
+/**
+ * Lists recent call sessions: what each caller picked, the SMS sent, the
+ * appointments booked and the tools called.
+ * 
+ * @route   GET /api/admin/sessions?tenantId=&limit=50
+ * @desc    List call sessions, most recently active first
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.get('/sessions', authenticateAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || 50, 10) || 50, 500);
+  const sessions = sessionStore.listSessions({ tenantId: req.query.tenantId, limit });
+  
+  res.json({
+    success: true,
+    count: sessions.length,
+    sessions
+  });
+});
+
+/**
+ * Gets one call session by call SID or ElevenLabs conversation ID.
+ * 
+ * @route   GET /api/admin/sessions/:id
+ * @desc    Get a call session
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.get('/sessions/:id', authenticateAdmin, (req, res) => {
+  const session = sessionStore.getSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: `Session not found: ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    session
+  });
+});
+
+/**
+ * Searches calls stored from ElevenLabs post-call webhooks, newest first.
+ * Caller numbers are redacted in the results.
+ * 
+ * @route   GET /api/admin/calls?from=&to=&caller=&outcome=&tenantId=&limit=50
+ * @desc    Search calls by date, caller number (or its last digits) and outcome
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.get('/calls', authenticateAdmin, (req, res) => {
+  const { from, to, caller, outcome, tenantId } = req.query;
+  
+  if (outcome && !conversationStore.OUTCOMES.includes(outcome)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid outcome: ${outcome}`,
+      valid_outcomes: conversationStore.OUTCOMES
+    });
+  }
+  
+  if ([from, to].some(date => date && isNaN(new Date(date).getTime()))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date: use from and to as YYYY-MM-DD or ISO 8601 timestamps'
+    });
+  }
+  
+  const limit = Math.min(parseInt(req.query.limit || 50, 10) || 50, 500);
+  const calls = conversationStore.searchConversations({ from, to, caller, outcome, tenantId, limit });
+  
+  res.json({
+    success: true,
+    count: calls.length,
+    calls: calls.map(call => formatCall(call))
+  });
+});
+
+/**
+ * Gets one stored call with its transcript and tool calls.
+ * 
+ * @route   GET /api/admin/calls/:conversationId
+ * @desc    Get a call's transcript, tool calls and outcome
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.get('/calls/:conversationId', authenticateAdmin, (req, res) => {
+  const conversation = conversationStore.getConversation(req.params.conversationId);
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: `Call not found: ${req.params.conversationId}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    call: formatCall(conversation, true)
+  });
+});
+
+/**
+ * Reports the booking funnel: how many calls reached each stage, from call
+ * start to a confirmed booking, per day, event type and called number.
+ * 
+ * @route   GET /api/admin/funnel?from=&to=&tenantId=
+ * @desc    Get booking funnel counts and conversion rates per day
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.get('/funnel', authenticateAdmin, (req, res) => {
+  const { from, to, tenantId } = req.query;
+  
+  if ([from, to].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date: use from and to as YYYY-MM-DD'
+    });
+  }
+  
+  res.json({
+    success: true,
+    ...funnelTracker.getReport({ from, to, tenantId })
+  });
+});
+
+/**
+ * Lists the SMS templates for booking links, with the variables they can use.
+ * 
+ * @route   GET /api/admin/sms-templates
+ * @desc    List SMS templates
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.get('/sms-templates', authenticateAdmin, (req, res) => {
+  res.json({
+    success: true,
+    templates: smsTemplateService.listTemplates(),
+    variables: smsTemplateService.SMS_VARIABLES
+  });
+});
+
+/**
+ * Saves an SMS template, optionally limited to an event type, tenant and
+ * language. Each booking SMS uses the most specific template that matches.
+ * 
+ * @route   POST /api/admin/sms-templates
+ * @desc    Create an SMS template
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.post('/sms-templates', authenticateAdmin, (req, res) => {
+  const { name, body, eventTypeUrl, tenantId, language } = req.body || {};
+  
+  if (tenantId && !tenants.getTenant(tenantId)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown tenant: ${tenantId}`
+    });
+  }
+  
+  const { template, error } = smsTemplateService.createTemplate({ name, body, eventTypeUrl, tenantId, language });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+  
+  res.status(201).json({
+    success: true,
+    template
+  });
+});
+
+/**
+ * Renders an SMS template with sample values and counts the segments it is
+ * sent as. Previews a saved template (templateId), an unsaved body, or the
+ * template picked for an event type, tenant and language. variables
+ * override the sample values.
+ * 
+ * @route   POST /api/admin/sms-templates/preview
+ * @desc    Preview an SMS template and its segment count
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.post('/sms-templates/preview', authenticateAdmin, (req, res) => {
+  const { templateId, body, variables = {}, eventTypeUrl, tenantId, language } = req.body || {};
+  
+  if (typeof variables !== 'object' || Array.isArray(variables) || variables === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'variables must be an object'
+    });
+  }
+  
+  let template = null;
+  if (templateId) {
+    template = smsTemplateService.getTemplate(templateId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: `SMS template not found: ${templateId}`
+      });
+    }
+  } else if (!body) {
+    template = smsTemplateService.selectTemplate({ eventTypeUrl, tenantId, language });
+  }
+  
+  const { text, segments, error } = smsTemplateService.previewBody(template ? template.body : body, variables);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+  
+  res.json({
+    success: true,
+    template: template && { id: template.id, name: template.name },
+    text,
+    segments
+  });
+});
+
+/**
+ * Gets an SMS template.
+ * 
+ * @route   GET /api/admin/sms-templates/:id
+ * @desc    Get an SMS template
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.get('/sms-templates/:id', authenticateAdmin, (req, res) => {
+  const template = smsTemplateService.getTemplate(req.params.id);
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: `SMS template not found: ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    template
+  });
+});
+
+/**
+ * Changes an SMS template. Setting eventTypeUrl, tenantId or language to
+ * null makes it apply to all of them. The built-in template can't be changed.
+ * 
+ * @route   PATCH /api/admin/sms-templates/:id
+ * @desc    Update an SMS template
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.patch('/sms-templates/:id', authenticateAdmin, (req, res) => {
+  const { name, body, eventTypeUrl, tenantId, language } = req.body || {};
+  
+  if (tenantId && !tenants.getTenant(tenantId)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown tenant: ${tenantId}`
+    });
+  }
+  
+  if (smsTemplateService.getTemplate(req.params.id)?.builtIn) {
+    return res.status(400).json({
+      success: false,
+      error: 'The built-in template can\'t be changed; create a template to use instead'
+    });
+  }
+  
+  const result = smsTemplateService.updateTemplate(req.params.id, { name, body, eventTypeUrl, tenantId, language });
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      error: `SMS template not found: ${req.params.id}`
+    });
+  }
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      error: result.error
+    });
+  }
+  
+  res.json({
+    success: true,
+    template: result.template
+  });
+});
+
+/**
+ * Deletes an SMS template. Booking texts it was used for fall back to the
+ * next matching template.
+ * 
+ * @route   DELETE /api/admin/sms-templates/:id
+ * @desc    Delete an SMS template
+ * @access  Admin (Basic Auth with ADMIN_PASSWORD)
+ */
+router.delete('/sms-templates/:id', authenticateAdmin, (req, res) => {
+  if (smsTemplateService.getTemplate(req.params.id)?.builtIn) {
+    return res.status(400).json({
+      success: false,
+      error: 'The built-in template can\'t be deleted'
+    });
+  }
+  
+  if (!smsTemplateService.deleteTemplate(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: `SMS template not found: ${req.params.id}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: `Deleted SMS template ${req.params.id}`
+  });
+});
+
+module.exports = router;
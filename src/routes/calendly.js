@@ -1,10 +1,23 @@
 // src/routes/calendly.js
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const calendlyService = require('../services/calendlyService');
+const dateResolverService = require('../services/dateResolverService');
+const timeUtils = require('../utils/time-utils');
+const scheduleConfig = require('../config/schedule');
+const languages = require('../config/languages');
+const bookingEventStore = require('../services/bookingEventStore');
+const funnelTracker = require('../services/funnelTracker');
+const availabilityCache = require('../services/availabilityCache');
 const config = require('../config/environment');
+const tenants = require('../config/tenants');
 const { authenticateApiKey } = require('../middleware/auth');
+const { resolveTenant } = require('../middleware/tenant');
+const { verifyCalendlySignature } = require('../middleware/webhookSignature');
+const { CalendlyAuthError, getHttpStatus } = require('../utils/errors');
+
+// Calendly events this server stores
+const SUPPORTED_WEBHOOK_EVENTS = ['invitee.created', 'invitee.canceled'];
 
 /**
  * Gets all event types from Calendly using server's API token.
@@ -30,29 +43,29 @@ router.get('/events', authenticateApiKey, async (req, res) => {
       return res.json({ success: true, events });
     } catch (calendlyError) {
       // Handle specific Calendly API errors
-      if (calendlyError.response?.status === 401) {
+      if (calendlyError instanceof CalendlyAuthError) {
         return res.status(401).json({
           success: false,
           error: 'Calendly authentication failed',
           details: 'The configured Calendly API token is invalid'
         });
       } else {
-        return res.status(500).json({
+        return res.status(getHttpStatus(calendlyError)).json({
           success: false,
           error: 'Calendly API error',
-          message: calendlyError.response?.data?.message || calendlyError.message
+          message: calendlyError.message
         });
       }
     }
   } catch (error) {
     // Handle general errors
-    console.error('Error fetching event types:', error.response?.data || error);
+    console.error('Error fetching event types:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch event types',
       message: process.env.NODE_ENV === 'production' ?
         'An unexpected error occurred' :
-        (error.response?.data?.message || error.message)
+        error.message
     });
   }
 });
@@ -69,6 +82,8 @@ router.get('/availability/summary', authenticateApiKey, async (req, res) => {
     // Validate parameters
     const weekOffset = parseInt(req.query.weekOffset || 0, 10);
     const eventTypeUrl = req.query.eventTypeUrl;
+    const timeZone = timeUtils.resolveTimeZone(req.query.timeZone, req.query.callerNumber);
+    const { locale } = languages.resolveLanguage(req.query.language, req.query.callerNumber);
 
     if (!eventTypeUrl) {
       return res.status(400).json({
@@ -78,8 +93,8 @@ router.get('/availability/summary', authenticateApiKey, async (req, res) => {
     }
 
     // Get date range
-    const { startTime, endTime, readable } = calendlyService.getDateRange(weekOffset);
-    const currentTime = calendlyService.getCurrentTime();
+    const { startTime, endTime, readable } = calendlyService.getDateRange(weekOffset, null, timeZone, eventTypeUrl, locale);
+    const currentTime = calendlyService.getCurrentTime(timeZone, locale);
 
     // Get availability data
     const availabilityData = await calendlyService.getAvailabilityData(
@@ -89,12 +104,13 @@ router.get('/availability/summary', authenticateApiKey, async (req, res) => {
     );
 
     // Process data
-    const summary = calendlyService.processAvailabilityToSummary(availabilityData);
+    const summary = calendlyService.processAvailabilityToSummary(availabilityData, timeZone, eventTypeUrl, locale);
 
     // Send response
     res.json({
       success: true,
       current_time: currentTime,
+      time_zone: timeZone,
       event_type: eventTypeUrl,
       date_range: {
         start: startTime.toISOString(),
@@ -106,7 +122,7 @@ router.get('/availability/summary', authenticateApiKey, async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching availability summary:', error);
-    res.status(500).json({
+    res.status(getHttpStatus(error)).json({
       success: false,
       error: 'Failed to fetch availability summary',
       message: error.message
@@ -125,6 +141,8 @@ router.get('/availability/times', authenticateApiKey, async (req, res) => {
   try {
     // Validate parameters
     const { date, period = 'morning', eventTypeUrl } = req.query;
+    const timeZone = timeUtils.resolveTimeZone(req.query.timeZone, req.query.callerNumber);
+    const { locale } = languages.resolveLanguage(req.query.language, req.query.callerNumber);
 
     if (!date) {
       return res.status(400).json({
@@ -148,19 +166,20 @@ router.get('/availability/times', authenticateApiKey, async (req, res) => {
       });
     }
 
-    // Validate period
-    if (period !== 'morning' && period !== 'afternoon') {
+    // Validate period against the event type's configured periods
+    if (!scheduleConfig.isValidPeriod(period, eventTypeUrl)) {
+      const validPeriods = scheduleConfig.getSchedule(eventTypeUrl).periods.map(p => `"${p.name}"`);
       return res.status(400).json({
         success: false,
-        error: 'Invalid parameter: period. Valid values are "morning" or "afternoon"'
+        error: `Invalid parameter: period. Valid values are ${validPeriods.join(', ')}`
       });
     }
 
     // Get current time
-    const currentTime = calendlyService.getCurrentTime();
+    const currentTime = calendlyService.getCurrentTime(timeZone, locale);
 
     // Get date range for the specific date
-    const { startTime, endTime } = calendlyService.getDateRange(0, date);
+    const { startTime, endTime } = calendlyService.getDateRange(0, date, timeZone, eventTypeUrl);
 
     // Get availability data
     const availabilityData = await calendlyService.getAvailabilityData(
@@ -170,12 +189,13 @@ router.get('/availability/times', authenticateApiKey, async (req, res) => {
     );
 
     // Process time slots
-    const timeSlots = calendlyService.processTimeSlotsForPeriod(availabilityData, period);
+    const timeSlots = calendlyService.processTimeSlotsForPeriod(availabilityData, period, 30, timeZone, eventTypeUrl, locale);
 
     // Send response
     res.json({
       success: true,
       current_time: currentTime,
+      time_zone: timeZone,
       event_type: eventTypeUrl,
       date_range: {
         start: startTime.toISOString(),
@@ -185,7 +205,7 @@ router.get('/availability/times', authenticateApiKey, async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching availability times:', error);
-    res.status(500).json({
+    res.status(getHttpStatus(error)).json({
       success: false,
       error: 'Failed to fetch availability times',
       message: error.message
@@ -193,6 +213,93 @@ router.get('/availability/times', authenticateApiKey, async (req, res) => {
   }
 });
 
+/**
+ * Finds the earliest available time slots, searching forward week by week.
+ * 
+ * @route   GET /api/calendly/availability/next
+ * @desc    Get the earliest N slots, optionally filtered by weekday, period and time
+ * @access  Protected
+ */
+router.get('/availability/next', authenticateApiKey, async (req, res) => {
+  try {
+    const { filters, error } = calendlyService.parseNextAvailableFilters(req.query);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    const timeZone = timeUtils.resolveTimeZone(req.query.timeZone, req.query.callerNumber);
+    const { locale } = languages.resolveLanguage(req.query.language, req.query.callerNumber);
+    const slots = await calendlyService.findNextAvailable(filters, timeZone, locale);
+    
+    res.json({
+      success: true,
+      current_time: calendlyService.getCurrentTime(timeZone, locale),
+      time_zone: timeZone,
+      event_type: filters.eventTypeUrl,
+      horizon_days: filters.horizonDays,
+      availability: slots
+    });
+  } catch (error) {
+    console.error('Error finding next available slots:', error);
+    res.status(getHttpStatus(error)).json({
+      success: false,
+      error: 'Failed to find next available slots',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Resolves a spoken date phrase ("next Tuesday afternoon", "the 14th") into a
+ * concrete date or week range in the caller's time zone.
+ * 
+ * @route   GET /api/calendly/resolve-date
+ * @desc    Turn a natural-language date phrase into a date, weekOffset and period
+ * @access  Protected
+ */
+router.get('/resolve-date', authenticateApiKey, (req, res) => {
+  try {
+    const { phrase, eventTypeUrl } = req.query;
+    
+    if (!phrase) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: phrase'
+      });
+    }
+    
+    const timeZone = timeUtils.resolveTimeZone(req.query.timeZone, req.query.callerNumber);
+    const { locale } = languages.resolveLanguage(req.query.language, req.query.callerNumber);
+    const resolved = dateResolverService.resolveDate(phrase, { timeZone, eventTypeUrl, locale });
+    
+    if (!resolved) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not understand date phrase: ${phrase}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      current_time: calendlyService.getCurrentTime(timeZone, locale),
+      time_zone: timeZone,
+      phrase,
+      resolved
+    });
+  } catch (error) {
+    console.error('Error resolving date:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve date',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Gets all event types using a provided Calendly token.
  * Used for agent setup and configuration.
@@ -212,39 +319,177 @@ router.get('/events-with-token', authenticateApiKey, async (req, res) => {
       });
     }
 
-    // Create a temporary API client with the provided token
-    const tempClient = axios.create({
-      baseURL: 'https://api.calendly.com',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${calendlyToken}`
+    // Fetch with a temporary client using the provided token
+    const events = await calendlyService.getEventTypesWithToken(calendlyToken);
+
+    res.json({ success: true, events });
+  } catch (error) {
+    console.error('Error fetching event types with token:', error);
+    res.status(getHttpStatus(error)).json({
+      success: false,
+      error: 'Failed to fetch event types',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Builds the webhook callback URL for a tenant. Other tenants' subscriptions
+ * name their tenant so events are stored against the account that sent them.
+ * 
+ * @param {String} serverUrl - Public URL of this server
+ * @param {Object} tenant - Tenant subscribing
+ * @returns {String} Callback URL
+ */
+function getWebhookCallbackUrl(serverUrl, tenant) {
+  const callbackUrl = `${serverUrl.replace(/\/$/, '')}/api/calendly/webhooks`;
+  return tenant.id === tenants.DEFAULT_TENANT_ID
+    ? callbackUrl
+    : `${callbackUrl}?tenantId=${encodeURIComponent(tenant.id)}`;
+}
+
+/**
+ * Receives Calendly webhook events (invitee.created / invitee.canceled) and
+ * stores them so bookings can be matched back to caller numbers.
+ * Authenticated by the Calendly-Webhook-Signature header, not the API key.
+ * 
+ * @route   POST /api/calendly/webhooks
+ * @desc    Receive Calendly webhook events
+ * @access  Public - requires valid Calendly webhook signature
+ */
+router.post('/webhooks', verifyCalendlySignature, (req, res) => {
+  try {
+    const { event } = req.body;
+    
+    // Subscriptions without a tenant in their URL belong to the default tenant
+    const tenant = req.query.tenantId ? tenants.getTenant(req.query.tenantId) : tenants.getDefaultTenant();
+    if (!tenant) {
+      console.warn(`Calendly webhook for unknown tenant: ${req.query.tenantId}`);
+      return res.status(404).json({
+        received: false,
+        error: `Unknown tenant: ${req.query.tenantId}`
+      });
+    }
+    
+    if (!SUPPORTED_WEBHOOK_EVENTS.includes(event)) {
+      console.log(`Ignoring unsupported Calendly webhook event: ${event}`);
+      return res.json({ received: true, stored: false });
+    }
+    
+    const record = bookingEventStore.recordEvent(req.body, tenant.id);
+    console.log(`Stored Calendly ${event} event for ${record.eventUri}`);
+    
+    // The slot's availability has changed, so drop any cached copy of that day
+    availabilityCache.invalidateSlot(record.startTime, record.eventTypeUri);
+    
+    // Credit new bookings to the call they came from
+    if (event === 'invitee.created') {
+      const call = funnelTracker.recordBookingConfirmed(record);
+      if (call) {
+        console.log(`Booking ${record.eventUri} credited to call ${call.id}`);
       }
+    }
+    
+    res.json({ received: true, stored: true });
+  } catch (error) {
+    console.error('Error processing Calendly webhook:', error);
+    res.status(500).json({
+      received: false,
+      error: 'Failed to process webhook'
     });
+  }
+});
 
-    // Get the current user to find their UUID
-    const userResponse = await tempClient.get('/users/me');
-    const userUri = userResponse.data.resource.uri;
+/**
+ * Lists stored Calendly webhook events.
+ * 
+ * @route   GET /api/calendly/webhooks/events
+ * @desc    List received Calendly events, optionally filtered by event or phone number
+ * @access  Protected
+ */
+router.get('/webhooks/events', authenticateApiKey, (req, res) => {
+  const { event, since, phoneNumber } = req.query;
+  const limit = parseInt(req.query.limit || 100, 10);
+  
+  const events = phoneNumber
+    ? bookingEventStore.findByPhoneNumber(phoneNumber).slice(0, limit)
+    : bookingEventStore.getEvents({ event, since, limit });
+  
+  res.json({ success: true, events });
+});
 
-    // Get event types
-    const eventsResponse = await tempClient.get('/event_types', {
-      params: { user: userUri }
+/**
+ * Lists Calendly webhook subscriptions for the tenant's account.
+ * 
+ * @route   GET /api/calendly/webhooks/subscriptions
+ * @desc    List webhook subscriptions
+ * @access  Protected
+ */
+router.get('/webhooks/subscriptions', authenticateApiKey, resolveTenant, async (req, res) => {
+  try {
+    const subscriptions = await calendlyService.listWebhookSubscriptions();
+    res.json({ success: true, subscriptions });
+  } catch (error) {
+    console.error('Error listing webhook subscriptions:', error);
+    res.status(getHttpStatus(error)).json({
+      success: false,
+      error: 'Failed to list webhook subscriptions',
+      message: error.message
     });
+  }
+});
 
-    const events = eventsResponse.data.collection.map(event => ({
-      id: event.uri,
-      name: event.name,
-      duration: event.duration,
-      description: event.description_plain || '',
-      url: event.scheduling_url
-    }));
+/**
+ * Subscribes this server to the tenant's Calendly invitee events.
+ * 
+ * @route   POST /api/calendly/webhooks/subscriptions
+ * @desc    Create a webhook subscription pointing at this server
+ * @access  Protected
+ */
+router.post('/webhooks/subscriptions', authenticateApiKey, resolveTenant, async (req, res) => {
+  try {
+    const { serverUrl } = req.body;
+    
+    if (!serverUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: serverUrl'
+      });
+    }
+    
+    const subscription = await calendlyService.createWebhookSubscription(
+      getWebhookCallbackUrl(serverUrl, req.tenant),
+      SUPPORTED_WEBHOOK_EVENTS
+    );
+    
+    res.json({ success: true, subscription });
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error);
+    res.status(getHttpStatus(error)).json({
+      success: false,
+      error: 'Failed to create webhook subscription',
+      message: error.message
+    });
+  }
+});
 
-    res.json({ success: true, events });
+/**
+ * Deletes a Calendly webhook subscription.
+ * 
+ * @route   DELETE /api/calendly/webhooks/subscriptions/:id
+ * @desc    Delete a webhook subscription by UUID
+ * @access  Protected
+ */
+router.delete('/webhooks/subscriptions/:id', authenticateApiKey, resolveTenant, async (req, res) => {
+  try {
+    await calendlyService.deleteWebhookSubscription(req.params.id);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching event types with token:', error.response?.data || error);
-    res.status(500).json({
+    console.error('Error deleting webhook subscription:', error);
+    res.status(getHttpStatus(error)).json({
       success: false,
-      error: 'Failed to fetch event types',
-      message: error.response?.data?.message || error.message
+      error: 'Failed to delete webhook subscription',
+      message: error.message
     });
   }
 });
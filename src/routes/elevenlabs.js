@@ -2,42 +2,29 @@
 const express = require('express');
 const router = express.Router();
 const calendlyService = require('../services/calendlyService');
+const dateResolverService = require('../services/dateResolverService');
 const twilioService = require('../services/twilioService');
+const availabilityCache = require('../services/availabilityCache');
 const config = require('../config/environment');
 const agentBuilderService = require('../services/agentBuilderService');
+const agentRegistry = require('../services/agentRegistry');
+const agentPreviewService = require('../services/agentPreviewService');
+const promptService = require('../services/promptService');
+const experimentService = require('../services/experimentService');
+const sessionStore = require('../services/sessionStore');
+const conversationStore = require('../services/conversationStore');
+const funnelTracker = require('../services/funnelTracker');
+const metrics = require('../services/metrics');
 const timeUtils = require('../utils/time-utils');
+const scheduleConfig = require('../config/schedule');
+const languages = require('../config/languages');
 const { authenticateApiKey } = require('../middleware/auth');
-
-// Generic phone number redaction function for console output
-const redactPhoneForConsole = (text) => {
-  if (typeof text !== 'string') return text;
-  
-  return text
-    // UK international format: +447xxxxxxxxx -> +44XXXXXxxxx (show first 3, last 4)
-    .replace(/\+44(7\d)(\d{5})(\d{4})/g, '+44$1XXXXX$3')
-    // UK domestic format: 07xxxxxxxxx -> 07XXXXXxxxx (show first 2, last 4) 
-    .replace(/\b(07)(\d{5})(\d{4})\b/g, '$1XXXXX$3')
-    // US format: +1xxxxxxxxxx -> +1XXXXXXxxxx (show first 2, last 4)
-    .replace(/\+1(\d{3})(\d{4})(\d{4})/g, '+1$1XXXX$3')
-    // Other international: +xxxxxxxxxxxx -> +xxXXXXXXxxxx (show country code + 2, last 4)
-    .replace(/\+(\d{1,3})(\d{2})(\d{4,6})(\d{4})/g, '+$1$2XXXX$4')
-    // Generic long numbers that look like phone numbers (10+ digits)
-    .replace(/\b(\d{2})(\d{4,8})(\d{3,4})\b/g, '$1XXXX$3');
-};
-
-// Override console.log to redact phone numbers
-const originalConsoleLog = console.log;
-console.log = (...args) => {
-  const redactedArgs = args.map(arg => {
-    if (typeof arg === 'string') {
-      return redactPhoneForConsole(arg);
-    } else if (typeof arg === 'object' && arg !== null) {
-      return JSON.parse(redactPhoneForConsole(JSON.stringify(arg)));
-    }
-    return arg;
-  });
-  originalConsoleLog.apply(console, redactedArgs);
-};
+const { verifyElevenlabsSignature } = require('../middleware/webhookSignature');
+const { ValidationError, getHttpStatus } = require('../utils/errors');
+const { resolveTenant } = require('../middleware/tenant');
+const tenants = require('../config/tenants');
+const { runWithContext, addLogFields } = require('../utils/request-context');
+const logger = require('../utils/logger');
 
 /**
  * Handles Elevenlabs personalization webhook to provide context variables
@@ -82,6 +69,129 @@ router.post('/personalization', authenticateApiKey, (req, res) => {
   }
 });
 
+/**
+ * Gets what identifies the call a tool call was made from: the call SID and
+ * conversation ID sent with every tool, and the caller's number from the
+ * tool parameters.
+ * 
+ * @param {Object} req - Express request object
+ * @returns {Object} { callSid, conversationId, callerNumber }
+ */
+function getCallKeys(req) {
+  const parameters = req.body.parameters || req.body;
+  return {
+    callSid: req.body.call_sid || null,
+    conversationId: req.body.conversation_id || null,
+    callerNumber: parameters.callerNumber || parameters.phoneNumber || null
+  };
+}
+
+/**
+ * Gets the call details the booking funnel is tracked by.
+ * 
+ * @param {Object} req - Express request object
+ * @returns {Object} { callSid, conversationId, callerNumber, calledNumber, tenantId }
+ */
+function getFunnelKeys(req) {
+  return {
+    ...getCallKeys(req),
+    calledNumber: req.body.called_number || null,
+    tenantId: req.tenant?.id || null
+  };
+}
+
+// Funnel stage each tool marks when called
+const FUNNEL_STAGES = {
+  checkAvailability: 'availability_checked',
+  checkTimes: 'times_checked'
+};
+
+// Parameters each tool takes from what the caller already picked earlier in the call
+const SESSION_DEFAULTS = {
+  checkAvailability: ['eventTypeUrl'],
+  checkTimes: ['eventTypeUrl', 'date', 'period'],
+  findNextAvailable: ['eventTypeUrl'],
+  resolveDate: ['eventTypeUrl'],
+  sendBookingSMS: ['eventTypeUrl'],
+  bookAppointment: ['eventTypeUrl']
+};
+
+/**
+ * Fills in tool parameters the agent left out from the call's session: the
+ * event type, day and period picked earlier, and the caller's number.
+ * sendBookingSMS sends its parameters flat in the body rather than nested
+ * under parameters.
+ * 
+ * @param {Object} req - Express request object with callSession set
+ * @param {String} functionName - Tool being called
+ */
+function applySessionDefaults(req, functionName) {
+  const session = req.callSession;
+  const parameters = req.body.parameters || req.body;
+  if (!session) {
+    return;
+  }
+  
+  (SESSION_DEFAULTS[functionName] || []).forEach(name => {
+    if ((parameters[name] === undefined || parameters[name] === '') && session.state[name] !== null) {
+      parameters[name] = session.state[name];
+    }
+  });
+  
+  if (session.callerNumber) {
+    parameters.callerNumber = parameters.callerNumber || session.callerNumber;
+    if (functionName === 'sendBookingSMS' || functionName === 'bookAppointment') {
+      parameters.phoneNumber = parameters.phoneNumber || session.callerNumber;
+    }
+  }
+}
+
+/**
+ * Remembers what the caller picked in the call's session, if there is one.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} changes - Session state to set (see sessionStore.updateState)
+ */
+function rememberInSession(req, changes) {
+  if (req.callSession) {
+    sessionStore.updateState(req.callSession, changes);
+  }
+}
+
+/**
+ * Gets the locale to format dates and times in for a tool call: the call's
+ * language (sent with every tool) as spoken in the caller's country.
+ * 
+ * @param {Object} req - Express request object
+ * @param {String} callerNumber - Caller phone number (optional)
+ * @returns {String} Locale (e.g. "es-MX")
+ */
+function getCallLocale(req, callerNumber) {
+  return languages.resolveLanguage(req.body.language, callerNumber).locale;
+}
+
+/**
+ * Gets what picks and fills in the SMS template for a booking link: the
+ * event type's name, and the event type and language of the call.
+ * 
+ * @param {Object} req - Express request object
+ * @param {String} eventTypeUrl - Event type URI (optional)
+ * @param {String} phoneNumber - Caller phone number (optional)
+ * @returns {Promise<Object>} { eventName, options } - options for twilioService.sendBookingSMS
+ */
+async function getBookingSmsTemplate(req, eventTypeUrl, phoneNumber) {
+  const eventTypes = eventTypeUrl ? await promptService.getPromptEventTypes(req.tenant) : [];
+  const eventType = eventTypes.find(candidate => candidate.id === eventTypeUrl);
+  
+  return {
+    eventName: eventType?.name,
+    options: {
+      eventTypeUrl,
+      language: languages.resolveLanguage(req.body.language, phoneNumber).language
+    }
+  };
+}
+
 /**
  * Central handler for Elevenlabs function calls. Delegates to appropriate
  * handler function based on the function_name parameter.
@@ -90,11 +200,45 @@ router.post('/personalization', authenticateApiKey, (req, res) => {
  * @desc    Handle Elevenlabs function calls
  * @access  Protected
  */
-router.post('/function-handler', authenticateApiKey, async (req, res) => {
+router.post('/function-handler', authenticateApiKey, resolveTenant, async (req, res) => {
   try {
-    console.log('Function handler called with function:', req.body.function_name);
+    const { function_name } = req.body;
+    
+    // Tag the rest of the request's log lines with the call and tool
+    const { callSid, conversationId } = getCallKeys(req);
+    addLogFields({ functionName: function_name, callSid, conversationId });
+    logger.info(`Function handler called with function: ${function_name}`);
+    const startedAt = Date.now();
     
-    const { function_name, parameters } = req.body;
+    // Time every tool call (unknown names share one series)
+    res.on('finish', () => metrics.observeFunctionCall({
+      name: agentBuilderService.AGENT_TOOL_NAMES.includes(function_name) ? function_name : 'unknown',
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    }));
+    
+    // Load the call's session, fill in what the caller already picked, and record the tool call
+    const session = sessionStore.getOrCreateSession({ ...getCallKeys(req), tenantId: req.tenant.id });
+    if (session) {
+      req.callSession = session;
+      applySessionDefaults(req, function_name);
+      
+      res.on('finish', () => sessionStore.recordToolCall(session, {
+        name: function_name,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt
+      }));
+    }
+    
+    // Track tool usage for calls in a prompt experiment
+    experimentService.recordToolCall(getCallKeys(req), function_name);
+    
+    // Track how far the call gets in the booking funnel
+    if (FUNNEL_STAGES[function_name]) {
+      funnelTracker.recordStage(getFunnelKeys(req), FUNNEL_STAGES[function_name], {
+        eventTypeUrl: req.body.parameters?.eventTypeUrl
+      });
+    }
     
     // Handle different function calls
     switch (function_name) {
@@ -104,9 +248,27 @@ router.post('/function-handler', authenticateApiKey, async (req, res) => {
       case 'checkTimes':
         return handleCheckTimes(req, res);
       
+      case 'findNextAvailable':
+        return handleFindNextAvailable(req, res);
+      
+      case 'resolveDate':
+        return handleResolveDate(req, res);
+      
       case 'sendBookingSMS':
         return handleSendBookingSMS(req, res);
       
+      case 'bookAppointment':
+        return handleBookAppointment(req, res);
+      
+      case 'findMyBookings':
+        return handleFindMyBookings(req, res);
+      
+      case 'rescheduleBooking':
+        return handleRescheduleBooking(req, res);
+      
+      case 'cancelBooking':
+        return handleCancelBooking(req, res);
+      
       default:
         return res.status(400).json({
           success: false,
@@ -132,11 +294,15 @@ router.post('/function-handler', authenticateApiKey, async (req, res) => {
  */
 async function handleCheckAvailability(req, res) {
   try {
-    const { eventTypeUrl, weekOffset = 0 } = req.body.parameters;
+    const { eventTypeUrl, weekOffset = 0, callerNumber, timeZone } = req.body.parameters;
+    
+    // Work in the caller's local time zone and language
+    const zone = timeUtils.resolveTimeZone(timeZone, callerNumber);
+    const locale = getCallLocale(req, callerNumber);
     
     // Get date range
-    const { startTime, endTime, readable } = calendlyService.getDateRange(weekOffset);
-    const currentTime = calendlyService.getCurrentTime();
+    const { startTime, endTime, readable } = calendlyService.getDateRange(weekOffset, null, zone, eventTypeUrl, locale);
+    const currentTime = calendlyService.getCurrentTime(zone, locale);
 
     // Get availability data
     const availabilityData = await calendlyService.getAvailabilityData(
@@ -146,12 +312,14 @@ async function handleCheckAvailability(req, res) {
     );
     
     // Process data
-    const summary = calendlyService.processAvailabilityToSummary(availabilityData);
+    const summary = calendlyService.processAvailabilityToSummary(availabilityData, zone, eventTypeUrl, locale);
+    rememberInSession(req, { eventTypeUrl, weekOffset });
     
     // Format response for Elevenlabs
     res.json({
       success: true,
       current_time: currentTime,
+      time_zone: zone,
       event_type: eventTypeUrl,
       date_range: {
         start: startTime.toISOString(),
@@ -163,7 +331,7 @@ async function handleCheckAvailability(req, res) {
     });
   } catch (error) {
     console.error('Error checking availability:', error);
-    res.status(500).json({ 
+    res.status(getHttpStatus(error)).json({ 
       success: false, 
       error: 'Failed to check availability',
       message: error.message
@@ -172,15 +340,17 @@ async function handleCheckAvailability(req, res) {
 }
 
 /**
- * Retrieves specific time slots for a selected day and period (morning/afternoon).
+ * Retrieves specific time slots for a selected day and configured period
+ * (e.g. morning/afternoon/evening).
  * Used after a caller has selected a specific date from the availability summary.
+ * Days, periods and times are in the caller's time zone.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 async function handleCheckTimes(req, res) {
   try {
-    const { eventTypeUrl, date, period = 'morning' } = req.body.parameters;
+    const { eventTypeUrl, date, period = 'morning', callerNumber, timeZone } = req.body.parameters;
     
     // Validate inputs
     if (!date) {
@@ -197,11 +367,23 @@ async function handleCheckTimes(req, res) {
       });
     }
     
+    if (!scheduleConfig.isValidPeriod(period, eventTypeUrl)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid period: ${period}`,
+        valid_periods: scheduleConfig.getSchedule(eventTypeUrl).periods.map(p => p.name)
+      });
+    }
+    
+    // Work in the caller's local time zone and language
+    const zone = timeUtils.resolveTimeZone(timeZone, callerNumber);
+    const locale = getCallLocale(req, callerNumber);
+    
     // Get current time
-    const currentTime = calendlyService.getCurrentTime();
+    const currentTime = calendlyService.getCurrentTime(zone, locale);
     
     // Get date range for the specific date
-    const { startTime, endTime } = calendlyService.getDateRange(0, date);
+    const { startTime, endTime } = calendlyService.getDateRange(0, date, zone, eventTypeUrl);
     
     // Get availability data
     const availabilityData = await calendlyService.getAvailabilityData(
@@ -211,12 +393,14 @@ async function handleCheckTimes(req, res) {
     );
     
     // Process time slots
-    const timeSlots = calendlyService.processTimeSlotsForPeriod(availabilityData, period);
+    const timeSlots = calendlyService.processTimeSlotsForPeriod(availabilityData, period, 30, zone, eventTypeUrl, locale);
+    rememberInSession(req, { eventTypeUrl, date, period });
     
     // Send response
     res.json({
       success: true,
       current_time: currentTime,
+      time_zone: zone,
       event_type: eventTypeUrl,
       date: date,
       period: period,
@@ -224,7 +408,7 @@ async function handleCheckTimes(req, res) {
     });
   } catch (error) {
     console.error('Error checking times:', error);
-    res.status(500).json({ 
+    res.status(getHttpStatus(error)).json({ 
       success: false, 
       error: 'Failed to check times',
       message: error.message
@@ -232,6 +416,102 @@ async function handleCheckTimes(req, res) {
   }
 }
 
+/**
+ * Finds the earliest available slots so the agent can answer "what's your
+ * earliest opening?" without walking through weeks one at a time.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleFindNextAvailable(req, res) {
+  try {
+    const parameters = req.body.parameters || {};
+    const { filters, error } = calendlyService.parseNextAvailableFilters(parameters);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    // Work in the caller's local time zone and language
+    const zone = timeUtils.resolveTimeZone(parameters.timeZone, parameters.callerNumber);
+    const locale = getCallLocale(req, parameters.callerNumber);
+    const slots = await calendlyService.findNextAvailable(filters, zone, locale);
+    rememberInSession(req, { eventTypeUrl: filters.eventTypeUrl });
+    
+    res.json({
+      success: true,
+      current_time: calendlyService.getCurrentTime(zone, locale),
+      time_zone: zone,
+      event_type: filters.eventTypeUrl,
+      horizon_days: filters.horizonDays,
+      availability: slots
+    });
+  } catch (error) {
+    console.error('Error finding next available slots:', error);
+    res.status(getHttpStatus(error)).json({
+      success: false,
+      error: 'Failed to find next available slots',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Resolves the caller's spoken date ("next Tuesday afternoon") into the date,
+ * weekOffset and period that checkAvailability and checkTimes expect.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function handleResolveDate(req, res) {
+  try {
+    const { phrase, eventTypeUrl, callerNumber, timeZone } = req.body.parameters || {};
+    
+    if (!phrase) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: phrase'
+      });
+    }
+    
+    // Work in the caller's local time zone and language
+    const zone = timeUtils.resolveTimeZone(timeZone, callerNumber);
+    const locale = getCallLocale(req, callerNumber);
+    const resolved = dateResolverService.resolveDate(phrase, { timeZone: zone, eventTypeUrl, locale });
+    
+    if (!resolved) {
+      return res.json({
+        success: false,
+        error: `Could not understand "${phrase}". Make sure it is in English, or ask the caller for a specific day or date.`
+      });
+    }
+    
+    rememberInSession(req, {
+      date: resolved.type === 'date' ? resolved.date : null,
+      weekOffset: resolved.weekOffset,
+      period: resolved.period || undefined
+    });
+    
+    res.json({
+      success: true,
+      current_time: calendlyService.getCurrentTime(zone, locale),
+      time_zone: zone,
+      phrase,
+      resolved
+    });
+  } catch (error) {
+    console.error('Error resolving date:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve date',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Sends a booking confirmation SMS to the caller with scheduling details.
  * Extracts parameters from the request body and uses Twilio to send the message.
@@ -244,16 +524,16 @@ async function handleSendBookingSMS(req, res) {
   
   try {
     // Extract parameters from request body
-    let phoneNumber, name, eventTime, eventDuration, schedulingUrl;
+    let phoneNumber, name, eventTime, eventDuration, schedulingUrl, eventTypeUrl;
     
     if (req.body.parameters) {
       // Handle nested parameters structure
       console.log('Using nested parameters structure');
-      ({ phoneNumber, name, eventTime, eventDuration, schedulingUrl } = req.body.parameters);
+      ({ phoneNumber, name, eventTime, eventDuration, schedulingUrl, eventTypeUrl } = req.body.parameters);
     } else {
       // Handle flat parameters structure
       console.log('Using flat parameters structure');
-      ({ phoneNumber, name, eventTime, eventDuration, schedulingUrl } = req.body);
+      ({ phoneNumber, name, eventTime, eventDuration, schedulingUrl, eventTypeUrl } = req.body);
     }
     
     // Log extracted parameters for debugging
@@ -270,18 +550,47 @@ async function handleSendBookingSMS(req, res) {
       });
     }
     
+    // Don't text a link for a slot already booked on this call, or the same link twice
+    const session = req.callSession;
+    if (session && schedulingUrl) {
+      if (session.state.bookings.some(booking => booking.schedulingUrl === schedulingUrl)) {
+        return res.status(409).json({
+          success: false,
+          error: 'This time was already booked on this call, so no scheduling link is needed'
+        });
+      }
+      if (session.state.smsSent.some(sms => sms.schedulingUrl === schedulingUrl)) {
+        return res.json({
+          success: true,
+          already_sent: true,
+          message: 'This scheduling link was already sent by SMS on this call'
+        });
+      }
+    }
+    
     console.log(`Attempting to send SMS to: ${phoneNumber}`);
     
     // Send the SMS
     try {
+      // Tag the link so the booking Calendly reports back is credited to this call
+      const { eventName, options } = await getBookingSmsTemplate(req, eventTypeUrl, phoneNumber);
       const result = await twilioService.sendBookingSMS(phoneNumber, {
         name,
         eventTime,
         eventDuration,
-        schedulingUrl
-      });
+        eventName,
+        schedulingUrl: funnelTracker.trackLink(schedulingUrl, getCallKeys(req))
+      }, options);
       
       console.log('SMS sent successfully');
+      experimentService.recordOutcome(getCallKeys(req), 'sms_sent');
+      funnelTracker.recordStage(getFunnelKeys(req), 'sms_sent', { eventTypeUrl });
+      if (session) {
+        sessionStore.recordSmsSent(session, schedulingUrl);
+      }
+      
+      // The caller is likely to take this slot, so stop serving it from cache
+      availabilityCache.invalidateSchedulingUrl(schedulingUrl);
       
       res.json({
         success: true,
@@ -308,35 +617,370 @@ async function handleSendBookingSMS(req, res) {
   }
 }
 
+/**
+ * Books the selected slot directly in Calendly while the caller is still on
+ * the line. If direct booking is not possible (missing email or a Calendly
+ * error), falls back to texting the scheduling link like sendBookingSMS.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleBookAppointment(req, res) {
+  console.log('Processing direct booking request');
+  
+  try {
+    const {
+      eventTypeUrl,
+      startTime,
+      name,
+      email,
+      phoneNumber,
+      timeZone,
+      eventTime,
+      eventDuration,
+      schedulingUrl
+    } = req.body.parameters || {};
+    
+    // Validate inputs
+    if (!eventTypeUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: eventTypeUrl'
+      });
+    }
+    
+    if (!startTime || isNaN(new Date(startTime).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid parameter: startTime (use the slot timestamp from checkTimes)'
+      });
+    }
+    
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: name'
+      });
+    }
+    
+    // Booking the same slot twice on one call returns the earlier booking
+    const session = req.callSession;
+    const earlierBooking = session?.state.bookings.find(booking =>
+      booking.eventTypeUrl === eventTypeUrl &&
+      new Date(booking.startTime).getTime() === new Date(startTime).getTime()
+    );
+    if (earlierBooking) {
+      return res.json({
+        success: true,
+        booked: true,
+        already_booked: true,
+        message: 'This appointment was already booked on this call',
+        booking: { event_uri: earlierBooking.eventUri, start_time: earlierBooking.startTime }
+      });
+    }
+    
+    let bookingError;
+    
+    if (email) {
+      try {
+        const booking = await calendlyService.bookAppointment(eventTypeUrl, startTime, {
+          name,
+          email,
+          timezone: timeUtils.resolveTimeZone(timeZone, phoneNumber),
+          phoneNumber
+        });
+        
+        experimentService.recordOutcome(getCallKeys(req), 'booked');
+        funnelTracker.recordStage(getFunnelKeys(req), 'booking_confirmed', { eventTypeUrl });
+        if (session) {
+          sessionStore.recordBooking(session, { eventTypeUrl, startTime, schedulingUrl, eventUri: booking.event_uri });
+        }
+        
+        return res.json({
+          success: true,
+          booked: true,
+          message: 'Appointment booked successfully',
+          booking
+        });
+      } catch (error) {
+        console.error('Direct booking failed, falling back to SMS link:', error.message);
+        bookingError = error.message;
+      }
+    } else {
+      bookingError = 'No email address provided';
+    }
+    
+    // Fall back to the SMS link flow
+    if (!phoneNumber || !schedulingUrl) {
+      return res.status(500).json({
+        success: false,
+        booked: false,
+        error: 'Failed to book appointment',
+        message: bookingError
+      });
+    }
+    
+    try {
+      const { eventName, options } = await getBookingSmsTemplate(req, eventTypeUrl, phoneNumber);
+      const result = await twilioService.sendBookingSMS(phoneNumber, {
+        name,
+        eventTime: eventTime || startTime,
+        eventDuration,
+        eventName,
+        schedulingUrl: funnelTracker.trackLink(schedulingUrl, getCallKeys(req))
+      }, options);
+      availabilityCache.invalidateSchedulingUrl(schedulingUrl);
+      experimentService.recordOutcome(getCallKeys(req), 'sms_sent');
+      funnelTracker.recordStage(getFunnelKeys(req), 'sms_sent', { eventTypeUrl });
+      if (session) {
+        sessionStore.recordSmsSent(session, schedulingUrl);
+      }
+      
+      res.json({
+        success: true,
+        booked: false,
+        fallback: 'sms',
+        message: 'Could not book directly, so a scheduling link was sent by SMS. The caller must open it to confirm.',
+        reason: bookingError,
+        details: result
+      });
+    } catch (twilioError) {
+      console.error('Fallback SMS failed:', twilioError);
+      res.status(500).json({
+        success: false,
+        booked: false,
+        error: 'Failed to book appointment and failed to send scheduling link',
+        message: `${bookingError}; ${twilioError.message}`
+      });
+    }
+  } catch (error) {
+    console.error('Error in booking handler:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to book appointment',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Formats a booking's start time for the caller, in their local time zone.
+ * SMS texts are in English, so the locale defaults to en-US.
+ * 
+ * @param {Object} booking - Booking returned by calendlyService.findBookingsByPhoneNumber
+ * @param {String} callerNumber - Caller phone number for time zone detection
+ * @param {String} locale - Locale to format in (default: 'en-US')
+ * @returns {String} Readable event time, e.g. "Tuesday, May 13, 2025 at 2:30 PM"
+ */
+function formatBookingTime(booking, callerNumber, locale = 'en-US') {
+  const { date, time } = timeUtils.formatDateTime(new Date(booking.start_time), callerNumber, locale);
+  return locale.startsWith('en') ? `${date} at ${time}` : `${date}, ${time}`;
+}
+
+/**
+ * Looks up one of the caller's upcoming bookings by event URI. Ensures callers
+ * can only act on bookings made with their own phone number.
+ * 
+ * @param {String} callerNumber - Caller phone number
+ * @param {String} eventUri - Scheduled event URI
+ * @returns {Promise<Object|null>} The booking, or null if not found
+ */
+async function findCallerBooking(callerNumber, eventUri) {
+  const bookings = await calendlyService.findBookingsByPhoneNumber(callerNumber);
+  return bookings.find(booking => booking.event_uri === eventUri) || null;
+}
+
+/**
+ * Lists the caller's upcoming bookings, matched by their phone number.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleFindMyBookings(req, res) {
+  try {
+    const { callerNumber } = req.body.parameters || {};
+    
+    if (!callerNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: callerNumber'
+      });
+    }
+    
+    const bookings = await calendlyService.findBookingsByPhoneNumber(callerNumber);
+    const locale = getCallLocale(req, callerNumber);
+    
+    res.json({
+      success: true,
+      count: bookings.length,
+      bookings: bookings.map(booking => ({
+        event_uri: booking.event_uri,
+        name: booking.name,
+        invitee_name: booking.invitee_name,
+        start_time: booking.start_time,
+        event_time: formatBookingTime(booking, callerNumber, locale)
+      }))
+    });
+  } catch (error) {
+    console.error('Error finding bookings:', error);
+    res.status(getHttpStatus(error)).json({
+      success: false,
+      error: 'Failed to find bookings',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Texts the caller Calendly's reschedule link for one of their bookings.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleRescheduleBooking(req, res) {
+  try {
+    const { callerNumber, eventUri } = req.body.parameters || {};
+    
+    if (!callerNumber || !eventUri) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: callerNumber and eventUri'
+      });
+    }
+    
+    const booking = await findCallerBooking(callerNumber, eventUri);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'No upcoming booking found for this caller with that event'
+      });
+    }
+    
+    const result = await twilioService.sendManageBookingSMS(callerNumber, {
+      action: 'reschedule',
+      name: booking.invitee_name,
+      eventTime: formatBookingTime(booking, callerNumber),
+      url: booking.reschedule_url
+    });
+    
+    res.json({
+      success: true,
+      message: 'Reschedule link sent by SMS. The caller picks the new time from the link.',
+      event_time: formatBookingTime(booking, callerNumber, getCallLocale(req, callerNumber)),
+      details: result
+    });
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    res.status(getHttpStatus(error)).json({
+      success: false,
+      error: 'Failed to send reschedule link',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Cancels one of the caller's bookings in Calendly. If the cancellation API
+ * call fails, texts the caller Calendly's cancel link instead.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleCancelBooking(req, res) {
+  try {
+    const { callerNumber, eventUri, reason } = req.body.parameters || {};
+    
+    if (!callerNumber || !eventUri) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameters: callerNumber and eventUri'
+      });
+    }
+    
+    const booking = await findCallerBooking(callerNumber, eventUri);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'No upcoming booking found for this caller with that event'
+      });
+    }
+    
+    // Read back in the call's language; the SMS is in English
+    const eventTime = formatBookingTime(booking, callerNumber, getCallLocale(req, callerNumber));
+    
+    try {
+      await calendlyService.cancelBooking(booking.event_uri, reason);
+      availabilityCache.invalidateSlot(booking.start_time);
+      
+      return res.json({
+        success: true,
+        cancelled: true,
+        message: 'Booking cancelled',
+        event_time: eventTime
+      });
+    } catch (cancelError) {
+      console.error('Direct cancellation failed, sending cancel link:', cancelError.message);
+    }
+    
+    const result = await twilioService.sendManageBookingSMS(callerNumber, {
+      action: 'cancel',
+      name: booking.invitee_name,
+      eventTime: formatBookingTime(booking, callerNumber),
+      url: booking.cancel_url
+    });
+    
+    res.json({
+      success: true,
+      cancelled: false,
+      fallback: 'sms',
+      message: 'Could not cancel directly, so a cancellation link was sent by SMS.',
+      event_time: eventTime,
+      details: result
+    });
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    res.status(getHttpStatus(error)).json({
+      success: false,
+      error: 'Failed to cancel booking',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Handles Twilio call personalization by providing dynamic context for
- * incoming calls. Detects caller's time zone, formats date/time, and
- * provides context variables to the agent.
+ * incoming calls. Detects caller's time zone and language, formats date/time
+ * in their locale, and provides context variables to the agent. Callers in
+ * another supported language get that language's prompt and first message.
  * 
  * @route   POST /api/elevenlabs/twilio-personalization
  * @desc    Handle Twilio call personalization webhook
  * @access  Protected
  */
-router.post('/twilio-personalization', authenticateApiKey, (req, res) => {
+router.post('/twilio-personalization', authenticateApiKey, resolveTenant, async (req, res) => {
   try {
     console.log('Processing Twilio personalization webhook');
     
     // Extract Twilio-specific parameters
     const { caller_id, agent_id, called_number, call_sid } = req.body;
+    addLogFields({ callSid: call_sid, agentId: agent_id });
     
     // Log the incoming call details
-    console.log(`Incoming call from ${caller_id} to ${called_number} (Agent: ${agent_id}, Call SID: ${call_sid})`);
+    console.log(`Incoming call from ${caller_id} to ${called_number} (Agent: ${agent_id}, Call SID: ${call_sid}, Tenant: ${req.tenant.id})`);
     
     // Get the current date and time with time zone detection
     const now = new Date();
     
+    // Detect the caller's language and locale from their country
+    const { language, locale } = languages.detectLanguage(caller_id);
+    
     // Use time zone detection from phone number
-    const formattedDateTime = timeUtils.formatDateTime(now, caller_id);
+    const formattedDateTime = timeUtils.formatDateTime(now, caller_id, locale);
     const currentDate = formattedDateTime.date;
     const currentTime = formattedDateTime.time;
     
-    // Log detected time zone for debugging
-    console.log(`Using time zone: ${formattedDateTime.timeZone} for caller ${caller_id}`);
+    // Log detected time zone and language for debugging
+    console.log(`Using time zone: ${formattedDateTime.timeZone} and locale: ${locale} for caller ${caller_id}`);
     
     // Format the caller's phone number for display if available
     let callerInfo = "";
@@ -346,14 +990,53 @@ router.post('/twilio-personalization', authenticateApiKey, (req, res) => {
       callerInfo = `from caller ending in ${lastFourDigits}`;
     }
     
-    // Import the system prompt
-    const systemPrompt = require('../config/prompts/systemPrompt');
+    // Start the call's booking funnel
+    funnelTracker.recordStage({
+      callSid: call_sid,
+      callerNumber: caller_id,
+      calledNumber: called_number,
+      tenantId: req.tenant.id
+    }, 'call_started');
     
-    // Replace placeholder variables in the system prompt
-    let customizedPrompt = systemPrompt
-      .replace(/{{current_date}}/g, currentDate)
-      .replace(/{{current_time}}/g, currentTime)
-      .replace(/{{caller_number}}/g, caller_id || "");
+    // Put the call into the running prompt experiment, if there is one. Experiment
+    // prompts are written in the default language, so other languages are left out.
+    const isDefaultLanguage = language === languages.getDefaultLanguage();
+    const assignment = isDefaultLanguage
+      ? experimentService.assignVariant({
+        tenant: req.tenant,
+        callSid: call_sid,
+        callerNumber: caller_id
+      })
+      : null;
+    if (assignment) {
+      console.log(`Call assigned to variant "${assignment.variant}" of experiment ${assignment.experimentId}`);
+    }
+    
+    // Render the variant's prompt, or the tenant's (or the shared one, or the language's own),
+    // with live event types, hours and call details
+    const { prompt: customizedPrompt, context: promptContext } = await promptService.renderSystemPrompt({
+      tenant: req.tenant,
+      callerNumber: caller_id,
+      language,
+      now,
+      template: assignment?.prompt
+    });
+    
+    // Open the call's session so tool calls can share what the caller picks
+    sessionStore.startSession({
+      callSid: call_sid,
+      tenantId: req.tenant.id,
+      agentId: agent_id,
+      callerNumber: caller_id,
+      calledNumber: called_number,
+      language,
+      experiment: assignment ? { id: assignment.experimentId, variant: assignment.variant } : null
+    });
+    
+    // The agent's own first message is in the default language; other languages get theirs
+    const agentOverride = isDefaultLanguage
+      ? {}
+      : { language, first_message: languages.getLanguage(language).firstMessage };
     
     // Return the personalization data
     res.json({
@@ -362,11 +1045,15 @@ router.post('/twilio-personalization', authenticateApiKey, (req, res) => {
         current_date: currentDate,
         current_time: currentTime,
         caller_number: caller_id || "",
-        caller_info: callerInfo
+        caller_info: callerInfo,
+        business_name: promptContext.business_name,
+        // Sent back with every tool call so dates are read back in this language
+        language
       },
       // Optional overrides for the agent configuration
       conversation_config_override: {
         agent: {
+          ...agentOverride,
           // Use the full system prompt with replaced variables
           prompt: {
             prompt: customizedPrompt
@@ -383,6 +1070,60 @@ router.post('/twilio-personalization', authenticateApiKey, (req, res) => {
   }
 });
 
+/**
+ * Receives ElevenLabs post-call webhooks and stores each conversation's
+ * transcript, duration, tool calls and outcome. Authenticated by the
+ * ElevenLabs-Signature HMAC instead of the API key. Only transcription
+ * webhooks are stored; others (such as audio) are acknowledged and ignored.
+ * 
+ * @route   POST /api/elevenlabs/post-call
+ * @desc    Store a finished conversation
+ * @access  Signed webhook
+ */
+router.post('/post-call', verifyElevenlabsSignature, (req, res) => {
+  try {
+    const { type, data } = req.body || {};
+    
+    if (type !== 'post_call_transcription') {
+      return res.json({
+        success: true,
+        ignored: true,
+        message: `Ignoring ${type || 'unknown'} webhook`
+      });
+    }
+    
+    if (!data?.conversation_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing conversation_id'
+      });
+    }
+    
+    addLogFields({ conversationId: data.conversation_id, agentId: data.agent_id });
+    
+    const tenant = tenants.findTenant({
+      agentId: data.agent_id,
+      calledNumber: data.metadata?.phone_call?.agent_number
+    }) || tenants.getDefaultTenant();
+    
+    const conversation = conversationStore.recordConversation(data, { tenantId: tenant.id });
+    console.log(`Stored conversation ${conversation.conversationId} (tenant: ${tenant.id}): ${conversation.durationSeconds ?? '?'}s, ${conversation.toolCalls.length} tool calls, outcome ${conversation.outcome}`);
+    
+    res.json({
+      success: true,
+      conversation_id: conversation.conversationId,
+      outcome: conversation.outcome
+    });
+  } catch (error) {
+    console.error('Error storing post-call webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store conversation',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Generates an appropriate greeting based on the time of day.
  * 
@@ -405,19 +1146,29 @@ function getGreetingByTimeOfDay(dateTime) {
  * Creates and uploads an Elevenlabs voice agent with the provided configuration.
  * Connects the agent to Calendly events and configures webhooks.
  * 
+ * Creation is two-step: send preview: true to get the generated configuration
+ * (secrets masked) and a confirmationToken, then send the same settings with
+ * that token to upload it. With preview: true and an agentId, the preview also
+ * includes a diff against that agent's live configuration.
+ * 
  * @route   POST /api/elevenlabs/create-agent
  * @desc    Creates and uploads an Elevenlabs agent
  * @access  Protected - requires API key
  */
-router.post('/create-agent', authenticateApiKey, async (req, res) => {
+router.post('/create-agent', authenticateApiKey, resolveTenant, async (req, res) => {
   try {
     const { 
       agentName, 
-      serverUrl, 
-      eventTypes,
-      agentGreeting  
+      serverUrl,
+      preview,
+      agentId,
+      confirmationToken
     } = req.body;
     
+    // Fall back to the tenant's configured event types and greeting
+    const eventTypes = req.body.eventTypes?.length ? req.body.eventTypes : req.tenant.eventTypes;
+    const agentGreeting = req.body.agentGreeting || req.tenant.agentGreeting || undefined;
+    
     // Use API keys from environment variables
     const elevenlabsApiKey = config.elevenlabs.apiKey;
     const serverApiKey = config.apiKey; // Always use server's own API key
@@ -449,6 +1200,7 @@ router.post('/create-agent', authenticateApiKey, async (req, res) => {
     console.log('Creating agent with the following parameters:', {
       agentName,
       serverUrl,
+      tenant: req.tenant.id,
       eventTypesCount: eventTypes.length
     });
     
@@ -461,6 +1213,21 @@ router.post('/create-agent', authenticateApiKey, async (req, res) => {
       agentGreeting 
     });
     
+    // Preview mode: show what would be sent, and how it differs from an existing agent
+    if (preview) {
+      return sendAgentPreview(res, agentConfig, agentId || null);
+    }
+    
+    // Only upload exactly the configuration that was previewed (with the same agent to compare against)
+    const { confirmed, reason } = agentPreviewService.confirmPreview(confirmationToken, agentConfig, agentId || null);
+    if (!confirmed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Agent configuration not confirmed',
+        message: reason
+      });
+    }
+    
     console.log('Agent configuration created, uploading to Elevenlabs');
     
     // Upload to Elevenlabs
@@ -472,19 +1239,31 @@ router.post('/create-agent', authenticateApiKey, async (req, res) => {
       
       console.log('Agent successfully uploaded to Elevenlabs');
       
+      // Remember the agent and its settings so it can be updated or deleted later,
+      // and so its calls are routed to the tenant it was created for
+      agentRegistry.recordAgent({
+        agentId: elevenlabsResponse.agent_id,
+        agentName: agentConfig.name,
+        serverUrl,
+        eventTypes,
+        agentGreeting: agentConfig.conversation_config.agent.first_message,
+        tenantId: req.tenant.id
+      });
+      
       // Return the successful response
       res.json({
         success: true,
         message: 'Agent created successfully in Elevenlabs',
         agent_id: elevenlabsResponse.agent_id,
         agent_url: `https://elevenlabs.io/app/conversational-ai/agents/${elevenlabsResponse.agent_id}`,
+        tenant_id: req.tenant.id,
         details: elevenlabsResponse
       });
     } catch (elevenlabsError) {
       // Handle Elevenlabs API errors with specific details
       console.error('Elevenlabs API error:', elevenlabsError);
       
-      if (elevenlabsError.response?.status === 401) {
+      if (elevenlabsError.status === 401) {
         return res.status(401).json({
           success: false,
           error: 'Elevenlabs authentication failed',
@@ -496,11 +1275,19 @@ router.post('/create-agent', authenticateApiKey, async (req, res) => {
           error: 'Elevenlabs API error',
           message: process.env.NODE_ENV === 'production' ? 
             'Failed to create agent in Elevenlabs' : 
-            (elevenlabsError.response?.data?.detail || elevenlabsError.message)
+            elevenlabsError.message
         });
       }
     }
   } catch (error) {
+    // Settings the Calendly account can't satisfy, e.g. an unknown event type
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     // Handle general errors
     console.error('Error creating agent:', error);
     res.status(500).json({ 
@@ -513,4 +1300,222 @@ router.post('/create-agent', authenticateApiKey, async (req, res) => {
   }
 });
 
+/**
+ * Responds with a preview of a generated agent configuration, with secrets
+ * masked and, for an existing agent, a diff against its live configuration.
+ * 
+ * @param {Object} res - Express response object
+ * @param {Object} agentConfig - Configuration from createAgentConfig
+ * @param {String} agentId - Existing agent to compare against (optional)
+ */
+async function sendAgentPreview(res, agentConfig, agentId) {
+  try {
+    const liveConfig = agentId
+      ? await agentBuilderService.getElevenlabsAgent(agentId, config.elevenlabs.apiKey)
+      : null;
+    
+    res.json({
+      success: true,
+      preview: true,
+      agent_id: agentId,
+      ...agentPreviewService.createPreview(agentConfig, { agentId, liveConfig })
+    });
+  } catch (error) {
+    console.error('Error previewing agent:', error);
+    sendElevenlabsError(res, error, 'Failed to fetch the existing agent to compare against');
+  }
+}
+
+/**
+ * Sends an error response for a failed ElevenLabs API call, passing through
+ * authentication failures and missing agents.
+ * 
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error from agentBuilderService
+ * @param {String} message - Summary of what failed
+ */
+function sendElevenlabsError(res, error, message) {
+  if (error.status === 401) {
+    return res.status(401).json({
+      success: false,
+      error: 'Elevenlabs authentication failed',
+      details: 'The Elevenlabs API key is invalid or has insufficient permissions'
+    });
+  }
+  
+  res.status(error.status === 404 ? 404 : 500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+/**
+ * Lists ElevenLabs agents, marking the ones this server created. With
+ * source=server, lists only the agents this server created, with the
+ * settings they were built from.
+ * 
+ * @route   GET /api/elevenlabs/agents
+ * @desc    List agents in the ElevenLabs account or created by this server
+ * @access  Protected - requires API key
+ */
+router.get('/agents', authenticateApiKey, async (req, res) => {
+  try {
+    if (req.query.source === 'server') {
+      return res.json({ success: true, agents: agentRegistry.listAgents() });
+    }
+    
+    if (!config.elevenlabs.apiKey) {
+      return res.status(500).json({
+        success: false,
+        error: 'Elevenlabs API key not configured',
+        details: 'Please set the ELEVENLABS_API_KEY environment variable'
+      });
+    }
+    
+    const { search, cursor } = req.query;
+    const result = await agentBuilderService.listElevenlabsAgents(config.elevenlabs.apiKey, { search, cursor });
+    
+    res.json({
+      success: true,
+      agents: (result.agents || []).map(agent => ({
+        ...agent,
+        created_by_server: Boolean(agentRegistry.getAgent(agent.agent_id))
+      })),
+      next_cursor: result.next_cursor || null,
+      has_more: Boolean(result.has_more)
+    });
+  } catch (error) {
+    console.error('Error listing agents:', error);
+    sendElevenlabsError(res, error, 'Failed to list agents');
+  }
+});
+
+/**
+ * Gets an ElevenLabs agent's full configuration.
+ * 
+ * @route   GET /api/elevenlabs/agents/:agentId
+ * @desc    Get one agent, with this server's record of it if it created it
+ * @access  Protected - requires API key
+ */
+router.get('/agents/:agentId', authenticateApiKey, async (req, res) => {
+  try {
+    const agent = await agentBuilderService.getElevenlabsAgent(req.params.agentId, config.elevenlabs.apiKey);
+    
+    res.json({
+      success: true,
+      agent,
+      server_record: agentRegistry.getAgent(req.params.agentId)
+    });
+  } catch (error) {
+    console.error('Error fetching agent:', error);
+    sendElevenlabsError(res, error, 'Failed to fetch agent');
+  }
+});
+
+/**
+ * Regenerates an agent's configuration with createAgentConfig and applies it
+ * to the existing agent. Settings left out of the body keep the values this
+ * server last built the agent with. Send preview: true first to get the
+ * masked configuration, a diff against the live agent and the
+ * confirmationToken required to apply it.
+ * 
+ * @route   PATCH /api/elevenlabs/agents/:agentId
+ * @desc    Update an existing agent's name, server URL, greeting or event types
+ * @access  Protected - requires API key
+ */
+router.patch('/agents/:agentId', authenticateApiKey, async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const previous = agentRegistry.getAgent(agentId) || {};
+    
+    const agentName = req.body.agentName || previous.agentName;
+    const serverUrl = req.body.serverUrl || previous.serverUrl;
+    const eventTypes = req.body.eventTypes?.length ? req.body.eventTypes : previous.eventTypes;
+    const agentGreeting = req.body.agentGreeting || previous.agentGreeting;
+    
+    if (!serverUrl || !eventTypes?.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'serverUrl and eventTypes are required for agents this server did not create'
+      });
+    }
+    
+    // Look up event types with the Calendly account of the tenant the agent belongs to
+    const tenant = tenants.getTenant(previous.tenantId) || tenants.getDefaultTenant();
+    const agentConfig = await runWithContext({ tenant }, () => agentBuilderService.createAgentConfig({
+      agentName,
+      serverUrl,
+      serverApiKey: config.apiKey,
+      eventTypes,
+      agentGreeting
+    }));
+    
+    if (req.body.preview) {
+      return sendAgentPreview(res, agentConfig, agentId);
+    }
+    
+    const { confirmed, reason } = agentPreviewService.confirmPreview(req.body.confirmationToken, agentConfig, agentId);
+    if (!confirmed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Agent configuration not confirmed',
+        message: reason
+      });
+    }
+    
+    const agent = await agentBuilderService.updateAgentInElevenlabs(agentId, agentConfig, config.elevenlabs.apiKey);
+    
+    const record = agentRegistry.recordAgent({
+      agentId,
+      agentName: agentConfig.name,
+      serverUrl,
+      eventTypes,
+      agentGreeting: agentConfig.conversation_config.agent.first_message,
+      tenantId: tenant.id
+    });
+    
+    console.log(`Updated Elevenlabs agent ${agentId}`);
+    
+    res.json({
+      success: true,
+      message: 'Agent updated successfully in Elevenlabs',
+      agent_id: agentId,
+      agent_url: `https://elevenlabs.io/app/conversational-ai/agents/${agentId}`,
+      server_record: record,
+      details: agent
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    console.error('Error updating agent:', error);
+    sendElevenlabsError(res, error, 'Failed to update agent');
+  }
+});
+
+/**
+ * Deletes an ElevenLabs agent and forgets it.
+ * 
+ * @route   DELETE /api/elevenlabs/agents/:agentId
+ * @desc    Delete an agent
+ * @access  Protected - requires API key
+ */
+router.delete('/agents/:agentId', authenticateApiKey, async (req, res) => {
+  try {
+    await agentBuilderService.deleteElevenlabsAgent(req.params.agentId, config.elevenlabs.apiKey);
+    agentRegistry.removeAgent(req.params.agentId);
+    
+    console.log(`Deleted Elevenlabs agent ${req.params.agentId}`);
+    res.json({ success: true, agent_id: req.params.agentId });
+  } catch (error) {
+    console.error('Error deleting agent:', error);
+    sendElevenlabsError(res, error, 'Failed to delete agent');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,11 +2,13 @@
 const express = require('express');
 const router = express.Router();
 const twilioService = require('../services/twilioService');
+const availabilityCache = require('../services/availabilityCache');
 const config = require('../config/environment');
 const { authenticateApiKey } = require('../middleware/auth');
 
 /**
- * Sends a booking confirmation SMS with appointment details.
+ * Sends a booking confirmation SMS with appointment details. eventTypeUrl
+ * and language (optional) pick the SMS template.
  * 
  * @route   POST /api/notifications/sms
  * @desc    Send booking confirmation SMS
@@ -14,7 +16,7 @@ const { authenticateApiKey } = require('../middleware/auth');
  */
 router.post('/sms', authenticateApiKey, async (req, res) => {
   try {
-    const { phoneNumber, bookingDetails } = req.body;
+    const { phoneNumber, bookingDetails, eventTypeUrl, language } = req.body;
     
     // Validate phone number
     if (!phoneNumber || !twilioService.isValidPhoneNumber(phoneNumber)) {
@@ -35,7 +37,8 @@ router.post('/sms', authenticateApiKey, async (req, res) => {
     }
     
     // Send SMS
-    const result = await twilioService.sendBookingSMS(phoneNumber, bookingDetails);
+    const result = await twilioService.sendBookingSMS(phoneNumber, bookingDetails, { eventTypeUrl, language });
+    availabilityCache.invalidateSchedulingUrl(bookingDetails.schedulingUrl);
     
     res.json(result);
   } catch (error) {
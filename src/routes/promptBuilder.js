@@ -1,143 +1,340 @@
 // src/routes/promptBuilder.js
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const promptStore = require('../services/promptStore');
+const githubService = require('../services/githubService');
+const promptValidator = require('../services/promptValidator');
+const agentBuilderService = require('../services/agentBuilderService');
+const languages = require('../config/languages');
 const config = require('../config/environment');
 const { authenticateApiKey } = require('../middleware/auth');
 
 /**
- * Updates the system prompt in the GitHub repository.
- * Uses GitHub API to commit changes to the systemPrompt.js file.
- * 
+ * Works out who is saving a prompt: the author given in the request, else
+ * the Basic Auth username, else the authentication method.
+ *
+ * @param {Object} req - Express request object
+ * @returns {String} Author
+ */
+function getAuthor(req) {
+  return req.body?.author || req.auth?.username || req.auth?.method || 'unknown';
+}
+
+/**
+ * Parses a version number from a request.
+ *
+ * @param {*} value - Raw value
+ * @returns {Number|null} Version number, or null if it isn't a non-negative integer
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(version) && version >= 0 ? version : null;
+}
+
+/**
+ * Gets the tool names to check a prompt against: the live tools of the given
+ * ElevenLabs agent, or the tools the agent builder creates.
+ *
+ * @param {String} agentId - ElevenLabs agent ID (optional)
+ * @returns {Promise<Array>} Tool names
+ */
+async function getToolNames(agentId) {
+  if (!agentId) {
+    return agentBuilderService.AGENT_TOOL_NAMES;
+  }
+
+  const agent = await agentBuilderService.getElevenlabsAgent(agentId, config.elevenlabs.apiKey);
+  const tools = agent.conversation_config?.agent?.prompt?.tools || [];
+  return tools.map(tool => tool.name);
+}
+
+/**
+ * Commits a newly active prompt to GitHub when sync is enabled. A failed
+ * sync is reported but doesn't undo the local save.
+ *
+ * @param {Object} version - Version from the prompt store
+ * @returns {Promise<Object>} { synced, commit?, error? }
+ */
+async function syncToGithub(version) {
+  if (!githubService.isPromptSyncEnabled()) {
+    return { synced: false, reason: 'GitHub sync is not enabled' };
+  }
+
+  try {
+    const commit = await githubService.commitSystemPrompt(
+      version.prompt,
+      version.message || 'Update system prompt via Prompt Builder'
+    );
+    return { synced: true, commit };
+  } catch (error) {
+    return { synced: false, error: error.message };
+  }
+}
+
+/**
+ * Describes which calls prompt versions are used for: calls in the default
+ * language whose tenant has no prompt of its own. Other supported languages
+ * use their prompt from config/prompts/locales, which isn't versioned here.
+ *
+ * @returns {Object} { language, tenant_prompts_override, locale_prompts }
+ */
+function getPromptScope() {
+  const defaultLanguage = languages.getDefaultLanguage();
+  return {
+    language: defaultLanguage,
+    tenant_prompts_override: true,
+    locale_prompts: languages.getSupportedLanguages()
+      .filter(code => code !== defaultLanguage && languages.getLanguage(code).prompt)
+  };
+}
+
+/**
+ * Formats a version for API responses.
+ *
+ * @param {Object} version - Version from the prompt store
+ * @param {Boolean} includePrompt - Whether to include the prompt text
+ * @returns {Object} Version details
+ */
+function formatVersion(version, includePrompt = false) {
+  return {
+    version: version.version,
+    author: version.author,
+    message: version.message,
+    created_at: version.createdAt,
+    rolled_back_from: version.rolledBackFrom ?? null,
+    active: version.version === promptStore.getActiveVersion().version,
+    ...(includePrompt ? { prompt: version.prompt } : {})
+  };
+}
+
+/**
+ * Checks a prompt without saving it: template syntax, content that can't be
+ * committed safely, variables personalization won't fill, event type URIs
+ * missing from Calendly and tool names the agent doesn't have.
+ *
+ * @route   POST /api/prompt-builder/validate
+ * @desc    Validate a system prompt
+ * @access  Protected - requires API key
+ */
+router.post('/validate', authenticateApiKey, async (req, res) => {
+  try {
+    const { prompt, agentId } = req.body;
+
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter: prompt'
+      });
+    }
+
+    const validation = await promptValidator.validatePrompt(prompt, {
+      toolNames: await getToolNames(agentId)
+    });
+
+    res.json({
+      success: true,
+      ...validation
+    });
+  } catch (error) {
+    console.error('Error validating system prompt:', error);
+    res.status(error.status === 404 ? 404 : 500).json({
+      success: false,
+      error: 'Failed to validate system prompt',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Saves a new version of the system prompt. It is used for calls straight
+ * away (in the scope from getPromptScope), and also committed to
+ * systemPrompt.js in GitHub when sync is enabled. Prompts that fail
+ * validation are rejected; warnings are returned with the saved version.
+ *
  * @route   POST /api/prompt-builder/update
- * @desc    Updates system prompt in GitHub repo
+ * @desc    Save a new system prompt version
  * @access  Protected - requires API key
  */
 router.post('/update', authenticateApiKey, async (req, res) => {
   try {
-    // Get prompt from request body
     const { prompt } = req.body;
-    
-    // Get GitHub config from environment variables
-    const githubToken = config.github.token;
-    const repoOwner = config.github.repoOwner;
-    const repoName = config.github.repoName;
-    const branch = config.github.branch || 'main';
     const commitMessage = req.body.commitMessage || 'Update system prompt via Prompt Builder';
-    
+
     // Validate prompt parameter
-    if (!prompt) {
+    if (typeof prompt !== 'string' || !prompt.trim()) {
       return res.status(400).json({
         success: false,
         error: 'Missing required parameter: prompt'
       });
     }
-    
-    // Validate GitHub environment configuration
-    if (!githubToken || !repoOwner || !repoName) {
-      return res.status(500).json({
+
+    const validation = await promptValidator.validatePrompt(prompt);
+    if (!validation.valid) {
+      return res.status(422).json({
         success: false,
-        error: 'GitHub integration not configured properly',
-        missingConfig: [
-          !githubToken ? 'GITHUB_TOKEN' : null,
-          !repoOwner ? 'GITHUB_REPO_OWNER' : null,
-          !repoName ? 'GITHUB_REPO_NAME' : null
-        ].filter(Boolean)
+        error: 'The prompt failed validation',
+        errors: validation.errors,
+        warnings: validation.warnings
       });
     }
-    
-    const promptFilePath = 'src/config/prompts/systemPrompt.js';
-    
-    console.log(`Updating prompt in repository ${repoOwner}/${repoName}, branch: ${branch}`);
-    
-    // Step 1: Get the current file to obtain the SHA
-    try {
-      const fileResponse = await axios.get(
-        `https://api.github.com/repos/${repoOwner}/${repoName}/contents/${promptFilePath}?ref=${branch}`,
-        {
-          headers: {
-            'Authorization': `token ${githubToken}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        }
-      );
-      
-      const currentSha = fileResponse.data.sha;
-      
-      // Format the prompt into a proper JS file with export
-      const formattedPrompt = `// src/config/prompts/systemPrompt.js
+
+    const version = promptStore.saveVersion({
+      prompt,
+      author: getAuthor(req),
+      message: commitMessage
+    });
+
+    res.json({
+      success: true,
+      message: `System prompt version ${version.version} is now active`,
+      version: formatVersion(version),
+      scope: getPromptScope(),
+      warnings: validation.warnings,
+      github: await syncToGithub(version)
+    });
+  } catch (error) {
+    // Handle general errors
+    console.error('Error updating system prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update system prompt',
+      message: process.env.NODE_ENV === 'production' ?
+        'An unexpected error occurred' :
+        error.message
+    });
+  }
+});
+
+/**
+ * Gets the active system prompt.
+ *
+ * @route   GET /api/prompt-builder/active
+ * @desc    Get the prompt currently used for calls
+ * @access  Protected - requires API key
+ */
+router.get('/active', authenticateApiKey, (req, res) => {
+  res.json({
+    success: true,
+    version: formatVersion(promptStore.getActiveVersion(), true),
+    scope: getPromptScope()
+  });
+});
+
+/**
+ * Lists saved prompt versions, newest first. Version 0 is the built-in
+ * prompt from systemPrompt.js. The scope says which calls use them (see
+ * getPromptScope).
+ *
+ * @route   GET /api/prompt-builder/versions
+ * @desc    List prompt versions with author, timestamp and message
+ * @access  Protected - requires API key
+ */
+router.get('/versions', authenticateApiKey, (req, res) => {
+  res.json({
+    success: true,
+    active_version: promptStore.getActiveVersion().version,
+    github_sync: githubService.isPromptSyncEnabled(),
+    scope: getPromptScope(),
+    versions: promptStore.listVersions().map(version => formatVersion(version))
+  });
+});
+
+/**
+ * Gets one prompt version with its text.
+ *
+ * @route   GET /api/prompt-builder/versions/:version
+ * @desc    Get a prompt version
+ * @access  Protected - requires API key
+ */
+router.get('/versions/:version', authenticateApiKey, (req, res) => {
+  const number = parseVersion(req.params.version);
+  const version = number === null ? null : promptStore.getVersion(number);
+
+  if (!version) {
+    return res.status(404).json({
+      success: false,
+      error: `Prompt version ${req.params.version} not found`
+    });
+  }
+
+  res.json({
+    success: true,
+    version: formatVersion(version, true)
+  });
+});
 
 /**
- * System prompt for the Elevenlabs agent.
- * This can be easily edited without modifying other code.
- * 
- * Available dynamic variables:
- * {{current_date}} - Current date in format like "Friday, May 9, 2025"
- * {{current_time}} - Current time in format like "3:45 PM"
- * {{caller_number}} - Phone number of the caller (if available)
+ * Compares two prompt versions line by line. "to" defaults to the active
+ * version and "from" to the version before "to".
+ *
+ * @route   GET /api/prompt-builder/diff?from=1&to=2
+ * @desc    Diff two prompt versions
+ * @access  Protected - requires API key
  */
-const systemPrompt = \`${prompt}\`;
-
-module.exports = systemPrompt;`;
-      
-      // Step 2: Update the file with new content
-      const updateResponse = await axios.put(
-        `https://api.github.com/repos/${repoOwner}/${repoName}/contents/${promptFilePath}`,
-        {
-          message: commitMessage,
-          content: Buffer.from(formattedPrompt).toString('base64'),
-          sha: currentSha,
-          branch: branch
-        },
-        {
-          headers: {
-            'Authorization': `token ${githubToken}`,
-            'Accept': 'application/vnd.github.v3+json'
-          }
-        }
-      );
-      
-      res.json({
-        success: true,
-        message: 'System prompt updated successfully',
-        commit: updateResponse.data.commit
+router.get('/diff', authenticateApiKey, (req, res) => {
+  const to = req.query.to === undefined ? promptStore.getActiveVersion().version : parseVersion(req.query.to);
+  const from = req.query.from === undefined && to !== null ? Math.max(to - 1, 0) : parseVersion(req.query.from);
+  const diff = from === null || to === null ? null : promptStore.diffVersions(from, to);
+
+  if (!diff) {
+    return res.status(404).json({
+      success: false,
+      error: 'Prompt version not found',
+      message: 'Use version numbers from /api/prompt-builder/versions (0 is the built-in prompt)'
+    });
+  }
+
+  res.json({
+    success: true,
+    ...diff
+  });
+});
+
+/**
+ * Makes an earlier prompt version active again. The rollback is saved as a
+ * new version, so history is kept.
+ *
+ * @route   POST /api/prompt-builder/rollback
+ * @desc    Roll back to a prompt version
+ * @access  Protected - requires API key
+ */
+router.post('/rollback', authenticateApiKey, async (req, res) => {
+  try {
+    const target = parseVersion(req.body.version);
+
+    if (target === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid parameter: version'
+      });
+    }
+
+    const version = promptStore.rollback(target, {
+      author: getAuthor(req),
+      message: req.body.commitMessage
+    });
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: `Prompt version ${target} not found`
       });
-    } catch (githubError) {
-      // Handle GitHub API errors with specific details
-      console.error('GitHub API error:', githubError.response?.data || githubError);
-      
-      // Provide user-friendly error response
-      if (githubError.response?.status === 404) {
-        return res.status(404).json({
-          success: false,
-          error: 'Repository or file not found',
-          details: 'Check your repository details and ensure the file path is correct'
-        });
-      } else if (githubError.response?.status === 401) {
-        return res.status(401).json({
-          success: false,
-          error: 'GitHub authentication failed',
-          details: 'The GitHub token is invalid or has insufficient permissions'
-        });
-      } else {
-        return res.status(500).json({
-          success: false,
-          error: 'GitHub API error',
-          message: githubError.response?.data?.message || githubError.message
-        });
-      }
     }
+
+    res.json({
+      success: true,
+      message: `Rolled back to version ${target} as version ${version.version}`,
+      version: formatVersion(version),
+      github: await syncToGithub(version)
+    });
   } catch (error) {
-    // Handle general errors
-    console.error('Error updating system prompt:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to update system prompt',
-      message: process.env.NODE_ENV === 'production' ? 
-        'An unexpected error occurred' : 
-        (error.response?.data?.message || error.message)
+    console.error('Error rolling back system prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll back system prompt',
+      message: error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
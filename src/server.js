@@ -10,15 +10,25 @@ const calendlyRoutes = require('./routes/calendly');
 const notificationsRoutes = require('./routes/notifications');
 const elevenlabsRoutes = require('./routes/elevenlabs');
 const promptBuilderRoutes = require('./routes/promptBuilder');
+const adminRoutes = require('./routes/admin');
+const metrics = require('./services/metrics');
+const logger = require('./utils/logger');
 
 // Import authentication middleware
 const auth = require('./middleware/auth');
+const { trackRequestMetrics, authenticateMetricsToken } = require('./middleware/metrics');
+const { assignRequestId, logRequests } = require('./middleware/requestLogging');
 
 // Initialize Express app
 const app = express();
 app.set('trust proxy', 1);
 const PORT = config.port;
 
+// Give every request an ID, log it, and count and time it
+app.use(assignRequestId);
+app.use(logRequests);
+app.use(trackRequestMetrics);
+
 // Force HTTPS in production
 if (process.env.NODE_ENV === 'production') {
   app.use((req, res, next) => {
@@ -47,7 +57,16 @@ app.use(helmet({
 }));
 
 // Apply basic middleware
-app.use(express.json());
+// Keep the raw body so webhook signatures can be verified
+const parseJson = limit => express.json({
+  limit,
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+});
+// Post-call webhooks carry whole transcripts, so only they get larger bodies
+app.use('/api/elevenlabs/post-call', parseJson('2mb'));
+app.use(parseJson('100kb'));
 app.use(express.urlencoded({ extended: true }));
 
 // Configure CORS with security settings
@@ -57,8 +76,9 @@ const corsOptions = {
         (process.env.ALLOWED_ORIGINS || '').split(',').filter(origin => origin.trim())
       )
     : '*', // Allow all origins in development
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
   credentials: true,
   maxAge: 86400 // 24 hours
 };
@@ -70,7 +90,11 @@ const apiLimiter = rateLimit({
   max: 200, // Limit each IP to 200 requests per window
   standardHeaders: true,
   legacyHeaders: false,
-  message: { error: 'Too many requests, please try again later.' }
+  message: { error: 'Too many requests, please try again later.' },
+  handler: (req, res, next, options) => {
+    metrics.recordRateLimitRejection('api');
+    res.status(options.statusCode).json(options.message);
+  }
 });
 
 // Enable rate limiting for API routes
@@ -101,19 +125,46 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics (authenticated with METRICS_TOKEN, not the API key)
+app.get('/metrics', authenticateMetricsToken, async (req, res, next) => {
+  try {
+    res.set('Content-Type', metrics.registry.contentType);
+    res.send(await metrics.registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Webhook receivers that authenticate with a signature instead of the API key
+const signedWebhookPaths = ['/calendly/webhooks', '/elevenlabs/post-call'];
+
 // Apply authentication middleware to all API routes
-app.use('/api', auth.authenticateApiKey);
+app.use('/api', (req, res, next) => {
+  if (req.method === 'POST' && signedWebhookPaths.includes(req.path)) {
+    return next();
+  }
+  return auth.authenticateApiKey(req, res, next);
+});
 
 // API Routes
 app.use('/api/calendly', calendlyRoutes);
 app.use('/api/notifications', notificationsRoutes);
 app.use('/api/elevenlabs', elevenlabsRoutes);
 app.use('/api/prompt-builder', promptBuilderRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Global error handler
 app.use((err, req, res, next) => {
+  // Body parser errors (body too large, malformed JSON) are the client's
+  if (err.expose && err.status < 500) {
+    return res.status(err.status).json({
+      error: err.message,
+      requestId: req.id
+    });
+  }
+
   // Log the error for server-side debugging
-  console.error('Unhandled error:', err);
+  logger.error('Unhandled error', { error: err });
   
   // Send sanitized error response
   res.status(500).json({
@@ -125,15 +176,17 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`
-  ================================================
-  🚀 Server running on port ${PORT}
-  🔗 ${process.env.NODE_ENV === 'production' ? 'https' : 'http'}://localhost:${PORT}
-  🔒 Security features: Helmet, Rate limiting, HTTPS enforcement
-  ================================================
-  `);
-});
+// Exit through process.exit on shutdown signals so delayed store writes are flushed
+['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => process.exit(0)));
+
+// Start the server when run directly (tests load the app without listening)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info(`Server running on port ${PORT}`, {
+      url: `${process.env.NODE_ENV === 'production' ? 'https' : 'http'}://localhost:${PORT}`,
+      environment: process.env.NODE_ENV || 'development'
+    });
+  });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -1,5 +1,244 @@
 // src/services/agentBuilderService.js
 const axios = require('axios');
+const metrics = require('./metrics');
+const scheduleConfig = require('../config/schedule');
+const calendlyService = require('./calendlyService');
+const languages = require('../config/languages');
+const { ValidationError } = require('../utils/errors');
+ 
+// Sent with every tool call so the server can tell which tenant and call it belongs to
+const CALL_CONTEXT_PROPERTIES = {
+  agent_id: { type: "string", dynamic_variable: "system__agent_id" },
+  called_number: { type: "string", dynamic_variable: "system__called_number" },
+  call_sid: { type: "string", dynamic_variable: "system__call_sid" },
+  conversation_id: { type: "string", dynamic_variable: "system__conversation_id" },
+  language: { type: "string", dynamic_variable: "language" }
+};
+ 
+// Longest event type description copied into tool descriptions
+const MAX_EVENT_DESCRIPTION_LENGTH = 200;
+ 
+// Fills in each selected event type's name, duration and description from Calendly.
+// Event types may be given as URIs or as objects from calendlyService.getEventTypes.
+// Throws a ValidationError naming any event type the account doesn't have.
+async function resolveEventTypes(eventTypes) {
+  const selected = eventTypes.map(eventType => (typeof eventType === 'string' ? { id: eventType } : eventType));
+ 
+  let accountEventTypes;
+  try {
+    accountEventTypes = await calendlyService.getEventTypes();
+  } catch (error) {
+    // Without Calendly, fall back to whatever details were sent with the request
+    console.warn(`Could not fetch Calendly event types, using the details provided: ${error.message}`);
+    return selected;
+  }
+ 
+  return selected.map(eventType => {
+    const match = accountEventTypes.find(candidate => candidate.id === eventType.id);
+    if (!match) {
+      throw new ValidationError(`Event type not found in the Calendly account: ${eventType.id}`);
+    }
+    return match;
+  });
+}
+ 
+// Describes the selected event types so the model can map what the caller asks for to a URI
+function describeEventTypes(eventTypes) {
+  const lines = eventTypes.map(eventType => {
+    const label = eventType.name
+      ? `${eventType.name}${eventType.duration ? ` (${eventType.duration} minutes)` : ''}`
+      : 'Event type';
+    let description = (eventType.description || '').replace(/\s+/g, ' ').trim();
+    if (description.length > MAX_EVENT_DESCRIPTION_LENGTH) {
+      description = `${description.slice(0, MAX_EVENT_DESCRIPTION_LENGTH - 1)}…`;
+    }
+    return `- ${label}: ${eventType.id}${description ? ` -- ${description}` : ''}`;
+  });
+ 
+  return `Calendly event type URI for the appointment the caller wants. Use the EXACT URI from this list:\n${lines.join('\n')}`;
+}
+ 
+// Builds a webhook tool that posts { function_name, parameters } to the function handler.
+// Only tools that already exist in ElevenLabs have an id; new ones are assigned one on upload.
+function functionHandlerTool(serverUrl, serverApiKey, { id, name, description, required, properties }) {
+  return {
+    ...(id ? { id } : {}),
+    name,
+    description,
+    type: "webhook",
+    api_schema: {
+      url: `${serverUrl}/api/elevenlabs/function-handler`,
+      method: "POST",
+      path_params_schema: {},
+      query_params_schema: null,
+      request_body_schema: {
+        type: "object",
+        required: ["function_name", "parameters"],
+        properties: {
+          function_name: { type: "string", constant_value: name },
+          ...CALL_CONTEXT_PROPERTIES,
+          parameters: {
+            type: "object",
+            required,
+            properties
+          }
+        }
+      },
+      request_headers: {
+        "X-API-Key": serverApiKey,
+        "Content-Type": "application/json"
+      }
+    }
+  };
+}
+ 
+// Builds the tools every agent gets. The event type and period enums come from the selected event types.
+function buildTools({ serverUrl, serverApiKey, eventTypeUrlProperty, periodNames }) {
+  return [
+    {
+      id: "ynkWMyhMnGlLHAv7o5XI",
+      name: "sendBookingSMS",
+      description: "Use this function to send an SMS confirmation.",
+      type: "webhook",
+      api_schema: {
+        url: `${serverUrl}/api/elevenlabs/function-handler`,
+        method: "POST",
+        path_params_schema: {},
+        query_params_schema: null,
+        request_body_schema: {
+          type: "object",
+          required: ["eventTime", "function_name", "phoneNumber", "eventDuration", "schedulingUrl", "name"],
+          description: "Parameters for sending SMS",
+          properties: {
+            eventTime: { type: "string", description: "Event time" },
+            function_name: { type: "string", constant_value: "sendBookingSMS" },
+            phoneNumber: { type: "string", dynamic_variable: "system__caller_id" },
+            eventDuration: { type: "string", description: "Duration in minutes" },
+            schedulingUrl: { type: "string", description: "Calendly scheduling URL" },
+            name: { type: "string", description: "Caller name" },
+            eventTypeUrl: eventTypeUrlProperty,
+            ...CALL_CONTEXT_PROPERTIES
+          }
+        },
+        request_headers: {
+          "X-API-Key": serverApiKey,
+          "Content-Type": "application/json"
+        }
+      }
+    },
+    functionHandlerTool(serverUrl, serverApiKey, {
+      name: "bookAppointment",
+      description: "Book the selected slot directly in Calendly. Falls back to texting a scheduling link if direct booking fails.",
+      required: ["eventTypeUrl", "startTime", "name", "phoneNumber"],
+      properties: {
+        eventTypeUrl: eventTypeUrlProperty,
+        startTime: { type: "string", description: "Slot timestamp returned by checkTimes" },
+        name: { type: "string", description: "Caller name" },
+        email: { type: "string", description: "Caller email address" },
+        phoneNumber: { type: "string", dynamic_variable: "system__caller_id" },
+        eventTime: { type: "string", description: "Event time as spoken to the caller" },
+        eventDuration: { type: "string", description: "Duration in minutes" },
+        schedulingUrl: { type: "string", description: "Calendly scheduling URL of the slot, used if direct booking fails" }
+      }
+    }),
+    functionHandlerTool(serverUrl, serverApiKey, {
+      id: "OWO956TMCS1s6dN1jgp9",
+      name: "checkTimes",
+      description: "Fetch time slots for a selected day.",
+      required: ["eventTypeUrl", "date", "period"],
+      properties: {
+        eventTypeUrl: eventTypeUrlProperty,
+        date: { type: "string", description: "YYYY-MM-DD" },
+        period: { type: "string", enum: periodNames, description: "Part of the day to list times for" },
+        callerNumber: { type: "string", dynamic_variable: "system__caller_id" }
+      }
+    }),
+    functionHandlerTool(serverUrl, serverApiKey, {
+      id: "yzW6vNfJybNSU8Q8YJeo",
+      name: "checkAvailability",
+      description: "Fetch weekly availability summary.",
+      required: ["eventTypeUrl"],
+      properties: {
+        eventTypeUrl: eventTypeUrlProperty,
+        weekOffset: { type: "integer", description: "0 = this week, 1 = next" },
+        callerNumber: { type: "string", dynamic_variable: "system__caller_id" }
+      }
+    }),
+    functionHandlerTool(serverUrl, serverApiKey, {
+      name: "findNextAvailable",
+      description: "Find the earliest available slots, searching forward across weeks.",
+      required: ["eventTypeUrl"],
+      properties: {
+        eventTypeUrl: eventTypeUrlProperty,
+        limit: { type: "integer", description: "Number of slots to return (default 3)" },
+        weekdays: { type: "string", description: "Optional comma-separated weekday names, e.g. monday,friday" },
+        period: { type: "string", enum: periodNames, description: "Optional part of the day" },
+        earliestTime: { type: "string", description: "Optional earliest start time, HH:MM (24-hour)" },
+        latestTime: { type: "string", description: "Optional latest start time, HH:MM (24-hour)" },
+        callerNumber: { type: "string", dynamic_variable: "system__caller_id" }
+      }
+    }),
+    functionHandlerTool(serverUrl, serverApiKey, {
+      name: "resolveDate",
+      description: "Turn the caller's words for a day or timeframe into an exact date, weekOffset and period. Only English phrases are understood, so translate the caller's words to English first.",
+      required: ["phrase"],
+      properties: {
+        phrase: { type: "string", description: "The caller's words translated to English if they spoke another language, e.g. next Tuesday afternoon, the 14th, tomorrow morning" },
+        callerNumber: { type: "string", dynamic_variable: "system__caller_id" }
+      }
+    }),
+    functionHandlerTool(serverUrl, serverApiKey, {
+      name: "findMyBookings",
+      description: "Find the caller's upcoming bookings by their phone number.",
+      required: ["callerNumber"],
+      properties: {
+        callerNumber: { type: "string", dynamic_variable: "system__caller_id" }
+      }
+    }),
+    functionHandlerTool(serverUrl, serverApiKey, {
+      name: "rescheduleBooking",
+      description: "Text the caller a link to move one of their bookings to a new time.",
+      required: ["callerNumber", "eventUri"],
+      properties: {
+        callerNumber: { type: "string", dynamic_variable: "system__caller_id" },
+        eventUri: { type: "string", description: "event_uri of the booking, as returned by findMyBookings" }
+      }
+    }),
+    functionHandlerTool(serverUrl, serverApiKey, {
+      name: "cancelBooking",
+      description: "Cancel one of the caller's bookings. Only call after the caller has confirmed.",
+      required: ["callerNumber", "eventUri"],
+      properties: {
+        callerNumber: { type: "string", dynamic_variable: "system__caller_id" },
+        eventUri: { type: "string", description: "event_uri of the booking, as returned by findMyBookings" },
+        reason: { type: "string", description: "Reason for cancelling, if the caller gave one" }
+      }
+    }),
+    {
+      id: "4llGAKqlunOuAWS1pfBv",
+      name: "end_call",
+      description: "Ends the call.",
+      type: "system",
+      params: {
+        system_tool_type: "end_call"
+      }
+    }
+  ];
+}
+ 
+// Names of the tools buildTools creates, so prompts can be checked against them
+const AGENT_TOOL_NAMES = [
+  "sendBookingSMS",
+  "bookAppointment",
+  "checkTimes",
+  "checkAvailability",
+  "findNextAvailable",
+  "resolveDate",
+  "findMyBookings",
+  "rescheduleBooking",
+  "cancelBooking",
+  "end_call"
+];
  
 async function createAgentConfig(options) {
   const {
@@ -7,7 +246,7 @@ async function createAgentConfig(options) {
     serverUrl,
     serverApiKey,
     eventTypes = [],
-    agentGreeting = "Hi there! I'm your Calendly booking assistant. How can I help you schedule an appointment today?"
+    agentGreeting = languages.getLanguage(languages.getDefaultLanguage()).firstMessage
   } = options;
  
   if (!serverUrl) throw new Error('Server URL is required');
@@ -16,9 +255,34 @@ async function createAgentConfig(options) {
  
   const hostname = new URL(serverUrl).hostname;
  
-  let eventTypeDescription = "IMPORTANT: Use the EXACT URI without abbreviation.";
-  if (eventTypes.length >= 1) eventTypeDescription += ` For 30-minute AI Automation Discovery Call: ${eventTypes[0]?.id || eventTypes[0]}`;
-  if (eventTypes.length >= 2) eventTypeDescription += ` -- For 15-minute AI Automation Quick Consultation: ${eventTypes[1]?.id || eventTypes[1]}`;
+  const resolvedEventTypes = await resolveEventTypes(eventTypes);
+  const eventTypeUris = resolvedEventTypes.map(eventType => eventType.id);
+ 
+  // Every tool that takes an event type only accepts the selected URIs
+  const eventTypeUrlProperty = {
+    type: "string",
+    description: describeEventTypes(resolvedEventTypes),
+    enum: eventTypeUris
+  };
+ 
+  const periodNames = scheduleConfig.getPeriodNames(eventTypeUris);
+ 
+  // Every other supported language gets a preset with its own first message
+  const defaultLanguage = languages.getDefaultLanguage();
+  const languagePresets = {};
+  languages.getSupportedLanguages()
+    .filter(language => language !== defaultLanguage)
+    .forEach(language => {
+      languagePresets[language] = {
+        overrides: {
+          agent: {
+            first_message: languages.getLanguage(language).firstMessage,
+            language
+          }
+        }
+      };
+    });
+  const isMultilingual = Object.keys(languagePresets).length > 0;
  
   return {
     name: agentName,
@@ -35,7 +299,8 @@ async function createAgentConfig(options) {
         mode: "turn"
       },
       tts: {
-        model_id: "eleven_flash_v2",
+        // English-only model unless the agent speaks other languages
+        model_id: isMultilingual || defaultLanguage !== "en" ? "eleven_flash_v2_5" : "eleven_flash_v2",
         voice_id: "cgSgspJ2msm6clMCkdW9",
         agent_output_audio_format: "pcm_16000",
         optimize_streaming_latency: 3,
@@ -54,15 +319,16 @@ async function createAgentConfig(options) {
           "agent_response_correction"
         ]
       },
-      language_presets: {},
+      language_presets: languagePresets,
       agent: {
         first_message: agentGreeting,
-        language: "en",
+        language: defaultLanguage,
         dynamic_variables: {
           dynamic_variable_placeholders: {
             current_date: "Friday, May 10, 2025",
             current_time: "2:30 PM",
-            caller_number: "+1234567890"
+            caller_number: "+1234567890",
+            language: defaultLanguage
           }
         },
         prompt: {
@@ -70,109 +336,7 @@ async function createAgentConfig(options) {
           llm: "gpt-4.1-mini",
           temperature: 0.35,
           max_tokens: -1,
-          tools: [
-            {
-              id: "ynkWMyhMnGlLHAv7o5XI",
-              name: "sendBookingSMS",
-              description: "Use this function to send an SMS confirmation.",
-              type: "webhook",
-              api_schema: {
-                url: `${serverUrl}/api/elevenlabs/function-handler`,
-                method: "POST",
-                path_params_schema: {},
-                query_params_schema: null,
-                request_body_schema: {
-                  type: "object",
-                  required: ["eventTime", "function_name", "phoneNumber", "eventDuration", "schedulingUrl", "name"],
-                  description: "Parameters for sending SMS",
-                  properties: {
-                    eventTime: { type: "string", description: "Event time" },
-                    function_name: { type: "string", constant_value: "sendBookingSMS" },
-                    phoneNumber: { type: "string", dynamic_variable: "system__caller_id" },
-                    eventDuration: { type: "string", description: "Duration in minutes" },
-                    schedulingUrl: { type: "string", description: "Calendly scheduling URL" },
-                    name: { type: "string", description: "Caller name" }
-                  }
-                },
-                request_headers: {
-                  "X-API-Key": serverApiKey,
-                  "Content-Type": "application/json"
-                }
-              }
-            },
-            {
-              id: "OWO956TMCS1s6dN1jgp9",
-              name: "checkTimes",
-              description: "Fetch time slots for a selected day.",
-              type: "webhook",
-              api_schema: {
-                url: `${serverUrl}/api/elevenlabs/function-handler`,
-                method: "POST",
-                path_params_schema: {},
-                query_params_schema: null,
-                request_body_schema: {
-                  type: "object",
-                  required: ["function_name", "parameters"],
-                  properties: {
-                    function_name: { type: "string", constant_value: "checkTimes" },
-                    parameters: {
-                      type: "object",
-                      required: ["eventTypeUrl", "date", "period"],
-                      properties: {
-                        eventTypeUrl: { type: "string", description: eventTypeDescription },
-                        date: { type: "string", description: "YYYY-MM-DD" },
-                        period: { type: "string", description: "morning or afternoon" }
-                      }
-                    }
-                  }
-                },
-                request_headers: {
-                  "X-API-Key": serverApiKey,
-                  "Content-Type": "application/json"
-                }
-              }
-            },
-            {
-              id: "yzW6vNfJybNSU8Q8YJeo",
-              name: "checkAvailability",
-              description: "Fetch weekly availability summary.",
-              type: "webhook",
-              api_schema: {
-                url: `${serverUrl}/api/elevenlabs/function-handler`,
-                method: "POST",
-                path_params_schema: {},
-                query_params_schema: null,
-                request_body_schema: {
-                  type: "object",
-                  required: ["function_name", "parameters"],
-                  properties: {
-                    function_name: { type: "string", constant_value: "checkAvailability" },
-                    parameters: {
-                      type: "object",
-                      required: ["eventTypeUrl"],
-                      properties: {
-                        eventTypeUrl: { type: "string", description: eventTypeDescription },
-                        weekOffset: { type: "integer", description: "0 = this week, 1 = next" }
-                      }
-                    }
-                  }
-                },
-                request_headers: {
-                  "X-API-Key": serverApiKey,
-                  "Content-Type": "application/json"
-                }
-              }
-            },
-            {
-              id: "4llGAKqlunOuAWS1pfBv",
-              name: "end_call",
-              description: "Ends the call.",
-              type: "system",
-              params: {
-                system_tool_type: "end_call"
-              }
-            }
-          ]
+          tools: buildTools({ serverUrl, serverApiKey, eventTypeUrlProperty, periodNames })
         }
       }
     },
@@ -187,6 +351,16 @@ async function createAgentConfig(options) {
         delete_transcript_and_pii: true,
         delete_audio: true
       },
+      // Lets twilio-personalization set the prompt, and the language and first message for other languages
+      overrides: {
+        conversation_config_override: {
+          agent: {
+            prompt: { prompt: true },
+            first_message: true,
+            language: true
+          }
+        }
+      },
       workspace_overrides: {
         conversation_initiation_client_data_webhook: {
           url: `${serverUrl}/api/elevenlabs/twilio-personalization`,
@@ -201,28 +375,98 @@ async function createAgentConfig(options) {
   };
 }
  
+// Base URL for the ElevenLabs conversational AI agents API
+const ELEVENLABS_AGENTS_URL = 'https://api.elevenlabs.io/v1/convai/agents';
+ 
+// Wraps an ElevenLabs API error, keeping the HTTP status so routes can tell auth failures apart
+function toElevenlabsError(error, message) {
+  const wrapped = new Error(error.response?.data?.detail?.message || error.response?.data?.detail || message);
+  wrapped.status = error.response?.status || null;
+  return wrapped;
+}
+ 
+// Builds the request headers for the ElevenLabs API
+function elevenlabsHeaders(elevenlabsApiKey) {
+  return {
+    'xi-api-key': elevenlabsApiKey,
+    'Content-Type': 'application/json'
+  };
+}
+ 
 async function uploadAgentToElevenlabs(config, elevenlabsApiKey) {
   try {
     console.log('Sending request to Elevenlabs API');
-    const response = await axios.post(
-      'https://api.elevenlabs.io/v1/convai/agents/create',
+    const response = await metrics.trackUpstream('elevenlabs', 'create_agent', () => axios.post(
+      `${ELEVENLABS_AGENTS_URL}/create`,
       config,
-      {
-        headers: {
-          'xi-api-key': elevenlabsApiKey,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+      { headers: elevenlabsHeaders(elevenlabsApiKey) }
+    ));
     return response.data;
   } catch (error) {
     console.error('Error uploading agent to Elevenlabs:', error.response?.status);
     console.error('Error details:', error.response?.data?.detail || error.message);
-    throw new Error(error.response?.data?.detail || 'Failed to upload agent to Elevenlabs');
+    throw toElevenlabsError(error, 'Failed to upload agent to Elevenlabs');
+  }
+}
+ 
+// Lists agents in the ElevenLabs account, one page at a time
+async function listElevenlabsAgents(elevenlabsApiKey, { search, cursor, pageSize = 30 } = {}) {
+  try {
+    const response = await metrics.trackUpstream('elevenlabs', 'list_agents', () => axios.get(ELEVENLABS_AGENTS_URL, {
+      headers: elevenlabsHeaders(elevenlabsApiKey),
+      params: { search, cursor, page_size: pageSize }
+    }));
+    return response.data;
+  } catch (error) {
+    console.error('Error listing Elevenlabs agents:', error.response?.data?.detail || error.message);
+    throw toElevenlabsError(error, 'Failed to list Elevenlabs agents');
+  }
+}
+ 
+async function getElevenlabsAgent(agentId, elevenlabsApiKey) {
+  try {
+    const response = await metrics.trackUpstream('elevenlabs', 'get_agent', () => axios.get(`${ELEVENLABS_AGENTS_URL}/${encodeURIComponent(agentId)}`, {
+      headers: elevenlabsHeaders(elevenlabsApiKey)
+    }));
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching Elevenlabs agent:', error.response?.data?.detail || error.message);
+    throw toElevenlabsError(error, 'Failed to fetch Elevenlabs agent');
+  }
+}
+ 
+// Replaces an existing agent's configuration with one from createAgentConfig
+async function updateAgentInElevenlabs(agentId, config, elevenlabsApiKey) {
+  try {
+    const response = await metrics.trackUpstream('elevenlabs', 'update_agent', () => axios.patch(
+      `${ELEVENLABS_AGENTS_URL}/${encodeURIComponent(agentId)}`,
+      config,
+      { headers: elevenlabsHeaders(elevenlabsApiKey) }
+    ));
+    return response.data;
+  } catch (error) {
+    console.error('Error updating Elevenlabs agent:', error.response?.data?.detail || error.message);
+    throw toElevenlabsError(error, 'Failed to update Elevenlabs agent');
+  }
+}
+ 
+async function deleteElevenlabsAgent(agentId, elevenlabsApiKey) {
+  try {
+    await metrics.trackUpstream('elevenlabs', 'delete_agent', () => axios.delete(`${ELEVENLABS_AGENTS_URL}/${encodeURIComponent(agentId)}`, {
+      headers: elevenlabsHeaders(elevenlabsApiKey)
+    }));
+  } catch (error) {
+    console.error('Error deleting Elevenlabs agent:', error.response?.data?.detail || error.message);
+    throw toElevenlabsError(error, 'Failed to delete Elevenlabs agent');
   }
 }
  
 module.exports = {
+  AGENT_TOOL_NAMES,
   createAgentConfig,
-  uploadAgentToElevenlabs
+  uploadAgentToElevenlabs,
+  listElevenlabsAgents,
+  getElevenlabsAgent,
+  updateAgentInElevenlabs,
+  deleteElevenlabsAgent
 };
@@ -0,0 +1,124 @@
+// src/services/agentPreviewService.js
+const crypto = require('crypto');
+const { diffObjects } = require('../utils/object-diff');
+
+// How long a preview can be confirmed for
+const PREVIEW_TTL_MS = 15 * 60 * 1000;
+
+// Header and field names whose values are secrets
+const SECRET_KEY_PATTERN = /api[-_]?key|authorization|secret|token|password/i;
+
+const previews = new Map();
+
+/**
+ * Masks a secret, keeping only its last four characters.
+ *
+ * @param {*} value - Secret value
+ * @returns {*} Masked value (non-strings are returned unchanged)
+ */
+function maskValue(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    return value;
+  }
+  return value.length > 8 ? `••••${value.slice(-4)}` : '••••';
+}
+
+/**
+ * Returns a copy of an agent configuration with secrets such as the
+ * X-API-Key request headers masked.
+ *
+ * @param {*} value - Agent configuration (or part of it)
+ * @returns {*} Masked copy
+ */
+function maskSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(maskSecrets);
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) && typeof item === 'string' ? maskValue(item) : maskSecrets(item)
+    ]));
+  }
+
+  return value;
+}
+
+/**
+ * Hashes an agent configuration so a confirmation can be tied to exactly
+ * the configuration that was previewed.
+ *
+ * @param {Object} agentConfig - Agent configuration
+ * @returns {String} SHA-256 hex digest
+ */
+function hashConfig(agentConfig) {
+  return crypto.createHash('sha256').update(JSON.stringify(agentConfig)).digest('hex');
+}
+
+/**
+ * Records a preview of a generated agent configuration and returns what to
+ * show the user: the masked configuration, a diff against the live agent if
+ * one is given, and a token that must be sent back to apply it.
+ *
+ * @param {Object} agentConfig - Configuration from createAgentConfig
+ * @param {Object} options - Preview options
+ * @param {String} options.agentId - Existing agent the configuration would replace (optional)
+ * @param {Object} options.liveConfig - That agent's current configuration from ElevenLabs (optional)
+ * @returns {Object} { config, diff, confirmation_token, expires_at }
+ */
+function createPreview(agentConfig, { agentId = null, liveConfig = null } = {}) {
+  const now = Date.now();
+  for (const [token, preview] of previews) {
+    if (preview.expiresAt <= now) {
+      previews.delete(token);
+    }
+  }
+
+  const token = crypto.randomBytes(16).toString('hex');
+  const expiresAt = now + PREVIEW_TTL_MS;
+  previews.set(token, { configHash: hashConfig(agentConfig), agentId, expiresAt });
+
+  const maskedConfig = maskSecrets(agentConfig);
+
+  return {
+    config: maskedConfig,
+    diff: liveConfig
+      ? diffObjects(maskSecrets(liveConfig), maskedConfig, { ignoreMissing: true })
+      : null,
+    confirmation_token: token,
+    expires_at: new Date(expiresAt).toISOString()
+  };
+}
+
+/**
+ * Confirms a preview before its configuration is uploaded. The token is
+ * used up, and only matches if the configuration and target agent are
+ * unchanged since the preview.
+ *
+ * @param {String} token - Confirmation token from createPreview
+ * @param {Object} agentConfig - Configuration about to be uploaded
+ * @param {String} agentId - Agent being updated, or null when creating
+ * @returns {Object} { confirmed: Boolean, reason: String }
+ */
+function confirmPreview(token, agentConfig, agentId = null) {
+  const preview = token && previews.get(token);
+
+  if (!preview || preview.expiresAt <= Date.now()) {
+    previews.delete(token);
+    return { confirmed: false, reason: 'Preview the agent configuration first; the confirmation token is missing or expired' };
+  }
+
+  if (preview.agentId !== agentId || preview.configHash !== hashConfig(agentConfig)) {
+    return { confirmed: false, reason: 'The agent configuration has changed since it was previewed; preview it again' };
+  }
+
+  previews.delete(token);
+  return { confirmed: true, reason: null };
+}
+
+module.exports = {
+  maskSecrets,
+  createPreview,
+  confirmPreview
+};
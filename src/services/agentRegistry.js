@@ -0,0 +1,101 @@
+// src/services/agentRegistry.js
+const fs = require('fs');
+const { createJsonStore } = require('../utils/json-store');
+
+/**
+ * ElevenLabs agents this server created, with the tenant each belongs to.
+ * This is also how tenants.findTenant routes an agent's calls to the tenant
+ * it was created for.
+ */
+
+const store = createJsonStore('elevenlabs-agents', []);
+let agents = store.load();
+
+// Agent-to-tenant entries from the earlier tenant-agents store (agent ID ->
+// tenant ID) are moved into this registry, so there is only one to update
+const legacyTenantAgents = createJsonStore('tenant-agents', {});
+if (fs.existsSync(legacyTenantAgents.filePath)) {
+  Object.entries(legacyTenantAgents.load()).forEach(([agentId, tenantId]) => {
+    if (!agents.some(agent => agent.agentId === agentId)) {
+      agents.push({ agentId, tenantId, createdAt: null, updatedAt: null });
+    }
+  });
+  store.save(agents);
+  fs.unlinkSync(legacyTenantAgents.filePath);
+}
+
+/**
+ * Records an ElevenLabs agent this server created or updated, along with the
+ * settings it was built from so it can be regenerated later.
+ *
+ * @param {Object} agent - Agent details
+ * @param {String} agent.agentId - ElevenLabs agent ID
+ * @param {String} agent.agentName - Agent name
+ * @param {String} agent.serverUrl - Server URL the agent's tools call
+ * @param {Array} agent.eventTypes - Event types the agent books
+ * @param {String} agent.agentGreeting - Agent's first message
+ * @param {String} agent.tenantId - Tenant the agent belongs to
+ * @returns {Object} The stored record
+ */
+function recordAgent({ agentId, agentName, serverUrl, eventTypes, agentGreeting, tenantId }) {
+  const now = new Date().toISOString();
+  const existing = agents.find(agent => agent.agentId === agentId);
+
+  const record = {
+    agentId,
+    agentName,
+    serverUrl,
+    eventTypes,
+    agentGreeting,
+    tenantId,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  agents = [record, ...agents.filter(agent => agent.agentId !== agentId)];
+  store.save(agents);
+  return record;
+}
+
+/**
+ * Gets a recorded agent.
+ *
+ * @param {String} agentId - ElevenLabs agent ID
+ * @returns {Object|null} Agent record, or null if this server didn't create it
+ */
+function getAgent(agentId) {
+  return agents.find(agent => agent.agentId === agentId) || null;
+}
+
+/**
+ * Lists the agents this server created, most recently changed first.
+ *
+ * @returns {Array} Agent records
+ */
+function listAgents() {
+  return [...agents];
+}
+
+/**
+ * Forgets a deleted agent.
+ *
+ * @param {String} agentId - ElevenLabs agent ID
+ * @returns {Boolean} Whether the agent was recorded
+ */
+function removeAgent(agentId) {
+  const before = agents.length;
+  agents = agents.filter(agent => agent.agentId !== agentId);
+
+  if (agents.length !== before) {
+    store.save(agents);
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  recordAgent,
+  getAgent,
+  listAgents,
+  removeAgent
+};
@@ -0,0 +1,201 @@
+// src/services/availabilityCache.js
+const config = require('../config/environment');
+
+// Widest UTC offsets, so a calendar date covers that day in every time zone
+const MAX_UTC_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+const entries = new Map();
+const stats = {
+  hits: 0,
+  coveredHits: 0,
+  misses: 0,
+  invalidations: 0
+};
+
+/**
+ * Builds the cache key for an availability request.
+ *
+ * @param {String} eventType - Calendly event type URI
+ * @param {Date} startTime - Start of the time range
+ * @param {Date} endTime - End of the time range
+ * @returns {String} Cache key
+ */
+function getKey(eventType, startTime, endTime) {
+  return `${eventType}|${startTime.toISOString()}|${endTime.toISOString()}`;
+}
+
+/**
+ * Looks up cached availability for an event type and range. An exact match
+ * is used if present; otherwise a cached wider range (such as a week
+ * fetched by checkAvailability) that covers the request is filtered down.
+ *
+ * @param {String} eventType - Calendly event type URI
+ * @param {Date} startTime - Start of the time range
+ * @param {Date} endTime - End of the time range
+ * @returns {Object|null} Availability data in Calendly's response shape, or null
+ */
+function get(eventType, startTime, endTime) {
+  const now = Date.now();
+
+  const exact = entries.get(getKey(eventType, startTime, endTime));
+  if (exact && exact.expiresAt > now) {
+    stats.hits++;
+    return exact.data;
+  }
+
+  for (const entry of entries.values()) {
+    if (entry.expiresAt > now &&
+        entry.eventType === eventType &&
+        entry.startTime <= startTime.getTime() &&
+        entry.endTime >= endTime.getTime()) {
+      stats.coveredHits++;
+      return {
+        ...entry.data,
+        collection: entry.data.collection.filter(slot => {
+          const slotTime = new Date(slot.start_time).getTime();
+          return slotTime >= startTime.getTime() && slotTime <= endTime.getTime();
+        })
+      };
+    }
+  }
+
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Stores availability data for an event type and range.
+ *
+ * @param {String} eventType - Calendly event type URI
+ * @param {Date} startTime - Start of the time range
+ * @param {Date} endTime - End of the time range
+ * @param {Object} data - Availability response from Calendly
+ */
+function set(eventType, startTime, endTime, data) {
+  const ttlMs = config.calendly.availabilityCacheTtlSeconds * 1000;
+  if (ttlMs <= 0) {
+    return;
+  }
+
+  // Drop expired entries so the cache doesn't grow without bound
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+    }
+  }
+
+  entries.set(getKey(eventType, startTime, endTime), {
+    eventType,
+    startTime: startTime.getTime(),
+    endTime: endTime.getTime(),
+    data,
+    expiresAt: now + ttlMs
+  });
+}
+
+/**
+ * Removes cached ranges that overlap a time range, optionally only for one
+ * event type.
+ *
+ * @param {Date} startTime - Start of the affected range
+ * @param {Date} endTime - End of the affected range
+ * @param {String} eventType - Calendly event type URI (optional, all if omitted)
+ * @returns {Number} Number of entries removed
+ */
+function invalidateRange(startTime, endTime, eventType = null) {
+  let removed = 0;
+
+  for (const [key, entry] of entries) {
+    if ((!eventType || entry.eventType === eventType) &&
+        entry.startTime <= endTime.getTime() &&
+        entry.endTime >= startTime.getTime()) {
+      entries.delete(key);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    stats.invalidations += removed;
+    console.log(`Invalidated ${removed} cached availability entries`);
+  }
+  return removed;
+}
+
+/**
+ * Removes cached ranges covering the day of a booked or changed slot.
+ *
+ * @param {String|Date} slotTime - Slot start time
+ * @param {String} eventType - Calendly event type URI (optional, all if omitted)
+ * @returns {Number} Number of entries removed
+ */
+function invalidateSlot(slotTime, eventType = null) {
+  const time = new Date(slotTime);
+  if (isNaN(time.getTime())) {
+    return 0;
+  }
+
+  const dayStart = Date.UTC(time.getUTCFullYear(), time.getUTCMonth(), time.getUTCDate());
+  return invalidateRange(
+    new Date(dayStart - MAX_UTC_OFFSET_MS),
+    new Date(dayStart + 24 * 60 * 60 * 1000 + MAX_UTC_OFFSET_MS),
+    eventType
+  );
+}
+
+/**
+ * Removes cached ranges for the slot behind a Calendly scheduling link.
+ * Slot links look like https://calendly.com/acme/30min/2025-05-14T09:00:00-04:00?...
+ *
+ * @param {String} schedulingUrl - Calendly slot scheduling URL
+ * @returns {Number} Number of entries removed
+ */
+function invalidateSchedulingUrl(schedulingUrl) {
+  if (!schedulingUrl) {
+    return 0;
+  }
+
+  try {
+    const url = new URL(schedulingUrl);
+    const slotPath = url.pathname.split('/').pop();
+    const slotTime = /^\d{4}-\d{2}-\d{2}T/.test(decodeURIComponent(slotPath))
+      ? decodeURIComponent(slotPath)
+      : url.searchParams.get('date');
+
+    return slotTime ? invalidateSlot(slotTime) : 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Empties the cache.
+ */
+function clear() {
+  entries.clear();
+}
+
+/**
+ * Returns cache hit and miss statistics.
+ *
+ * @returns {Object} Cache statistics
+ */
+function getStats() {
+  const lookups = stats.hits + stats.coveredHits + stats.misses;
+  return {
+    ...stats,
+    entries: entries.size,
+    hitRate: lookups > 0 ? (stats.hits + stats.coveredHits) / lookups : 0,
+    ttlSeconds: config.calendly.availabilityCacheTtlSeconds
+  };
+}
+
+module.exports = {
+  get,
+  set,
+  invalidateRange,
+  invalidateSlot,
+  invalidateSchedulingUrl,
+  clear,
+  getStats
+};
@@ -0,0 +1,145 @@
+// src/services/bookingEventStore.js
+const { createJsonStore } = require('../utils/json-store');
+const { normalizePhoneNumber } = require('../utils/phone-utils');
+const { DEFAULT_TENANT_ID } = require('../config/tenants');
+
+// Keep the store bounded; older events are dropped first
+const MAX_STORED_EVENTS = 1000;
+
+const store = createJsonStore('calendly-events', []);
+let events = store.load();
+
+/**
+ * Extracts the invitee's phone number from a Calendly invitee payload,
+ * checking the text reminder number first and then any phone-like answers.
+ * 
+ * @param {Object} invitee - Calendly invitee payload
+ * @returns {String|null} Normalized phone number
+ */
+function extractPhoneNumber(invitee) {
+  if (invitee.text_reminder_number) {
+    return normalizePhoneNumber(invitee.text_reminder_number);
+  }
+  
+  const phoneAnswer = (invitee.questions_and_answers || []).find(qa =>
+    /phone|mobile|cell/i.test(qa.question || '') && qa.answer
+  );
+  
+  return phoneAnswer ? normalizePhoneNumber(phoneAnswer.answer) : null;
+}
+
+/**
+ * Stores a verified Calendly webhook event. Duplicate deliveries of the
+ * same event are ignored.
+ * 
+ * @param {Object} webhook - Calendly webhook body ({ event, created_at, payload })
+ * @param {String} tenantId - Tenant whose Calendly account sent the event
+ * @returns {Object} The stored event record
+ */
+function recordEvent(webhook, tenantId = DEFAULT_TENANT_ID) {
+  const invitee = webhook.payload || {};
+  const scheduledEvent = invitee.scheduled_event || {};
+  const id = `${webhook.event}:${invitee.uri}`;
+  
+  const existing = events.find(event => event.id === id);
+  if (existing) {
+    return existing;
+  }
+  
+  const record = {
+    id,
+    tenantId,
+    event: webhook.event,
+    createdAt: webhook.created_at,
+    receivedAt: new Date().toISOString(),
+    inviteeUri: invitee.uri,
+    eventUri: scheduledEvent.uri,
+    eventTypeUri: scheduledEvent.event_type,
+    eventName: scheduledEvent.name,
+    startTime: scheduledEvent.start_time,
+    endTime: scheduledEvent.end_time,
+    name: invitee.name,
+    email: invitee.email,
+    phoneNumber: extractPhoneNumber(invitee),
+    timezone: invitee.timezone,
+    rescheduled: Boolean(invitee.rescheduled),
+    cancelUrl: invitee.cancel_url,
+    rescheduleUrl: invitee.reschedule_url,
+    tracking: invitee.tracking || {}
+  };
+  
+  events.push(record);
+  if (events.length > MAX_STORED_EVENTS) {
+    events = events.slice(-MAX_STORED_EVENTS);
+  }
+  store.save(events);
+  
+  return record;
+}
+
+/**
+ * Finds stored events for a caller's phone number, newest first.
+ * 
+ * @param {String} phoneNumber - Caller phone number in any format
+ * @returns {Array} Matching event records
+ */
+function findByPhoneNumber(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    return [];
+  }
+  
+  return events
+    .filter(event => event.phoneNumber === normalized)
+    .reverse();
+}
+
+/**
+ * Finds a caller's upcoming bookings with a tenant from stored webhook
+ * events: bookings that start within the window and haven't been canceled
+ * (or rescheduled, which Calendly reports as a cancellation of the old
+ * booking). Events stored before records had a tenant belong to the
+ * default tenant.
+ * 
+ * @param {String} phoneNumber - Caller phone number in any format
+ * @param {Date} until - Latest start time to include
+ * @param {String} tenantId - Tenant the bookings were made with
+ * @returns {Array} invitee.created records, soonest first
+ */
+function findUpcomingBookings(phoneNumber, until, tenantId) {
+  const records = findByPhoneNumber(phoneNumber)
+    .filter(record => (record.tenantId || DEFAULT_TENANT_ID) === tenantId);
+  const canceled = new Set(events
+    .filter(record => record.event === 'invitee.canceled')
+    .map(record => record.inviteeUri));
+  const now = new Date().toISOString();
+  
+  return records
+    .filter(record => record.event === 'invitee.created' && !canceled.has(record.inviteeUri))
+    .filter(record => record.startTime > now && record.startTime <= until.toISOString())
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+}
+
+/**
+ * Lists stored events, newest first, with optional filters.
+ * 
+ * @param {Object} filters - Optional filters
+ * @param {String} filters.event - Event name (invitee.created / invitee.canceled)
+ * @param {String} filters.since - Only events received at or after this ISO timestamp
+ * @param {Number} filters.limit - Maximum number of events to return
+ * @returns {Array} Event records
+ */
+function getEvents({ event, since, limit = 100 } = {}) {
+  return events
+    .filter(record => !event || record.event === event)
+    .filter(record => !since || record.receivedAt >= since)
+    .reverse()
+    .slice(0, limit);
+}
+
+module.exports = {
+  recordEvent,
+  findByPhoneNumber,
+  findUpcomingBookings,
+  getEvents
+};
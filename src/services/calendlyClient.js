@@ -0,0 +1,140 @@
+// src/services/calendlyClient.js
+const axios = require('axios');
+const config = require('../config/environment');
+const { toCalendlyError } = require('../utils/errors');
+const metrics = require('./metrics');
+const { getRequestId } = require('../utils/request-context');
+
+// Backoff between retries: 250ms, 500ms, ... (with full jitter), capped at 2s
+const RETRY_BASE_DELAY_MS = 250;
+const RETRY_MAX_DELAY_MS = 2000;
+
+// Longest Retry-After we will wait out while a caller is on the line
+const MAX_RETRY_AFTER_MS = 5000;
+
+// Methods that are safe to repeat after a timeout or 5xx
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'delete'];
+
+/**
+ * Decides how long to wait before retrying a failed request, or returns
+ * null if it should not be retried.
+ *
+ * @param {Error} error - Axios error
+ * @param {Number} attempt - Number of retries already made
+ * @returns {Number|null} Delay in milliseconds, or null to give up
+ */
+function getRetryDelay(error, attempt) {
+  if (attempt >= config.calendly.maxRetries) {
+    return null;
+  }
+
+  const status = error.response?.status;
+  const method = (error.config?.method || 'get').toLowerCase();
+
+  if (status === 429) {
+    // Rate limited requests were not processed, so any method can be retried
+    const retryAfter = error.response.headers?.['retry-after'];
+    if (retryAfter) {
+      const seconds = parseInt(retryAfter, 10);
+      const delay = isNaN(seconds)
+        ? new Date(retryAfter).getTime() - Date.now()
+        : seconds * 1000;
+      return delay >= 0 && delay <= MAX_RETRY_AFTER_MS ? delay : null;
+    }
+  } else if (error.response) {
+    // Only retry server errors for requests that are safe to repeat
+    if (status < 500 || !IDEMPOTENT_METHODS.includes(method)) {
+      return null;
+    }
+  } else if (!IDEMPOTENT_METHODS.includes(method) && error.code !== 'ECONNREFUSED') {
+    // Timeouts on bookings may have gone through; only retry if never sent
+    return null;
+  }
+
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Creates a Calendly API client with a per-request timeout, retries with
+ * jittered backoff (honouring Retry-After on 429s), typed errors, and
+ * latency metrics for every attempt.
+ *
+ * @param {String} apiToken - Calendly personal access token
+ * @returns {Object} Axios instance
+ */
+function createCalendlyClient(apiToken) {
+  const client = axios.create({
+    baseURL: config.calendly.baseUrl,
+    timeout: config.calendly.timeoutMs,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiToken}`
+    }
+  });
+
+  // Pass on the request ID so Calendly calls can be matched to our logs
+  client.interceptors.request.use(requestConfig => {
+    const requestId = getRequestId();
+    if (requestId) {
+      requestConfig.headers['X-Request-Id'] = requestId;
+    }
+    return requestConfig;
+  });
+
+  // Added before the retry handler so each attempt is timed on its own
+  metrics.instrumentAxios(client, 'calendly');
+
+  client.interceptors.response.use(null, async (error) => {
+    const requestConfig = error.config;
+    if (!requestConfig) {
+      throw toCalendlyError(error, 'Calendly request failed');
+    }
+
+    const attempt = requestConfig.retryAttempt || 0;
+    const delay = getRetryDelay(error, attempt);
+
+    if (delay === null) {
+      throw toCalendlyError(error, 'Calendly request failed');
+    }
+
+    console.warn(`Calendly request ${requestConfig.method?.toUpperCase()} ${requestConfig.url} failed ` +
+      `(${error.response?.status || error.code}), retrying in ${delay}ms`);
+
+    await new Promise(resolve => setTimeout(resolve, delay));
+    requestConfig.retryAttempt = attempt + 1;
+    return client.request(requestConfig);
+  });
+
+  return client;
+}
+
+/**
+ * Fetches every page of a paginated Calendly collection by following
+ * pagination.next_page.
+ *
+ * @param {Object} client - Calendly API client
+ * @param {String} path - Collection path (e.g. '/event_types')
+ * @param {Object} params - Query parameters for the first page
+ * @param {Number} maxPages - Safety limit on pages fetched (default: 20)
+ * @returns {Promise<Array>} All items in the collection
+ */
+async function getAllPages(client, path, params = {}, maxPages = 20) {
+  const items = [];
+  let response = await client.get(path, { params: { count: 100, ...params } });
+  items.push(...response.data.collection);
+
+  let pages = 1;
+  while (response.data.pagination?.next_page && pages < maxPages) {
+    response = await client.get(response.data.pagination.next_page);
+    items.push(...response.data.collection);
+    pages++;
+  }
+
+  return items;
+}
+
+module.exports = {
+  createCalendlyClient,
+  getAllPages
+};
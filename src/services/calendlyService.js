@@ -1,27 +1,43 @@
 // src/services/calendlyService.js
-const axios = require('axios');
 const config = require('../config/environment');
+const scheduleConfig = require('../config/schedule');
+const bookingEventStore = require('./bookingEventStore');
+const availabilityCache = require('./availabilityCache');
+const { createCalendlyClient, getAllPages } = require('./calendlyClient');
+const { toCalendlyError } = require('../utils/errors');
+const { getTenant } = require('../utils/request-context');
+const timeUtils = require('../utils/time-utils');
+const { normalizePhoneNumber } = require('../utils/phone-utils');
 
-// Create Calendly API client with authentication
-const calendlyApi = axios.create({
-  baseURL: config.calendly.baseUrl,
-  headers: {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${config.calendly.apiToken}`
+// Calendly API clients, one per token so each tenant uses its own account
+const calendlyClients = new Map();
+
+/**
+ * Gets the Calendly API client for the current request's tenant.
+ * 
+ * @returns {Object} Calendly API client with authentication, retries and timeouts
+ */
+function getCalendlyApi() {
+  const { apiToken } = getTenant().calendly;
+  
+  if (!calendlyClients.has(apiToken)) {
+    calendlyClients.set(apiToken, createCalendlyClient(apiToken));
   }
-});
+  return calendlyClients.get(apiToken);
+}
 
 /**
  * Gets the current time for availability calculations.
  * 
  * @param {String} timezone - Optional timezone (default: 'UTC')
+ * @param {String} locale - Locale for the readable time (default: 'en-US')
  * @returns {Object} Current time information
  */
-function getCurrentTime(timezone = 'UTC') {
+function getCurrentTime(timezone = 'UTC', locale = 'en-US') {
   const now = new Date();
   return {
     timestamp: now.toISOString(),
-    readable: now.toLocaleString('en-US', { 
+    readable: now.toLocaleString(locale, { 
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -36,130 +52,132 @@ function getCurrentTime(timezone = 'UTC') {
 }
 
 /**
- * Returns the next Monday after the given date.
+ * Returns the Monday (as a calendar date) of the week containing the given
+ * instant, as seen in the given time zone. Weeks run Monday through Sunday.
+ * 
+ * @param {Date} date - Instant within the week
+ * @param {String} timeZone - Time zone identifier
+ * @returns {Object} Calendar date { year, month, day, weekday } of that Monday
+ */
+function getStartOfWeek(date, timeZone) {
+  const today = timeUtils.getZonedParts(date, timeZone);
+  // Adjust: if Sunday, go back 6 days; otherwise, go back (weekday - 1)
+  const diff = today.weekday === 0 ? -6 : 1 - today.weekday;
+  return timeUtils.addCalendarDays(today, diff);
+}
+
+/**
+ * Returns the instants at which a calendar day starts and ends in a time zone.
  * 
- * @param {Date} date - Starting date
- * @returns {Date} Date of next Monday
+ * @param {Object} day - Calendar date { year, month, day }
+ * @param {String} timeZone - Time zone identifier
+ * @returns {Object} { start, end } where end is the last millisecond of the day
  */
-function getNextMonday(date) {
-  const result = new Date(date);
-  const day = result.getDay();
-  // If Sunday (0) then diff = 1; otherwise diff = 8 - day.
-  const diff = (day === 0 ? 1 : 8 - day);
-  result.setDate(result.getDate() + diff);
-  result.setHours(0, 0, 0, 0);
-  return result;
+function getZonedDayBounds(day, timeZone) {
+  const start = timeUtils.zonedTimeToDate(day, timeZone);
+  const nextDay = timeUtils.zonedTimeToDate(timeUtils.addCalendarDays(day, 1), timeZone);
+  return { start, end: new Date(nextDay.getTime() - 1) };
 }
 
 /**
- * Returns the start (Monday) of the current week.
+ * Formats a date range for reading back to the caller.
  * 
- * @param {Date} date - Date within the week
- * @returns {Date} First day of the week containing the date
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {String} timeZone - Time zone identifier
+ * @param {String} locale - Locale to format in (default: 'en-US')
+ * @returns {Object} Readable { start, end } strings
  */
-function getStartOfWeek(date) {
-  const result = new Date(date);
-  const day = result.getDay();
-  // Adjust: if Sunday, subtract 6 days; otherwise, subtract (day - 1)
-  const diff = result.getDate() - day + (day === 0 ? -6 : 1);
-  result.setDate(diff);
-  result.setHours(0, 0, 0, 0);
-  return result;
+function getReadableRange(start, end, timeZone, locale = 'en-US') {
+  const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone };
+  return {
+    start: start.toLocaleString(locale, options),
+    end: end.toLocaleString(locale, options)
+  };
 }
 
 /**
  * Returns a date range based on the week offset and (optional) specific date.
+ * Days and weeks are calculated on the caller's local clock.
  * 
  * @param {Number} weekOffset - Week offset from current week
- * @param {String} specificDate - Optional specific date
+ * @param {String} specificDate - Optional specific date (YYYY-MM-DD)
+ * @param {String} timeZone - Time zone to calculate days in (default: 'UTC')
+ * @param {String} eventTypeUrl - Event type whose working hours apply to "today" (optional)
+ * @param {String} locale - Locale for the readable range (default: 'en-US')
  * @returns {Object} Date range with start and end times
  */
-function getDateRange(weekOffset = 0, specificDate = null) {
-  const now = getCurrentTime().raw;
+function getDateRange(weekOffset = 0, specificDate = null, timeZone = 'UTC', eventTypeUrl = null, locale = 'en-US') {
+  const now = getCurrentTime(timeZone).raw;
   const SAFETY_BUFFER_MS = 5 * 60 * 1000;    // 5 minutes
-  const WORKDAY_START_HOUR = 9;             // 9 AM
-  const WORKDAY_END_HOUR = 17;             // 5 PM
+  const { workingHours } = scheduleConfig.getSchedule(eventTypeUrl);
 
   // If a specific date is provided
   if (specificDate) {
-    const startTime = new Date(specificDate);
+    // Read the calendar date as written, rather than as a UTC instant
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(specificDate);
+    const requestedDay = match
+      ? { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) }
+      : timeUtils.getZonedParts(new Date(specificDate), timeZone);
 
     // Detect if specificDate is "today"
-    const requestedDateStr = startTime.toDateString();
-    const nowDateStr = now.toDateString();
-    const isToday = (requestedDateStr === nowDateStr);
+    const isToday = timeUtils.formatCalendarDate(requestedDay) ===
+      timeUtils.getZonedDateString(now, timeZone);
 
     if (isToday) {
       // "Today" logic:
       const nowPlusBuffer = new Date(now.getTime() + SAFETY_BUFFER_MS);
 
       // Set up working hours on the requested date
-      const workingDayStart = new Date(specificDate);
-      workingDayStart.setHours(WORKDAY_START_HOUR, 0, 0, 0);
-
-      const workingDayEnd = new Date(specificDate);
-      workingDayEnd.setHours(WORKDAY_END_HOUR, 0, 0, 0);
+      const workingDayStart = timeUtils.zonedTimeToDate({ ...requestedDay, minute: workingHours.start }, timeZone);
+      const workingDayEnd = timeUtils.zonedTimeToDate({ ...requestedDay, minute: workingHours.end }, timeZone);
 
-      // Clamp today's startTime to "now+buffer" or 9 AM, whichever is later
-      if (nowPlusBuffer > workingDayStart) {
-        startTime.setTime(nowPlusBuffer.getTime());
-      } else {
-        startTime.setTime(workingDayStart.getTime());
-      }
+      // Clamp today's startTime to "now+buffer" or the start of the working day, whichever is later
+      const startTime = new Date(Math.max(nowPlusBuffer.getTime(), workingDayStart.getTime()));
 
-      // If it's already past 5 PM, effectively no availability
+      // If the working day is already over, effectively no availability
       if (startTime > workingDayEnd) {
         startTime.setTime(workingDayEnd.getTime());
       }
 
-      // End is always 5 PM for today
+      // End is always the end of the working day for today
       const endTime = workingDayEnd;
       return { startTime, endTime };
     } else {
-      // For future/past days: full day (00:00–23:59)
-      startTime.setHours(0, 0, 0, 0);
-      const endTime = new Date(startTime);
-      endTime.setHours(23, 59, 59, 999);
-      return { startTime, endTime };
+      // For future/past days: full local day (00:00–23:59)
+      const { start, end } = getZonedDayBounds(requestedDay, timeZone);
+      return { startTime: start, endTime: end };
     }
   }
 
   // For week-based requests
+  const monday = getStartOfWeek(now, timeZone);
+
   if (weekOffset === 0) {
     // Current week
-    const fullWeekStart = getStartOfWeek(now);
-    const fullWeekEnd = new Date(fullWeekStart);
-    fullWeekEnd.setDate(fullWeekStart.getDate() + 6);
-    fullWeekEnd.setHours(23, 59, 59, 999);
+    const fullWeekStart = getZonedDayBounds(monday, timeZone).start;
+    const fullWeekEnd = getZonedDayBounds(timeUtils.addCalendarDays(monday, 6), timeZone).end;
 
     const schedulingBuffer = 3 * 60 * 60 * 1000; // 3 hours
 
     const minStartTime = new Date(now.getTime() + schedulingBuffer);
     
     // Check if it's weekend and close to week end
-    const dayOfWeek = now.getDay(); // 0 = Sunday, 6 = Saturday
+    const dayOfWeek = timeUtils.getZonedParts(now, timeZone).weekday; // 0 = Sunday, 6 = Saturday
     const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
     const hoursUntilWeekEnd = (fullWeekEnd.getTime() - now.getTime()) / (1000 * 60 * 60);
     
     if (isWeekend && hoursUntilWeekEnd < 12) {
       // If it's weekend and less than 12 hours left in the week,
       // automatically move to next week
-      const nextWeekStart = getNextMonday(now);
-      const nextWeekEnd = new Date(nextWeekStart);
-      nextWeekEnd.setDate(nextWeekStart.getDate() + 6);
-      nextWeekEnd.setHours(23, 59, 59, 999);
+      const nextMonday = timeUtils.addCalendarDays(monday, 7);
+      const nextWeekStart = getZonedDayBounds(nextMonday, timeZone).start;
+      const nextWeekEnd = getZonedDayBounds(timeUtils.addCalendarDays(nextMonday, 6), timeZone).end;
       
       return {
         startTime: nextWeekStart,
         endTime: nextWeekEnd,
-        readable: {
-          start: nextWeekStart.toLocaleString('en-US', {
-            weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
-          }),
-          end: nextWeekEnd.toLocaleString('en-US', {
-            weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
-          })
-        }
+        readable: getReadableRange(nextWeekStart, nextWeekEnd, timeZone, locale)
       };
     }
 
@@ -176,44 +194,26 @@ function getDateRange(weekOffset = 0, specificDate = null) {
     return {
       startTime: apiStartTime,
       endTime: fullWeekEnd,
-      readable: {
-        start: fullWeekStart.toLocaleString('en-US', {
-          weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
-        }),
-        end: fullWeekEnd.toLocaleString('en-US', {
-          weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
-        })
-      }
+      readable: getReadableRange(fullWeekStart, fullWeekEnd, timeZone, locale)
     };
   } else {
     // Future week
-    let nextMonday = getNextMonday(now);
-    if (weekOffset > 1) {
-      nextMonday.setDate(nextMonday.getDate() + (weekOffset - 1) * 7);
-    }
+    const weekMonday = timeUtils.addCalendarDays(monday, 7 * weekOffset);
     
-    const startTime = new Date(nextMonday);
-    const endTime = new Date(startTime);
-    endTime.setDate(startTime.getDate() + 6);
-    endTime.setHours(23, 59, 59, 999);
+    const startTime = getZonedDayBounds(weekMonday, timeZone).start;
+    const endTime = getZonedDayBounds(timeUtils.addCalendarDays(weekMonday, 6), timeZone).end;
     
     return { 
       startTime,
       endTime,
-      readable: {
-        start: startTime.toLocaleString('en-US', { 
-          weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' 
-        }),
-        end: endTime.toLocaleString('en-US', { 
-          weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' 
-        })
-      }
+      readable: getReadableRange(startTime, endTime, timeZone, locale)
     };
   }
 }
 
 /**
- * Gets available time slots from Calendly API.
+ * Gets available time slots from Calendly API. Responses are cached briefly,
+ * and a cached week is reused for days inside it.
  * 
  * @param {String} eventType - Calendly event type URI
  * @param {Date} startTime - Start of the time range
@@ -221,11 +221,17 @@ function getDateRange(weekOffset = 0, specificDate = null) {
  * @returns {Promise<Object>} Availability response
  */
 async function getAvailabilityData(eventType, startTime, endTime) {
+  const cached = availabilityCache.get(eventType, startTime, endTime);
+  if (cached) {
+    console.log(`Using cached availability for event type: ${eventType}`);
+    return cached;
+  }
+  
   try {
     console.log(`Fetching availability for event type: ${eventType}`);
     console.log(`Time range: ${startTime.toISOString()} to ${endTime.toISOString()}`);
     
-    const response = await calendlyApi.get('/event_type_available_times', {
+    const response = await getCalendlyApi().get('/event_type_available_times', {
       params: {
         event_type: eventType,
         start_time: startTime.toISOString(),
@@ -234,59 +240,77 @@ async function getAvailabilityData(eventType, startTime, endTime) {
     });
     
     console.log(`Received ${response.data.collection?.length || 0} available time slots`);
+    availabilityCache.set(eventType, startTime, endTime, response.data);
     return response.data;
   } catch (error) {
-    console.error('Error fetching availability:', error.response?.data || error);
-    throw new Error('Failed to fetch availability');
+    console.error('Error fetching availability:', error.data || error);
+    throw toCalendlyError(error, 'Failed to fetch availability');
   }
 }
 
 /**
- * Processes availability data into day-based summary.
+ * Returns a slot's local time of day in minutes since midnight.
+ * 
+ * @param {Date} date - Slot start
+ * @param {String} timeZone - Time zone identifier
+ * @returns {Number} Minutes since local midnight
+ */
+function getLocalMinutes(date, timeZone) {
+  const parts = timeUtils.getZonedParts(date, timeZone);
+  return parts.hour * 60 + parts.minute;
+}
+
+/**
+ * Processes availability data into day-based summary, grouping slots by the
+ * caller's local day and the configured periods of the day.
  * 
  * @param {Object} availabilityData - Raw availability data from API
+ * @param {String} timeZone - Time zone to bucket slots in (default: 'UTC')
+ * @param {String} eventTypeUrl - Event type whose periods apply (optional)
+ * @param {String} locale - Locale for day names (default: 'en-US')
  * @returns {Object} Processed availability summary
  */
-function processAvailabilityToSummary(availabilityData) {
+function processAvailabilityToSummary(availabilityData, timeZone = 'UTC', eventTypeUrl = null, locale = 'en-US') {
+  const schedule = scheduleConfig.getSchedule(eventTypeUrl);
   const summary = {};
   
   availabilityData.collection.forEach(slot => {
     const date = new Date(slot.start_time);
-    const dayName = date.toLocaleDateString('en-US', { weekday: 'long' });
-    const hour = date.getUTCHours();
+    const dayName = date.toLocaleDateString(locale, { weekday: 'long', timeZone });
     
     if (!summary[dayName]) {
-      summary[dayName] = {
-        morning: "NO",
-        afternoon: "NO",
-        date: date.toISOString().split('T')[0]
-      };
+      summary[dayName] = {};
+      schedule.periods.forEach(period => {
+        summary[dayName][period.name] = "NO";
+      });
+      summary[dayName].date = timeUtils.getZonedDateString(date, timeZone);
     }
     
-    if (hour >= 5 && hour < 12) {
-      summary[dayName].morning = "YES";
-    } else if (hour >= 12 && hour < 17) {
-      summary[dayName].afternoon = "YES";
-    }
+    scheduleConfig.getPeriodsForTime(getLocalMinutes(date, timeZone), schedule).forEach(name => {
+      summary[dayName][name] = "YES";
+    });
   });
   
   return summary;
 }
 
 /**
- * Processes availability data into time slots for a specific period.
+ * Processes availability data into time slots for a specific period,
+ * using the caller's local clock for both the period and spoken times.
  * 
  * @param {Object} availabilityData - Raw availability data from API
- * @param {String} period - Period of the day (morning/afternoon)
+ * @param {String} period - Configured period of the day (e.g. morning/afternoon/evening)
  * @param {Number} eventDuration - Duration of the event in minutes
+ * @param {String} timeZone - Time zone to format times in (default: 'UTC')
+ * @param {String} eventTypeUrl - Event type whose periods apply (optional)
+ * @param {String} locale - Locale for spoken times (default: 'en-US')
  * @returns {Array} Processed time slots
  */
-function processTimeSlotsForPeriod(availabilityData, period, eventDuration = 30) {
+function processTimeSlotsForPeriod(availabilityData, period, eventDuration = 30, timeZone = 'UTC', eventTypeUrl = null, locale = 'en-US') {
+  const schedule = scheduleConfig.getSchedule(eventTypeUrl);
   const periodSlots = availabilityData.collection.filter(slot => {
-    const hour = new Date(slot.start_time).getUTCHours();
-    return period === 'morning'
-      ? (hour >= 5 && hour < 12)
-      : (hour >= 12 && hour < 17);
+    const minutes = getLocalMinutes(new Date(slot.start_time), timeZone);
+    return scheduleConfig.getPeriodsForTime(minutes, schedule).includes(period);
   });
 
   let processedSlots = [];
@@ -303,8 +327,8 @@ function processTimeSlotsForPeriod(availabilityData, period, eventDuration = 30)
     let currentTime = new Date(slotStart);
     while (currentTime < slotEnd) {
       processedSlots.push({
-        time: currentTime.toLocaleTimeString('en-US', { 
-          hour: 'numeric', minute: '2-digit', timeZone: 'UTC'
+        time: currentTime.toLocaleTimeString(locale, { 
+          hour: 'numeric', minute: '2-digit', timeZone
         }),
         timestamp: currentTime.toISOString(),
         scheduling_url: slot.scheduling_url
@@ -317,6 +341,367 @@ function processTimeSlotsForPeriod(availabilityData, period, eventDuration = 30)
   return processedSlots;
 }
 
+// Calendly limits availability requests to a 7-day window
+const MAX_AVAILABILITY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Validates and normalizes the filters accepted by findNextAvailable, from
+ * either query parameters or function-call parameters.
+ * 
+ * @param {Object} params - Raw parameters
+ * @param {String} params.eventTypeUrl - Calendly event type URI
+ * @param {Number|String} params.limit - Number of slots to return (default: 3)
+ * @param {Number|String} params.horizonDays - Days to search ahead (capped by config)
+ * @param {Array|String} params.weekdays - Weekday names, as an array or comma-separated
+ * @param {String} params.period - Configured period of the day
+ * @param {String} params.earliestTime - Earliest local start time ("HH:MM")
+ * @param {String} params.latestTime - Latest local start time ("HH:MM")
+ * @returns {Object} { filters } on success or { error } describing the invalid input
+ */
+function parseNextAvailableFilters(params) {
+  const { eventTypeUrl, period } = params;
+  const maxHorizon = config.calendly.availabilityHorizonDays;
+  
+  if (!eventTypeUrl) {
+    return { error: 'Missing required parameter: eventTypeUrl' };
+  }
+  
+  const limit = parseInt(params.limit || 3, 10);
+  if (isNaN(limit) || limit < 1 || limit > 20) {
+    return { error: 'Invalid parameter: limit must be between 1 and 20' };
+  }
+  
+  const horizonDays = Math.min(parseInt(params.horizonDays || maxHorizon, 10), maxHorizon);
+  if (isNaN(horizonDays) || horizonDays < 1) {
+    return { error: 'Invalid parameter: horizonDays must be a positive number' };
+  }
+  
+  let weekdays = null;
+  if (params.weekdays && params.weekdays.length > 0) {
+    const names = Array.isArray(params.weekdays) ? params.weekdays : String(params.weekdays).split(',');
+    weekdays = names.map(name => WEEKDAY_NAMES.indexOf(String(name).trim().toLowerCase()));
+    if (weekdays.includes(-1)) {
+      return { error: 'Invalid parameter: weekdays must be day names such as "monday,wednesday"' };
+    }
+  }
+  
+  if (period && !scheduleConfig.isValidPeriod(period, eventTypeUrl)) {
+    return { error: `Invalid parameter: period "${period}" is not configured for this event type` };
+  }
+  
+  let earliestTime = null;
+  let latestTime = null;
+  try {
+    earliestTime = params.earliestTime ? timeUtils.parseTimeOfDay(params.earliestTime) : null;
+    latestTime = params.latestTime ? timeUtils.parseTimeOfDay(params.latestTime) : null;
+  } catch (error) {
+    return { error: `Invalid parameter: ${error.message} (use HH:MM)` };
+  }
+  
+  return {
+    filters: { eventTypeUrl, limit, horizonDays, weekdays, period, earliestTime, latestTime }
+  };
+}
+
+/**
+ * Searches forward from now for the earliest available slots, one 7-day
+ * Calendly window at a time, stopping once enough matching slots are found.
+ * 
+ * @param {Object} filters - Filters from parseNextAvailableFilters
+ * @param {String} timeZone - Caller's time zone, used for all filters and formatting
+ * @param {String} locale - Locale for spoken days and times (default: 'en-US')
+ * @returns {Promise<Array>} Earliest matching slots
+ */
+async function findNextAvailable(filters, timeZone = 'UTC', locale = 'en-US') {
+  const { eventTypeUrl, limit, horizonDays, weekdays, period, earliestTime, latestTime } = filters;
+  const schedule = scheduleConfig.getSchedule(eventTypeUrl);
+  
+  // Calendly rejects start times in the past, so start slightly ahead of now
+  let windowStart = new Date(Date.now() + 60 * 1000);
+  const horizonEnd = new Date(windowStart.getTime() + horizonDays * 24 * 60 * 60 * 1000);
+  const slots = [];
+  
+  while (windowStart < horizonEnd && slots.length < limit) {
+    const windowEnd = new Date(Math.min(
+      windowStart.getTime() + MAX_AVAILABILITY_WINDOW_MS - 1000,
+      horizonEnd.getTime()
+    ));
+    
+    const availabilityData = await getAvailabilityData(eventTypeUrl, windowStart, windowEnd);
+    
+    for (const slot of availabilityData.collection) {
+      const start = new Date(slot.start_time);
+      const parts = timeUtils.getZonedParts(start, timeZone);
+      const minutes = parts.hour * 60 + parts.minute;
+      
+      if (weekdays && !weekdays.includes(parts.weekday)) continue;
+      if (period && !scheduleConfig.getPeriodsForTime(minutes, schedule).includes(period)) continue;
+      if (earliestTime !== null && minutes < earliestTime) continue;
+      if (latestTime !== null && minutes > latestTime) continue;
+      
+      slots.push({
+        date: timeUtils.formatCalendarDate(parts),
+        day: start.toLocaleDateString(locale, { weekday: 'long', month: 'long', day: 'numeric', timeZone }),
+        time: start.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit', timeZone }),
+        timestamp: start.toISOString(),
+        scheduling_url: slot.scheduling_url
+      });
+      
+      if (slots.length >= limit) break;
+    }
+    
+    windowStart = new Date(windowEnd.getTime() + 1000);
+  }
+  
+  return slots;
+}
+
+/**
+ * Books a time slot directly through the Calendly scheduling API, creating
+ * the invitee without the caller having to open a scheduling link.
+ * 
+ * @param {String} eventType - Calendly event type URI
+ * @param {String} startTime - Slot start time as an ISO 8601 timestamp
+ * @param {Object} invitee - Invitee details
+ * @param {String} invitee.name - Invitee's full name
+ * @param {String} invitee.email - Invitee's email address
+ * @param {String} invitee.timezone - Invitee's IANA time zone
+ * @param {String} invitee.phoneNumber - Optional number for text reminders
+ * @returns {Promise<Object>} The confirmed booking (name and end_time are null
+ *   if the scheduled event couldn't be fetched afterwards)
+ */
+async function bookAppointment(eventType, startTime, invitee) {
+  try {
+    console.log(`Booking ${startTime} for event type: ${eventType}`);
+    
+    const inviteePayload = {
+      name: invitee.name,
+      email: invitee.email,
+      timezone: invitee.timezone
+    };
+    if (invitee.phoneNumber) {
+      inviteePayload.text_reminder_number = invitee.phoneNumber;
+    }
+    
+    const response = await getCalendlyApi().post('/invitees', {
+      event_type: eventType,
+      start_time: new Date(startTime).toISOString(),
+      invitee: inviteePayload
+    });
+    
+    const resource = response.data.resource;
+    
+    // The caller is booked once the invitee is created, so the booking is
+    // built from it; the scheduled event only adds its name and end time
+    const booking = {
+      event_uri: resource.event,
+      invitee_uri: resource.uri,
+      name: null,
+      status: resource.status || 'active',
+      start_time: new Date(startTime).toISOString(),
+      end_time: null,
+      cancel_url: resource.cancel_url,
+      reschedule_url: resource.reschedule_url
+    };
+    console.log(`Booking confirmed: ${booking.event_uri}`);
+    availabilityCache.invalidateSlot(booking.start_time, eventType);
+    
+    try {
+      const eventResponse = await getCalendlyApi().get(
+        `/scheduled_events/${resource.event.split('/').pop()}`
+      );
+      const event = eventResponse.data.resource;
+      Object.assign(booking, {
+        name: event.name,
+        status: event.status,
+        start_time: event.start_time,
+        end_time: event.end_time
+      });
+    } catch (error) {
+      console.warn(`Booked ${booking.event_uri} but could not fetch its details: ${error.message}`);
+    }
+    
+    return booking;
+  } catch (error) {
+    console.error('Error booking appointment:', error.data || error);
+    throw toCalendlyError(error, 'Failed to book appointment');
+  }
+}
+
+/**
+ * Checks whether a Calendly invitee was booked with the given phone number,
+ * either as the text reminder number or as an answer to a phone question.
+ * 
+ * @param {Object} invitee - Calendly invitee resource
+ * @param {String} phoneNumber - Normalized phone number
+ * @returns {Boolean} Whether the invitee matches
+ */
+function inviteeMatchesPhone(invitee, phoneNumber) {
+  if (normalizePhoneNumber(invitee.text_reminder_number) === phoneNumber) {
+    return true;
+  }
+  
+  return (invitee.questions_and_answers || []).some(qa =>
+    /phone|mobile|cell/i.test(qa.question || '') &&
+    normalizePhoneNumber(qa.answer) === phoneNumber
+  );
+}
+
+// Most upcoming events whose invitees are looked up in Calendly
+const MAX_INVITEE_LOOKUPS = 25;
+
+// Invitee lookups run in parallel in batches of this size
+const INVITEE_LOOKUP_BATCH_SIZE = 5;
+
+/**
+ * Formats a booking for findBookingsByPhoneNumber.
+ * 
+ * @param {Object} event - Scheduled event ({ uri, name, start_time, end_time })
+ * @param {Object} invitee - Invitee ({ uri, name, cancel_url, reschedule_url })
+ * @returns {Object} Booking
+ */
+function formatBooking(event, invitee) {
+  return {
+    event_uri: event.uri,
+    invitee_uri: invitee.uri,
+    name: event.name,
+    invitee_name: invitee.name,
+    start_time: event.start_time,
+    end_time: event.end_time,
+    cancel_url: invitee.cancel_url,
+    reschedule_url: invitee.reschedule_url
+  };
+}
+
+/**
+ * Looks up the caller's bookings in Calendly by checking the invitees of
+ * the soonest upcoming events, at most MAX_INVITEE_LOOKUPS of them, a
+ * batch at a time.
+ * 
+ * @param {String} phoneNumber - Normalized phone number
+ * @param {Date} from - Earliest start time
+ * @param {Date} until - Latest start time
+ * @returns {Promise<Array>} Matching bookings, soonest first
+ */
+async function lookUpBookings(phoneNumber, from, until) {
+  const user = await getCurrentUserResource();
+  const events = await getAllPages(getCalendlyApi(), '/scheduled_events', {
+    user: user.uri,
+    status: 'active',
+    min_start_time: from.toISOString(),
+    max_start_time: until.toISOString(),
+    sort: 'start_time:asc'
+  });
+  
+  if (events.length > MAX_INVITEE_LOOKUPS) {
+    console.warn(`Checking invitees of the first ${MAX_INVITEE_LOOKUPS} of ${events.length} upcoming events`);
+  }
+  const candidates = events.slice(0, MAX_INVITEE_LOOKUPS);
+  
+  const bookings = [];
+  for (let i = 0; i < candidates.length; i += INVITEE_LOOKUP_BATCH_SIZE) {
+    const batch = candidates.slice(i, i + INVITEE_LOOKUP_BATCH_SIZE);
+    const matches = await Promise.all(batch.map(async event => {
+      const invitees = await getAllPages(
+        getCalendlyApi(),
+        `/scheduled_events/${event.uri.split('/').pop()}/invitees`,
+        { status: 'active' }
+      );
+      const invitee = invitees.find(candidate => inviteeMatchesPhone(candidate, phoneNumber));
+      return invitee ? formatBooking(event, invitee) : null;
+    }));
+    bookings.push(...matches.filter(Boolean));
+  }
+  
+  return bookings;
+}
+
+/**
+ * Finds upcoming active bookings made with the caller's phone number in the
+ * current tenant's Calendly account. Bookings stored from the tenant's
+ * webhooks (bookingEventStore) are merged with a live Calendly lookup: the
+ * index covers events past the lookup limit, and the lookup covers bookings
+ * made before the webhook was subscribed. If the lookup fails, the indexed
+ * bookings are still returned.
+ * 
+ * @param {String} phoneNumber - Caller phone number
+ * @param {Object} options - Search options
+ * @param {Number} options.daysAhead - How far ahead to search (default: 60)
+ * @returns {Promise<Array>} Matching bookings, soonest first
+ */
+async function findBookingsByPhoneNumber(phoneNumber, { daysAhead = 60 } = {}) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    return [];
+  }
+  
+  const now = new Date();
+  const maxStart = new Date(now.getTime() + daysAhead * 24 * 60 * 60 * 1000);
+  
+  const indexed = bookingEventStore.findUpcomingBookings(normalized, maxStart, getTenant().id)
+    .map(record => formatBooking(
+      { uri: record.eventUri, name: record.eventName, start_time: record.startTime, end_time: record.endTime },
+      { uri: record.inviteeUri, name: record.name, cancel_url: record.cancelUrl, reschedule_url: record.rescheduleUrl }
+    ));
+  
+  let live;
+  try {
+    live = await lookUpBookings(normalized, now, maxStart);
+  } catch (error) {
+    console.error('Error finding bookings:', error.data || error);
+    if (indexed.length === 0) {
+      throw toCalendlyError(error, 'Failed to look up bookings');
+    }
+    console.warn(`Returning ${indexed.length} bookings from stored webhook events only`);
+    return indexed;
+  }
+  
+  // Calendly's copy is current, so it wins for bookings found both ways
+  const bookings = new Map(indexed.map(booking => [booking.invitee_uri, booking]));
+  live.forEach(booking => bookings.set(booking.invitee_uri, booking));
+  
+  console.log(`Found ${bookings.size} upcoming bookings for caller (${indexed.length} from stored webhook events)`);
+  return [...bookings.values()].sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+}
+
+/**
+ * Cancels a scheduled event through the Calendly API.
+ * 
+ * @param {String} eventUri - Scheduled event URI
+ * @param {String} reason - Cancellation reason shown to the host
+ * @returns {Promise<Object>} Cancellation details
+ */
+async function cancelBooking(eventUri, reason = 'Cancelled by caller via phone assistant') {
+  try {
+    const uuid = eventUri.split('/').pop();
+    const response = await getCalendlyApi().post(`/scheduled_events/${uuid}/cancellation`, { reason });
+    
+    console.log(`Cancelled scheduled event: ${uuid}`);
+    return response.data.resource;
+  } catch (error) {
+    console.error('Error cancelling booking:', error.data || error);
+    throw toCalendlyError(error, 'Failed to cancel booking');
+  }
+}
+
+/**
+ * Maps a Calendly event type resource to the fields we expose.
+ * 
+ * @param {Object} eventType - Calendly event type resource
+ * @returns {Object} Simplified event type
+ */
+function formatEventType(eventType) {
+  return {
+    id: eventType.uri,
+    name: eventType.name,
+    duration: eventType.duration,
+    description: eventType.description_plain || '',
+    url: eventType.scheduling_url
+  };
+}
+
 /**
  * Gets all event types for a user's Calendly account.
  * 
@@ -327,26 +712,51 @@ async function getEventTypes() {
     // Auto-discover the user UUID
     const userUuid = await getCurrentUser();
     
-    // Use the discovered UUID in the request
-    const response = await calendlyApi.get('/event_types', {
-      params: {
-        user: `https://api.calendly.com/users/${userUuid}`
-      }
+    // Use the discovered UUID in the request, following every page
+    const eventTypes = await getAllPages(getCalendlyApi(), '/event_types', {
+      user: `https://api.calendly.com/users/${userUuid}`
     });
     
-    return response.data.collection.map(event => ({
-      id: event.uri,
-      name: event.name,
-      duration: event.duration,
-      description: event.description_plain || '',
-      url: event.scheduling_url
-    }));
+    return eventTypes.map(formatEventType);
+  } catch (error) {
+    console.error('Error fetching event types:', error.data || error);
+    throw toCalendlyError(error, 'Failed to fetch Calendly event types');
+  }
+}
+
+/**
+ * Gets all event types for the account behind another Calendly token.
+ * Used for agent setup before the server's own token is configured.
+ * 
+ * @param {String} apiToken - Calendly personal access token
+ * @returns {Promise<Array>} List of event types
+ */
+async function getEventTypesWithToken(apiToken) {
+  try {
+    const client = createCalendlyClient(apiToken);
+    const userResponse = await client.get('/users/me');
+    
+    const eventTypes = await getAllPages(client, '/event_types', {
+      user: userResponse.data.resource.uri
+    });
+    
+    return eventTypes.map(formatEventType);
   } catch (error) {
-    console.error('Error fetching event types:', error.response?.data || error);
-    throw new Error('Failed to fetch Calendly event types');
+    console.error('Error fetching event types with token:', error.data || error);
+    throw toCalendlyError(error, 'Failed to fetch Calendly event types');
   }
 }
 
+/**
+ * Gets the current user's resource from Calendly.
+ * 
+ * @returns {Promise<Object>} The user resource (uri, current_organization, ...)
+ */
+async function getCurrentUserResource() {
+  const response = await getCalendlyApi().get('/users/me');
+  return response.data.resource;
+}
+
 /**
  * Gets the current user's information from Calendly.
  * 
@@ -354,14 +764,109 @@ async function getEventTypes() {
  */
 async function getCurrentUser() {
   try {
-    const response = await calendlyApi.get('/users/me');
+    const resource = await getCurrentUserResource();
     // Extract UUID from the full URI (https://api.calendly.com/users/{uuid})
-    const userUuid = response.data.resource.uri.split('/').pop();
+    const userUuid = resource.uri.split('/').pop();
     console.log(`Discovered Calendly user UUID: ${userUuid}`);
     return userUuid;
   } catch (error) {
-    console.error('Error discovering Calendly user:', error.response?.data || error);
-    throw new Error('Failed to discover Calendly user. Check your API token.');
+    console.error('Error discovering Calendly user:', error.data || error);
+    throw toCalendlyError(error, 'Failed to discover Calendly user. Check your API token');
+  }
+}
+
+/**
+ * Maps a Calendly webhook subscription resource to the fields we expose.
+ * 
+ * @param {Object} subscription - Calendly webhook subscription resource
+ * @returns {Object} Simplified subscription
+ */
+function formatWebhookSubscription(subscription) {
+  return {
+    id: subscription.uri,
+    url: subscription.callback_url,
+    events: subscription.events,
+    state: subscription.state,
+    scope: subscription.scope,
+    created_at: subscription.created_at
+  };
+}
+
+/**
+ * Lists the webhook subscriptions registered for the current user.
+ * 
+ * @returns {Promise<Array>} Webhook subscriptions
+ */
+async function listWebhookSubscriptions() {
+  try {
+    const user = await getCurrentUserResource();
+    const subscriptions = await getAllPages(getCalendlyApi(), '/webhook_subscriptions', {
+      organization: user.current_organization,
+      user: user.uri,
+      scope: 'user'
+    });
+    
+    return subscriptions.map(formatWebhookSubscription);
+  } catch (error) {
+    console.error('Error listing webhook subscriptions:', error.data || error);
+    throw toCalendlyError(error, 'Failed to list Calendly webhook subscriptions');
+  }
+}
+
+/**
+ * Registers a webhook subscription so Calendly posts invitee events to this
+ * server. Reuses an existing subscription for the same URL if there is one.
+ * 
+ * @param {String} callbackUrl - Public URL of the /api/calendly/webhooks route
+ * @param {Array} events - Events to subscribe to
+ * @returns {Promise<Object>} The created or existing subscription
+ */
+async function createWebhookSubscription(callbackUrl, events = ['invitee.created', 'invitee.canceled']) {
+  if (!config.calendly.webhookSigningKey) {
+    throw new Error('CALENDLY_WEBHOOK_SIGNING_KEY must be set before subscribing to webhooks');
+  }
+  
+  const existing = (await listWebhookSubscriptions()).find(subscription => subscription.url === callbackUrl);
+  if (existing) {
+    console.log(`Webhook subscription already exists for ${callbackUrl}`);
+    return existing;
+  }
+  
+  try {
+    const user = await getCurrentUserResource();
+    const response = await getCalendlyApi().post('/webhook_subscriptions', {
+      url: callbackUrl,
+      events,
+      organization: user.current_organization,
+      user: user.uri,
+      scope: 'user',
+      signing_key: config.calendly.webhookSigningKey
+    });
+    
+    const subscription = response.data.resource;
+    console.log(`Created webhook subscription: ${subscription.uri}`);
+    
+    return formatWebhookSubscription(subscription);
+  } catch (error) {
+    console.error('Error creating webhook subscription:', error.data || error);
+    throw toCalendlyError(error, 'Failed to create Calendly webhook subscription');
+  }
+}
+
+/**
+ * Deletes a webhook subscription.
+ * 
+ * @param {String} subscriptionUri - Subscription URI or UUID
+ * @returns {Promise<void>}
+ */
+async function deleteWebhookSubscription(subscriptionUri) {
+  try {
+    const uuid = subscriptionUri.split('/').pop();
+    await getCalendlyApi().delete(`/webhook_subscriptions/${uuid}`);
+    console.log(`Deleted webhook subscription: ${uuid}`);
+  } catch (error) {
+    console.error('Error deleting webhook subscription:', error.data || error);
+    throw toCalendlyError(error, 'Failed to delete Calendly webhook subscription');
   }
 }
 
@@ -371,6 +876,15 @@ module.exports = {
   getAvailabilityData,
   processAvailabilityToSummary,
   processTimeSlotsForPeriod,
+  parseNextAvailableFilters,
+  findNextAvailable,
+  bookAppointment,
+  findBookingsByPhoneNumber,
+  cancelBooking,
   getEventTypes,
-  getCurrentUser  
+  getEventTypesWithToken,
+  getCurrentUser,
+  listWebhookSubscriptions,
+  createWebhookSubscription,
+  deleteWebhookSubscription
 };
\ No newline at end of file
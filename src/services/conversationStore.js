@@ -0,0 +1,207 @@
+// src/services/conversationStore.js
+const { createJsonStore } = require('../utils/json-store');
+const { normalizePhoneNumber } = require('../utils/phone-utils');
+
+/**
+ * Conversations reported by ElevenLabs post-call webhooks: what was said,
+ * how long the call took, the tools the agent called, and the outcome.
+ */
+
+// Keep the store bounded; older conversations are dropped first
+const MAX_STORED_CONVERSATIONS = 2000;
+
+// Outcomes from best to worst; a call gets the best one it reached
+const OUTCOMES = ['booked', 'sms_sent', 'rescheduled', 'cancelled', 'no_booking'];
+
+const store = createJsonStore('conversations', []);
+let conversations = store.load();
+
+/**
+ * Parses a tool result, which ElevenLabs passes on as the raw response text.
+ *
+ * @param {*} value - Tool result value
+ * @returns {Object|null} Parsed response, or null if it isn't JSON
+ */
+function parseToolResult(value) {
+  if (value && typeof value === 'object') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Collects the tool calls from a transcript with their results. Calls go
+ * through function-handler, so the tool name the agent used is in the
+ * function_name parameter.
+ *
+ * @param {Array} transcript - ElevenLabs transcript turns
+ * @returns {Array} Tool calls as { name, parameters, result, isError, timeInCallSecs }
+ */
+function extractToolCalls(transcript) {
+  const results = new Map();
+  transcript.forEach(turn => (turn.tool_results || []).forEach(result => {
+    results.set(result.request_id, result);
+  }));
+
+  const toolCalls = [];
+  transcript.forEach(turn => (turn.tool_calls || []).forEach(call => {
+    const params = parseToolResult(call.params_as_json) || {};
+    const result = results.get(call.request_id);
+    toolCalls.push({
+      name: params.function_name || call.tool_name,
+      parameters: params.parameters || null,
+      result: result ? parseToolResult(result.result_value) : null,
+      isError: Boolean(result?.is_error),
+      timeInCallSecs: turn.time_in_call_secs ?? null
+    });
+  }));
+  return toolCalls;
+}
+
+/**
+ * Works out how a call ended up from its tool calls.
+ *
+ * @param {Array} toolCalls - Tool calls from extractToolCalls
+ * @returns {String} One of OUTCOMES
+ */
+function determineOutcome(toolCalls) {
+  const reached = new Set(['no_booking']);
+
+  toolCalls.forEach(({ name, result, isError }) => {
+    if (isError || !result?.success) {
+      return;
+    }
+    if (name === 'bookAppointment') {
+      reached.add(result.booked ? 'booked' : 'sms_sent');
+    } else if (name === 'sendBookingSMS') {
+      reached.add('sms_sent');
+    } else if (name === 'rescheduleBooking') {
+      reached.add('rescheduled');
+    } else if (name === 'cancelBooking') {
+      reached.add('cancelled');
+    }
+  });
+
+  return OUTCOMES.find(outcome => reached.has(outcome));
+}
+
+/**
+ * Stores a conversation from a post_call_transcription webhook. A repeated
+ * delivery for the same conversation replaces the earlier record.
+ *
+ * @param {Object} data - Webhook "data" object
+ * @param {Object} details - Details the server already knows
+ * @param {String} details.tenantId - Tenant the call belongs to
+ * @returns {Object} Stored conversation
+ */
+function recordConversation(data, { tenantId = null } = {}) {
+  const metadata = data.metadata || {};
+  const phoneCall = metadata.phone_call || {};
+  const dynamicVariables = data.conversation_initiation_client_data?.dynamic_variables || {};
+  const transcript = Array.isArray(data.transcript) ? data.transcript : [];
+  const toolCalls = extractToolCalls(transcript);
+  const startedAt = metadata.start_time_unix_secs
+    ? new Date(metadata.start_time_unix_secs * 1000).toISOString()
+    : null;
+
+  const record = {
+    conversationId: data.conversation_id,
+    agentId: data.agent_id || null,
+    tenantId,
+    callSid: phoneCall.call_sid || dynamicVariables.system__call_sid || null,
+    callerNumber: normalizePhoneNumber(phoneCall.external_number || dynamicVariables.system__caller_id),
+    calledNumber: normalizePhoneNumber(phoneCall.agent_number || dynamicVariables.system__called_number),
+    status: data.status || null,
+    startedAt,
+    durationSeconds: metadata.call_duration_secs ?? null,
+    terminationReason: metadata.termination_reason || null,
+    callSuccessful: data.analysis?.call_successful || null,
+    summary: data.analysis?.transcript_summary || null,
+    outcome: determineOutcome(toolCalls),
+    toolCalls,
+    transcript: transcript.map(turn => ({
+      role: turn.role,
+      message: turn.message,
+      timeInCallSecs: turn.time_in_call_secs ?? null
+    })),
+    receivedAt: new Date().toISOString()
+  };
+
+  conversations = conversations.filter(conversation => conversation.conversationId !== record.conversationId);
+  conversations.push(record);
+  if (conversations.length > MAX_STORED_CONVERSATIONS) {
+    conversations = conversations.slice(-MAX_STORED_CONVERSATIONS);
+  }
+  store.save(conversations);
+
+  return record;
+}
+
+/**
+ * Gets a stored conversation.
+ *
+ * @param {String} conversationId - ElevenLabs conversation ID
+ * @returns {Object|null} Conversation, or null if not found
+ */
+function getConversation(conversationId) {
+  return conversations.find(conversation => conversation.conversationId === conversationId) || null;
+}
+
+/**
+ * Checks whether a stored caller number matches a search. A full number is
+ * compared after normalizing; a shorter string of digits matches the end of
+ * the number (e.g. the last four digits).
+ *
+ * @param {String} callerNumber - Stored caller number (E.164)
+ * @param {String} search - Number or trailing digits to search for
+ * @returns {Boolean} Whether the caller matches
+ */
+function callerMatches(callerNumber, search) {
+  if (!callerNumber) {
+    return false;
+  }
+  const digits = search.replace(/[^\d]/g, '');
+  const normalized = digits.length >= 7 ? normalizePhoneNumber(search) : null;
+  return normalized ? callerNumber === normalized : digits.length > 0 && callerNumber.endsWith(digits);
+}
+
+/**
+ * Searches stored conversations, newest first.
+ *
+ * @param {Object} filters - Search filters (all optional)
+ * @param {String} filters.from - Earliest start time (ISO date or timestamp)
+ * @param {String} filters.to - Latest start time (ISO date or timestamp; a date includes the whole day)
+ * @param {String} filters.caller - Caller number, or its trailing digits
+ * @param {String} filters.outcome - One of OUTCOMES
+ * @param {String} filters.tenantId - Tenant ID
+ * @param {Number} filters.limit - Most results to return (default 50)
+ * @returns {Array} Matching conversations
+ */
+function searchConversations({ from, to, caller, outcome, tenantId, limit = 50 } = {}) {
+  const fromTime = from ? new Date(from).getTime() : null;
+  // A bare date ("2025-05-14") covers the whole day
+  const toTime = to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to).getTime() : null;
+
+  return conversations
+    .filter(conversation => {
+      const startedAt = new Date(conversation.startedAt || conversation.receivedAt).getTime();
+      return (fromTime === null || startedAt >= fromTime) &&
+        (toTime === null || startedAt <= toTime) &&
+        (!caller || callerMatches(conversation.callerNumber, caller)) &&
+        (!outcome || conversation.outcome === outcome) &&
+        (!tenantId || conversation.tenantId === tenantId);
+    })
+    .sort((a, b) => (b.startedAt || b.receivedAt).localeCompare(a.startedAt || a.receivedAt))
+    .slice(0, limit);
+}
+
+module.exports = {
+  OUTCOMES,
+  recordConversation,
+  getConversation,
+  searchConversations
+};
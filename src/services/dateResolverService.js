@@ -0,0 +1,303 @@
+// src/services/dateResolverService.js
+const calendlyService = require('./calendlyService');
+const scheduleConfig = require('../config/schedule');
+const timeUtils = require('../utils/time-utils');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+/**
+ * Matches a weekday name or its common abbreviation ("tue", "thurs").
+ *
+ * @param {String} word - Word to match
+ * @returns {Number} Weekday index (0 = Sunday) or -1
+ */
+function parseWeekday(word) {
+  return WEEKDAYS.findIndex(day => word.length >= 3 && day.startsWith(word));
+}
+
+/**
+ * Matches a month name or its three-letter abbreviation.
+ *
+ * @param {String} word - Word to match
+ * @returns {Number} Month number (1-12) or 0
+ */
+function parseMonth(word) {
+  return MONTHS.findIndex(month => word.length >= 3 && month.startsWith(word)) + 1;
+}
+
+/**
+ * Finds a month name written next to a day of the month: "May 14",
+ * "May the 14th", "14 May" or "14th of May". A month word with no day next
+ * to it isn't read as a month, so "I may need the 14th" means the 14th of
+ * this month rather than May.
+ *
+ * @param {Array} words - Words of the normalized phrase
+ * @returns {Object|null} { month, day } or null
+ */
+function findMonthAndDay(words) {
+  for (let i = 0; i < words.length; i++) {
+    const month = parseMonth(words[i]);
+    if (!month) {
+      continue;
+    }
+
+    const candidates = [
+      words[i + 1],
+      words[i + 1] === 'the' ? words[i + 2] : null,
+      words[i - 1],
+      words[i - 1] === 'of' ? words[i - 2] : null
+    ];
+    const match = candidates
+      .map(word => /^(\d{1,2})(st|nd|rd|th)?$/.exec(word || ''))
+      .find(Boolean);
+    if (match) {
+      return { month, day: parseInt(match[1], 10) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a configured period of the day mentioned in the phrase.
+ * "tonight" maps to the evening period when one is configured.
+ *
+ * @param {String} text - Normalized phrase
+ * @param {String} eventTypeUrl - Event type whose periods apply (optional)
+ * @returns {String|null} Period name
+ */
+function extractPeriod(text, eventTypeUrl) {
+  const periods = scheduleConfig.getSchedule(eventTypeUrl).periods.map(period => period.name);
+
+  const mentioned = periods.find(name => new RegExp(`\\b${name}\\b`).test(text));
+  if (mentioned) {
+    return mentioned;
+  }
+
+  if (/\btonight\b/.test(text) && periods.includes('evening')) {
+    return 'evening';
+  }
+
+  return null;
+}
+
+/**
+ * Returns how many Monday-Sunday weeks a date lies after the current week.
+ *
+ * @param {Object} day - Calendar date { year, month, day }
+ * @param {Object} today - Today's calendar date in the caller's time zone
+ * @returns {Number} Week offset (0 = this week)
+ */
+function getWeekOffset(day, today) {
+  const mondayOf = date => {
+    const weekday = timeUtils.addCalendarDays(date, 0).weekday;
+    return timeUtils.addCalendarDays(date, weekday === 0 ? -6 : 1 - weekday);
+  };
+  const toUtc = date => Date.UTC(date.year, date.month - 1, date.day);
+
+  return Math.round((toUtc(mondayOf(day)) - toUtc(mondayOf(today))) / (7 * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Builds a single-date result in the shape checkTimes accepts.
+ *
+ * @param {Object} day - Calendar date { year, month, day }
+ * @param {Object} today - Today's calendar date
+ * @param {String} period - Period of the day (optional)
+ * @param {String} timeZone - Caller's time zone
+ * @param {String} locale - Locale for the readable date
+ * @returns {Object} Resolved date
+ */
+function dateResult(day, today, period, timeZone, locale) {
+  const date = timeUtils.formatCalendarDate(day);
+  const noon = timeUtils.zonedTimeToDate({ ...day, hour: 12 }, timeZone);
+
+  return {
+    type: 'date',
+    date,
+    period,
+    weekOffset: getWeekOffset(day, today),
+    day: WEEKDAYS[timeUtils.addCalendarDays(day, 0).weekday].replace(/^./, c => c.toUpperCase()),
+    readable: noon.toLocaleDateString(locale, {
+      weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone
+    }),
+    in_past: date < timeUtils.formatCalendarDate(today)
+  };
+}
+
+/**
+ * Builds a week range result using calendlyService.getDateRange, so "this
+ * week" and "next week" follow exactly the same rules as checkAvailability.
+ *
+ * @param {Number} weekOffset - Week offset from the current week
+ * @param {String} period - Period of the day (optional)
+ * @param {String} timeZone - Caller's time zone
+ * @param {String} locale - Locale for the readable range
+ * @returns {Object} Resolved range
+ */
+function weekResult(weekOffset, period, timeZone, locale) {
+  const { startTime, endTime, readable } = calendlyService.getDateRange(weekOffset, null, timeZone, null, locale);
+
+  return {
+    type: 'range',
+    start_date: timeUtils.getZonedDateString(startTime, timeZone),
+    end_date: timeUtils.getZonedDateString(endTime, timeZone),
+    period,
+    weekOffset,
+    readable
+  };
+}
+
+/**
+ * Resolves a spoken date phrase such as "next Tuesday afternoon", "the 14th"
+ * or "tomorrow morning" into a concrete date or range in the caller's time zone.
+ *
+ * Weeks run Monday through Sunday:
+ * - "Tuesday" is the next Tuesday, including today
+ * - "this Tuesday" is Tuesday of the current week, or next week's if it has passed
+ * - "next Tuesday" is Tuesday of next week
+ *
+ * Phrases are read as English; the agent translates other languages before
+ * calling resolveDate, and the locale only changes the readable date.
+ *
+ * @param {String} phrase - Date phrase spoken by the caller, in English
+ * @param {Object} options - Resolution options
+ * @param {String} options.timeZone - Caller's time zone (default: 'UTC')
+ * @param {String} options.eventTypeUrl - Event type whose periods apply (optional)
+ * @param {Date} options.now - Reference time (default: now)
+ * @param {String} options.locale - Locale for readable dates (default: 'en-US')
+ * @returns {Object|null} Resolved date or range, or null if not understood
+ */
+function resolveDate(phrase, { timeZone = 'UTC', eventTypeUrl = null, now = new Date(), locale = 'en-US' } = {}) {
+  if (!phrase || typeof phrase !== 'string') {
+    return null;
+  }
+
+  const text = phrase.toLowerCase().replace(/[,.!?]/g, ' ').replace(/\s+/g, ' ').trim();
+  const today = timeUtils.getZonedParts(now, timeZone);
+  const period = extractPeriod(text, eventTypeUrl);
+  let match;
+
+  // ISO date: 2025-05-14
+  if ((match = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(text))) {
+    const day = { year: +match[1], month: +match[2], day: +match[3] };
+    return dateResult(day, today, period, timeZone, locale);
+  }
+
+  // Relative days
+  if (/\bday after tomorrow\b/.test(text)) {
+    return dateResult(timeUtils.addCalendarDays(today, 2), today, period, timeZone, locale);
+  }
+  if (/\b(tomorrow|tmrw)\b/.test(text)) {
+    return dateResult(timeUtils.addCalendarDays(today, 1), today, period, timeZone, locale);
+  }
+  if (/\b(today|tonight|this (morning|afternoon|evening))\b/.test(text)) {
+    return dateResult(today, today, period, timeZone, locale);
+  }
+
+  // "in 3 days", "in two weeks"
+  if ((match = /\bin (\d+|[a-z]+) (day|days|week|weeks)\b/.exec(text))) {
+    const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : NUMBER_WORDS[match[1]];
+    if (amount) {
+      if (match[2].startsWith('week')) {
+        return weekResult(amount, period, timeZone, locale);
+      }
+      return dateResult(timeUtils.addCalendarDays(today, amount), today, period, timeZone, locale);
+    }
+  }
+
+  // Weekday, optionally with "this" / "next" / "next week"
+  const words = text.split(' ');
+  const weekdayIndex = words.findIndex(word => parseWeekday(word) !== -1);
+  if (weekdayIndex !== -1) {
+    const weekday = parseWeekday(words[weekdayIndex]);
+    const mondayOffset = today.weekday === 0 ? -6 : 1 - today.weekday;
+    const weekdayOffset = weekday === 0 ? 6 : weekday - 1;
+    const previousWord = words[weekdayIndex - 1];
+
+    if (previousWord === 'next' || /\bnext week\b/.test(text)) {
+      return dateResult(timeUtils.addCalendarDays(today, mondayOffset + 7 + weekdayOffset), today, period, timeZone, locale);
+    }
+
+    if (previousWord === 'this' || /\bthis week\b/.test(text)) {
+      let diff = mondayOffset + weekdayOffset;
+      if (diff < 0) {
+        diff += 7;
+      }
+      return dateResult(timeUtils.addCalendarDays(today, diff), today, period, timeZone, locale);
+    }
+
+    const diff = (weekday - today.weekday + 7) % 7;
+    return dateResult(timeUtils.addCalendarDays(today, diff), today, period, timeZone, locale);
+  }
+
+  // Whole weeks and weekends
+  if (/\bnext weekend\b/.test(text) || /\bweekend after\b/.test(text)) {
+    const mondayOffset = today.weekday === 0 ? -6 : 1 - today.weekday;
+    return dateResult(timeUtils.addCalendarDays(today, mondayOffset + 12), today, period, timeZone, locale);
+  }
+  if (/\b(this )?weekend\b/.test(text)) {
+    const diff = today.weekday === 0 ? 0 : 6 - today.weekday;
+    return dateResult(timeUtils.addCalendarDays(today, diff), today, period, timeZone, locale);
+  }
+  if (/\bweek after next\b/.test(text)) {
+    return weekResult(2, period, timeZone, locale);
+  }
+  if (/\bnext week\b/.test(text)) {
+    return weekResult(1, period, timeZone, locale);
+  }
+  if (/\bthis week\b/.test(text)) {
+    return weekResult(0, period, timeZone, locale);
+  }
+
+  // "May 14", "14 May", "14th of May"
+  const monthAndDay = findMonthAndDay(words);
+  if (monthAndDay) {
+    let day = { year: today.year, ...monthAndDay };
+    if (timeUtils.formatCalendarDate(day) < timeUtils.formatCalendarDate(today)) {
+      day = { ...day, year: today.year + 1 };
+    }
+    if (isValidCalendarDate(day)) {
+      return dateResult(day, today, period, timeZone, locale);
+    }
+    return null;
+  }
+
+  // "the 14th": this month if still ahead, otherwise next month
+  if ((match = /\b(?:the )?(\d{1,2})(st|nd|rd|th)\b/.exec(text))) {
+    const dayOfMonth = parseInt(match[1], 10);
+    let day = { year: today.year, month: today.month, day: dayOfMonth };
+    if (dayOfMonth < today.day) {
+      day = today.month === 12
+        ? { year: today.year + 1, month: 1, day: dayOfMonth }
+        : { year: today.year, month: today.month + 1, day: dayOfMonth };
+    }
+    if (isValidCalendarDate(day)) {
+      return dateResult(day, today, period, timeZone, locale);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks that a calendar date exists (e.g. rejects February 30th).
+ *
+ * @param {Object} day - Calendar date { year, month, day }
+ * @returns {Boolean} Whether the date exists
+ */
+function isValidCalendarDate({ year, month, day }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+module.exports = {
+  resolveDate
+};
@@ -0,0 +1,349 @@
+// src/services/experimentService.js
+const crypto = require('crypto');
+const promptStore = require('./promptStore');
+const promptValidator = require('./promptValidator');
+const { createJsonStore } = require('../utils/json-store');
+const { createCallLog } = require('../utils/call-log');
+const { normalizePhoneNumber } = require('../utils/phone-utils');
+
+/**
+ * Prompt A/B experiments. Each experiment has weighted variants; every call
+ * is assigned one variant from a stable hash of its call SID (or the caller's
+ * number), and the tool calls made during the call are recorded against it.
+ *
+ * A variant uses a saved prompt version ("promptVersion"), its own prompt
+ * text ("prompt"), or neither, in which case the call gets the usual prompt
+ * (a control group). An experiment for all tenants leaves out tenants with
+ * their own prompt; those only take part in experiments scoped to them.
+ */
+
+// Tool calls that count as a conversion
+const OUTCOMES = ['sms_sent', 'booked'];
+
+const experimentStore = createJsonStore('prompt-experiments', []);
+const callLog = createCallLog('experiment-calls', { timeField: 'assignedAt' });
+let experiments = experimentStore.load();
+
+/**
+ * Validates an experiment's variants from the API. Variant prompts go
+ * through the same checks as a saved prompt (promptValidator).
+ *
+ * @param {Object} input - Experiment settings
+ * @param {Array} input.variants - Variants as { name, weight (default 1), promptVersion?, prompt? }
+ * @returns {Promise<Object>} { variants, warnings, error } - normalized variants and their prompts'
+ *   warnings, or an error message
+ */
+async function validateVariants({ variants } = {}) {
+  if (!Array.isArray(variants) || variants.length < 2) {
+    return { error: 'An experiment needs at least two variants' };
+  }
+
+  const names = new Set();
+  const normalized = [];
+  const warnings = [];
+
+  for (const variant of variants) {
+    const { name, weight = 1, promptVersion = null, prompt = null } = variant || {};
+
+    if (!name || typeof name !== 'string') {
+      return { error: 'Every variant needs a name' };
+    }
+    if (names.has(name)) {
+      return { error: `Duplicate variant name "${name}"` };
+    }
+    names.add(name);
+
+    if (typeof weight !== 'number' || !(weight > 0)) {
+      return { error: `Variant "${name}" needs a positive weight` };
+    }
+    if (promptVersion !== null && prompt !== null) {
+      return { error: `Variant "${name}" can use a promptVersion or a prompt, not both` };
+    }
+    if (promptVersion !== null && !promptStore.getVersion(promptVersion)) {
+      return { error: `Variant "${name}" uses prompt version ${promptVersion}, which doesn't exist` };
+    }
+    if (prompt !== null) {
+      if (typeof prompt !== 'string' || !prompt.trim()) {
+        return { error: `Variant "${name}" has an empty prompt` };
+      }
+      const validation = await promptValidator.validatePrompt(prompt);
+      if (!validation.valid) {
+        return { error: `Variant "${name}" has an invalid prompt: ${validation.errors.map(issue => issue.message).join('; ')}` };
+      }
+      warnings.push(...validation.warnings.map(issue => ({ variant: name, ...issue })));
+    }
+
+    normalized.push({ name, weight, promptVersion, prompt });
+  }
+
+  return { variants: normalized, warnings };
+}
+
+/**
+ * Creates and starts an experiment.
+ *
+ * @param {Object} input - Experiment settings
+ * @param {String} input.name - Experiment name
+ * @param {String} input.tenantId - Tenant the experiment applies to (optional, default: all)
+ * @param {Array} input.variants - Variants (see validateVariants)
+ * @returns {Promise<Object>} { experiment, warnings, error }
+ */
+async function createExperiment(input = {}) {
+  const { variants, warnings, error } = await validateVariants(input);
+  if (error) {
+    return { error };
+  }
+
+  const experiment = {
+    id: `exp_${crypto.randomBytes(6).toString('hex')}`,
+    name: input.name || 'Prompt experiment',
+    tenantId: input.tenantId || null,
+    status: 'running',
+    variants,
+    createdAt: new Date().toISOString(),
+    stoppedAt: null
+  };
+
+  experiments = [experiment, ...experiments];
+  experimentStore.save(experiments);
+
+  console.log(`Started prompt experiment ${experiment.id} with variants ${variants.map(v => v.name).join(', ')}`);
+  return { experiment, warnings };
+}
+
+/**
+ * Starts or stops an experiment, or renames it. Variants can't change once
+ * calls have been assigned, so a stopped experiment is replaced by a new one.
+ *
+ * @param {String} id - Experiment ID
+ * @param {Object} changes - { name, status: 'running'|'stopped' }
+ * @returns {Object|null} Updated experiment, or null if not found
+ */
+function updateExperiment(id, { name, status } = {}) {
+  const experiment = getExperiment(id);
+  if (!experiment) {
+    return null;
+  }
+
+  if (name) {
+    experiment.name = name;
+  }
+  if (status === 'running' || status === 'stopped') {
+    experiment.status = status;
+    experiment.stoppedAt = status === 'stopped' ? new Date().toISOString() : null;
+  }
+
+  experimentStore.save(experiments);
+  return experiment;
+}
+
+/**
+ * Gets an experiment.
+ *
+ * @param {String} id - Experiment ID
+ * @returns {Object|null} Experiment, or null if not found
+ */
+function getExperiment(id) {
+  return experiments.find(experiment => experiment.id === id) || null;
+}
+
+/**
+ * Lists experiments, newest first.
+ *
+ * @returns {Array} Experiments
+ */
+function listExperiments() {
+  return [...experiments];
+}
+
+/**
+ * Maps a key to a number in [0, 1) that is the same every time for the
+ * same experiment and key.
+ *
+ * @param {String} experimentId - Experiment ID
+ * @param {String} key - Call SID or caller number
+ * @returns {Number} Bucket position
+ */
+function hashToUnitInterval(experimentId, key) {
+  const digest = crypto.createHash('sha256').update(`${experimentId}:${key}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Picks a variant by weight for a bucket position.
+ *
+ * @param {Array} variants - Experiment variants
+ * @param {Number} position - Bucket position in [0, 1)
+ * @returns {Object} Variant
+ */
+function pickVariant(variants, position) {
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let threshold = position * total;
+
+  for (const variant of variants) {
+    threshold -= variant.weight;
+    if (threshold < 0) {
+      return variant;
+    }
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Assigns a call to a variant of the running experiment for its tenant and
+ * records the assignment. Calls with neither a call SID nor a caller number
+ * can't be tracked and aren't assigned.
+ *
+ * @param {Object} call - Call details
+ * @param {Object} call.tenant - Tenant the call belongs to
+ * @param {String} call.callSid - Twilio call SID (optional)
+ * @param {String} call.callerNumber - Caller's phone number (optional)
+ * @returns {Object|null} { experimentId, variant, prompt } (prompt is null for a control variant), or null
+ */
+function assignVariant({ tenant, callSid = null, callerNumber = null }) {
+  // A tenant's own prompt only gives way to experiments scoped to that tenant
+  const experiment = experiments.find(candidate =>
+    candidate.status === 'running' &&
+    (candidate.tenantId === tenant.id || (!candidate.tenantId && !tenant.prompt))
+  );
+  const normalizedCaller = normalizePhoneNumber(callerNumber);
+  const key = callSid || normalizedCaller;
+
+  if (!experiment || !key) {
+    return null;
+  }
+
+  const variant = pickVariant(experiment.variants, hashToUnitInterval(experiment.id, key));
+  const prompt = variant.promptVersion !== null
+    ? promptStore.getVersion(variant.promptVersion)?.prompt || null
+    : variant.prompt;
+
+  callLog.add({
+    experimentId: experiment.id,
+    variant: variant.name,
+    tenantId: tenant.id,
+    callSid,
+    callerNumber: normalizedCaller,
+    assignedAt: new Date().toISOString(),
+    toolCalls: [],
+    outcomes: []
+  });
+  callLog.save();
+
+  return { experimentId: experiment.id, variant: variant.name, prompt };
+}
+
+/**
+ * Records a tool call made during a call that is in an experiment.
+ *
+ * @param {Object} keys - { callSid, callerNumber } identifying the call
+ * @param {String} toolName - Tool the agent called
+ */
+function recordToolCall(keys, toolName) {
+  const call = callLog.find(keys);
+  if (!call) {
+    return;
+  }
+
+  call.toolCalls.push({ name: toolName, at: new Date().toISOString() });
+  callLog.save();
+}
+
+/**
+ * Records an outcome (an SMS sent or an appointment booked) for a call that
+ * is in an experiment.
+ *
+ * @param {Object} keys - { callSid, callerNumber } identifying the call
+ * @param {String} outcome - 'sms_sent' or 'booked'
+ */
+function recordOutcome(keys, outcome) {
+  const call = callLog.find(keys);
+  if (!call || !OUTCOMES.includes(outcome) || call.outcomes.includes(outcome)) {
+    return;
+  }
+
+  call.outcomes.push(outcome);
+  callLog.save();
+}
+
+/**
+ * Rounds a rate for reports.
+ *
+ * @param {Number} count - Matching calls
+ * @param {Number} total - All calls
+ * @returns {Number|null} Rate between 0 and 1, or null without calls
+ */
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 10000 : null;
+}
+
+/**
+ * Compares variants of an experiment: calls, tool usage, and the share of
+ * calls that sent a booking SMS or booked an appointment. Differences are
+ * relative to the first variant.
+ *
+ * @param {String} id - Experiment ID
+ * @returns {Object|null} Report, or null if the experiment doesn't exist
+ */
+function getReport(id) {
+  const experiment = getExperiment(id);
+  if (!experiment) {
+    return null;
+  }
+
+  const experimentCalls = callLog.list().filter(call => call.experimentId === id);
+
+  const variants = experiment.variants.map(variant => {
+    const variantCalls = experimentCalls.filter(call => call.variant === variant.name);
+    const smsSent = variantCalls.filter(call => call.outcomes.includes('sms_sent')).length;
+    const booked = variantCalls.filter(call => call.outcomes.includes('booked')).length;
+    const converted = variantCalls.filter(call => call.outcomes.length > 0).length;
+
+    const toolCalls = {};
+    variantCalls.forEach(call => call.toolCalls.forEach(toolCall => {
+      toolCalls[toolCall.name] = (toolCalls[toolCall.name] || 0) + 1;
+    }));
+
+    return {
+      name: variant.name,
+      weight: variant.weight,
+      calls: variantCalls.length,
+      sms_sent: smsSent,
+      booked,
+      sms_rate: rate(smsSent, variantCalls.length),
+      booking_rate: rate(booked, variantCalls.length),
+      conversion_rate: rate(converted, variantCalls.length),
+      tool_calls: toolCalls
+    };
+  });
+
+  const control = variants[0];
+  const difference = (value, baseline) => (value === null || baseline === null
+    ? null
+    : Math.round((value - baseline) * 10000) / 10000);
+
+  variants.slice(1).forEach(variant => {
+    variant.vs_control = {
+      sms_rate: difference(variant.sms_rate, control.sms_rate),
+      booking_rate: difference(variant.booking_rate, control.booking_rate),
+      conversion_rate: difference(variant.conversion_rate, control.conversion_rate)
+    };
+  });
+
+  return {
+    experiment,
+    total_calls: experimentCalls.length,
+    variants
+  };
+}
+
+module.exports = {
+  createExperiment,
+  updateExperiment,
+  getExperiment,
+  listExperiments,
+  assignVariant,
+  recordToolCall,
+  recordOutcome,
+  getReport
+};
@@ -0,0 +1,203 @@
+// src/services/funnelTracker.js
+const crypto = require('crypto');
+const config = require('../config/environment');
+const timeUtils = require('../utils/time-utils');
+const { createCallLog } = require('../utils/call-log');
+const { normalizePhoneNumber } = require('../utils/phone-utils');
+
+/**
+ * Booking funnel from call to confirmed booking. Each call records when it
+ * reached each stage:
+ *
+ * - call_started: twilio-personalization was hit
+ * - availability_checked: checkAvailability was called
+ * - times_checked: checkTimes was called
+ * - sms_sent: a booking link was texted
+ * - booking_confirmed: Calendly confirmed a booking, matched by the tracked
+ *   link in the SMS or the caller's phone number (or booked directly on the call)
+ *
+ * Calls are kept in a call log (utils/call-log.js) rather than in call
+ * sessions, since reports cover days and sessions expire within hours.
+ */
+
+const STAGES = ['call_started', 'availability_checked', 'times_checked', 'sms_sent', 'booking_confirmed'];
+
+// A Calendly booking is credited to the caller's latest call within this window
+const BOOKING_MATCH_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Marks scheduling links texted by the agent so Calendly reports which call they came from
+const UTM_SOURCE = 'voice-agent';
+
+const callLog = createCallLog('funnel-calls');
+
+/**
+ * Records that a call reached a stage. A tool call from a call that wasn't
+ * seen starting (e.g. a dashboard test call) starts one. Each stage is
+ * recorded once per call, at the first time it was reached.
+ *
+ * @param {Object} keys - Call details
+ * @param {String} keys.callSid - Twilio call SID (optional)
+ * @param {String} keys.conversationId - ElevenLabs conversation ID (optional)
+ * @param {String} keys.callerNumber - Caller's phone number (optional)
+ * @param {String} keys.calledNumber - Number that was called (optional)
+ * @param {String} keys.tenantId - Tenant the call belongs to (optional)
+ * @param {String} stage - One of STAGES
+ * @param {Object} details - { eventTypeUrl } (optional)
+ */
+function recordStage(keys, stage, { eventTypeUrl = null } = {}) {
+  if (!STAGES.includes(stage)) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  // A new call only continues an earlier entry with the same call SID (a repeated webhook)
+  let call = stage === 'call_started'
+    ? callLog.list().find(candidate => keys.callSid && candidate.callSid === keys.callSid) || null
+    : callLog.find(keys);
+
+  if (!call) {
+    call = {
+      id: keys.callSid || keys.conversationId || `call_${crypto.randomBytes(6).toString('hex')}`,
+      callSid: keys.callSid || null,
+      conversationId: keys.conversationId || null,
+      tenantId: keys.tenantId || null,
+      callerNumber: normalizePhoneNumber(keys.callerNumber),
+      calledNumber: normalizePhoneNumber(keys.calledNumber),
+      eventTypeUrl: null,
+      startedAt: now,
+      stages: { call_started: now }
+    };
+    callLog.add(call);
+  }
+
+  call.conversationId = call.conversationId || keys.conversationId || null;
+  call.calledNumber = call.calledNumber || normalizePhoneNumber(keys.calledNumber);
+  call.eventTypeUrl = eventTypeUrl || call.eventTypeUrl;
+  call.stages[stage] = call.stages[stage] || now;
+  callLog.save();
+}
+
+/**
+ * Tags a scheduling link with the call it was texted from, so the booking
+ * Calendly reports back can be matched to the call.
+ *
+ * @param {String} schedulingUrl - Calendly scheduling link
+ * @param {Object} keys - { callSid, conversationId, callerNumber }
+ * @returns {String} Tagged link, or the link unchanged if the call isn't tracked
+ */
+function trackLink(schedulingUrl, keys) {
+  const call = callLog.find(keys);
+  if (!call || !schedulingUrl) {
+    return schedulingUrl;
+  }
+
+  try {
+    const url = new URL(schedulingUrl);
+    url.searchParams.set('utm_source', UTM_SOURCE);
+    url.searchParams.set('utm_content', call.id);
+    return url.toString();
+  } catch (error) {
+    return schedulingUrl;
+  }
+}
+
+/**
+ * Credits a booking Calendly confirmed to the call it came from: the call
+ * named in the tracked link, or else the invitee's latest call.
+ *
+ * @param {Object} booking - Stored invitee.created event from bookingEventStore
+ * @returns {Object|null} Call the booking was credited to, or null if none matched
+ */
+function recordBookingConfirmed(booking) {
+  const tracking = booking.tracking || {};
+  const call = (tracking.utm_source === UTM_SOURCE && callLog.list().find(candidate => candidate.id === tracking.utm_content)) ||
+    callLog.findRecent(booking.phoneNumber, BOOKING_MATCH_WINDOW_MS);
+
+  if (!call) {
+    return null;
+  }
+
+  call.eventTypeUrl = call.eventTypeUrl || booking.eventTypeUri || null;
+  call.stages.booking_confirmed = call.stages.booking_confirmed || new Date().toISOString();
+  callLog.save();
+  return call;
+}
+
+/**
+ * Counts the calls that reached each stage, with each stage's share of the
+ * calls that started.
+ *
+ * @param {Array} stageCalls - Calls to count
+ * @returns {Object} { <stage>: count, ..., rates: { <stage>: share } }
+ */
+function countStages(stageCalls) {
+  const counts = {};
+  const rates = {};
+  const started = stageCalls.length;
+
+  STAGES.forEach(stage => {
+    counts[stage] = stageCalls.filter(call => call.stages[stage]).length;
+    rates[stage] = started > 0 ? Math.round((counts[stage] / started) * 10000) / 10000 : null;
+  });
+
+  return { ...counts, rates };
+}
+
+/**
+ * Groups calls by a key and counts stages in each group.
+ *
+ * @param {Array} groupCalls - Calls to group
+ * @param {Function} getKey - Returns a call's group
+ * @returns {Object} Stage counts keyed by group
+ */
+function countByGroup(groupCalls, getKey) {
+  const groups = {};
+  groupCalls.forEach(call => {
+    const key = getKey(call) || 'unknown';
+    (groups[key] = groups[key] || []).push(call);
+  });
+
+  return Object.fromEntries(Object.entries(groups).map(([key, members]) => [key, countStages(members)]));
+}
+
+/**
+ * Builds the funnel report: totals, plus a breakdown per day (in the server's
+ * time zone), per event type and per called number.
+ *
+ * @param {Object} filters - Report filters (all optional)
+ * @param {String} filters.from - First day (YYYY-MM-DD)
+ * @param {String} filters.to - Last day (YYYY-MM-DD)
+ * @param {String} filters.tenantId - Tenant ID
+ * @returns {Object} Funnel report
+ */
+function getReport({ from = null, to = null, tenantId = null } = {}) {
+  const timeZone = config.defaultTimeZone;
+  const dated = callLog.list()
+    .map(call => ({ call, day: timeUtils.getZonedDateString(new Date(call.startedAt), timeZone) }))
+    .filter(({ call, day }) =>
+      (!from || day >= from) && (!to || day <= to) && (!tenantId || call.tenantId === tenantId)
+    );
+
+  const days = {};
+  dated.forEach(({ call, day }) => (days[day] = days[day] || []).push(call));
+
+  return {
+    stages: STAGES,
+    time_zone: timeZone,
+    totals: countStages(dated.map(({ call }) => call)),
+    days: Object.keys(days).sort().map(day => ({
+      date: day,
+      totals: countStages(days[day]),
+      by_event_type: countByGroup(days[day], call => call.eventTypeUrl),
+      by_called_number: countByGroup(days[day], call => call.calledNumber)
+    }))
+  };
+}
+
+module.exports = {
+  STAGES,
+  recordStage,
+  trackLink,
+  recordBookingConfirmed,
+  getReport
+};
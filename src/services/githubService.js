@@ -0,0 +1,201 @@
+// src/services/githubService.js
+const axios = require('axios');
+const metrics = require('./metrics');
+const config = require('../config/environment');
+
+const PROMPT_FILE_PATH = 'src/config/prompts/systemPrompt.js';
+
+/**
+ * Lists the GitHub settings that are missing for prompt sync.
+ *
+ * @returns {Array} Missing environment variable names
+ */
+function getMissingConfig() {
+  return [
+    !config.github.token ? 'GITHUB_TOKEN' : null,
+    !config.github.repoOwner ? 'GITHUB_REPO_OWNER' : null,
+    !config.github.repoName ? 'GITHUB_REPO_NAME' : null
+  ].filter(Boolean);
+}
+
+/**
+ * Whether saved prompts should also be committed to GitHub: only when the
+ * repository is configured and PROMPT_GITHUB_SYNC isn't "false".
+ *
+ * @returns {Boolean} Whether GitHub sync is enabled
+ */
+function isPromptSyncEnabled() {
+  return config.github.syncPrompts && getMissingConfig().length === 0;
+}
+
+/**
+ * Escapes text for use inside a JavaScript template literal, so backticks,
+ * "${" and backslashes in a prompt can't end the literal or run code when
+ * systemPrompt.js is loaded.
+ *
+ * @param {String} text - Text to escape
+ * @returns {String} Escaped text
+ */
+function escapeTemplateLiteral(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/`/g, '\\`')
+    .replace(/\$\{/g, '\\${')
+    // Template literals turn CR LF into LF, so carriage returns are escaped too
+    .replace(/\r/g, '\\r');
+}
+
+/**
+ * Reads an escaped prompt back the way a template literal would, without
+ * evaluating it. Only the escapes escapeTemplateLiteral writes are
+ * accepted, so anything else would read back differently.
+ *
+ * @param {String} escaped - Escaped prompt
+ * @returns {String} Prompt the literal holds
+ * @throws {Error} If the text would end the literal, start an expression or use another escape
+ */
+function readTemplateLiteral(escaped) {
+  let value = '';
+  for (let i = 0; i < escaped.length; i++) {
+    const char = escaped[i];
+    if (char === '`' || char === '\r' || (char === '$' && escaped[i + 1] === '{')) {
+      throw new Error(`unescaped ${JSON.stringify(char === '$' ? '${' : char)} at position ${i}`);
+    }
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+
+    const next = escaped[++i];
+    if (next === 'r') {
+      value += '\r';
+    } else if (next === '\\' || next === '`' || next === '$') {
+      value += next;
+    } else {
+      throw new Error(`unexpected escape at position ${i - 1}`);
+    }
+  }
+  return value;
+}
+
+/**
+ * Checks that an escaped prompt reads back as exactly the original prompt.
+ *
+ * @param {String} escaped - Escaped prompt
+ * @param {String} prompt - Original prompt
+ * @throws {Error} If the escaped prompt doesn't round-trip
+ */
+function verifyTemplateLiteral(escaped, prompt) {
+  let value;
+  try {
+    value = readTemplateLiteral(escaped);
+  } catch (error) {
+    throw new Error(`The prompt could not be serialized safely: ${error.message}`);
+  }
+
+  if (value !== prompt) {
+    throw new Error('The prompt could not be serialized safely: it would not read back unchanged');
+  }
+}
+
+/**
+ * Formats a prompt as the systemPrompt.js module.
+ *
+ * @param {String} prompt - Prompt template
+ * @returns {String} File contents
+ * @throws {Error} If the prompt can't be written as a template literal safely
+ */
+function formatPromptFile(prompt) {
+  const escaped = escapeTemplateLiteral(prompt);
+  verifyTemplateLiteral(escaped, prompt);
+
+  return `// src/config/prompts/systemPrompt.js
+
+/**
+ * System prompt for the Elevenlabs agent.
+ * This can be easily edited without modifying other code.
+ *
+ * The prompt is a template rendered at call time (see utils/prompt-template.js).
+ *
+ * Available variables:
+ * {{current_date}} - Current date in format like "Friday, May 9, 2025"
+ * {{current_time}} - Current time in format like "3:45 PM"
+ * {{caller_number}} - Phone number of the caller (if available)
+ * {{time_zone}} - Caller's time zone
+ * {{business_name}}, {{business_description}} - Business details
+ * {{event_types}} - Calendly event types, each with name, duration, description, uri
+ * {{working_hours.start}}, {{working_hours.end}} - Working hours
+ * {{periods}} - Periods of the day, each with name, start, end
+ *
+ * Loops and conditions: {{#each event_types}}...{{/each}}, {{#if name}}...{{else}}...{{/if}}
+ * Partials (config/prompts/partials.js): {{> business_intro}}, {{> event_types}}, {{> business_hours}}
+ */
+const systemPrompt = \`${escaped}\`;
+
+module.exports = systemPrompt;`;
+}
+
+/**
+ * Describes a GitHub API error for the API response.
+ *
+ * @param {Error} error - Axios error
+ * @returns {String} Error description
+ */
+function describeGithubError(error) {
+  if (error.response?.status === 404) {
+    return 'Repository or file not found. Check your repository details and ensure the file path is correct';
+  }
+  if (error.response?.status === 401) {
+    return 'GitHub authentication failed. The GitHub token is invalid or has insufficient permissions';
+  }
+  return error.response?.data?.message || error.message;
+}
+
+/**
+ * Commits a prompt to systemPrompt.js in the configured repository, so the
+ * next deployment ships it as the built-in prompt.
+ *
+ * @param {String} prompt - Prompt template
+ * @param {String} commitMessage - Commit message
+ * @returns {Promise<Object>} Commit details from the GitHub contents API
+ * @throws {Error} With a readable message if GitHub rejects the commit
+ */
+async function commitSystemPrompt(prompt, commitMessage) {
+  const { token, repoOwner, repoName } = config.github;
+  const branch = config.github.branch || 'main';
+  const url = `https://api.github.com/repos/${repoOwner}/${repoName}/contents/${PROMPT_FILE_PATH}`;
+  const headers = {
+    'Authorization': `token ${token}`,
+    'Accept': 'application/vnd.github.v3+json'
+  };
+
+  // Checked before anything is sent to GitHub
+  const content = formatPromptFile(prompt);
+
+  console.log(`Updating prompt in repository ${repoOwner}/${repoName}, branch: ${branch}`);
+
+  try {
+    // The current file's SHA is required to update it
+    const fileResponse = await metrics.trackUpstream('github', 'get_file', () =>
+      axios.get(`${url}?ref=${branch}`, { headers }));
+
+    const updateResponse = await metrics.trackUpstream('github', 'update_file', () => axios.put(url, {
+      message: commitMessage,
+      content: Buffer.from(content).toString('base64'),
+      sha: fileResponse.data.sha,
+      branch
+    }, { headers }));
+
+    return updateResponse.data.commit;
+  } catch (error) {
+    console.error('GitHub API error:', error.response?.data || error);
+    throw new Error(describeGithubError(error));
+  }
+}
+
+module.exports = {
+  formatPromptFile,
+  getMissingConfig,
+  isPromptSyncEnabled,
+  commitSystemPrompt
+};
@@ -0,0 +1,256 @@
+// src/services/metrics.js
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics for the webhook server: request counts and latency per
+ * route and per function-handler tool, upstream API latency and errors,
+ * SMS sent/failed and rate-limit rejections. Served from /metrics.
+ */
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Buckets in seconds, sized for tool calls made while a caller waits on the line
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 8, 13];
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency, by route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const functionCalls = new client.Counter({
+  name: 'function_calls_total',
+  help: 'Tool calls handled by function-handler, by function name and status code',
+  labelNames: ['function', 'status'],
+  registers: [registry]
+});
+
+const functionCallDuration = new client.Histogram({
+  name: 'function_call_duration_seconds',
+  help: 'Tool call latency in function-handler, by function name and status code',
+  labelNames: ['function', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const upstreamRequestDuration = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Latency of requests to Calendly, Twilio, ElevenLabs and GitHub, by operation and status',
+  labelNames: ['service', 'operation', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const upstreamErrors = new client.Counter({
+  name: 'upstream_errors_total',
+  help: 'Failed requests to Calendly, Twilio, ElevenLabs and GitHub, by operation and status',
+  labelNames: ['service', 'operation', 'status'],
+  registers: [registry]
+});
+
+const smsMessages = new client.Counter({
+  name: 'sms_messages_total',
+  help: 'SMS messages, by result (sent or failed)',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+const rateLimitRejections = new client.Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected by a rate limiter',
+  labelNames: ['limiter'],
+  registers: [registry]
+});
+
+// Calendly resource IDs in request paths, replaced so each endpoint is one series
+const PATH_ID_PATTERN = /^[A-Za-z0-9-]{16,}$/;
+
+/**
+ * Gets the status label for a failed upstream request: the HTTP status, or
+ * the network error code (e.g. ETIMEDOUT) if there was no response.
+ *
+ * @param {Error} error - Error from the upstream client
+ * @returns {String} Status label
+ */
+function getErrorStatus(error) {
+  const status = error.response?.status || error.status;
+  return String(status || error.code || 'error');
+}
+
+/**
+ * Records an HTTP request once its response has been sent.
+ *
+ * @param {Object} request - { method, route, status, durationMs }
+ */
+function observeHttpRequest({ method, route, status, durationMs }) {
+  const labels = { method, route, status: String(status) };
+  httpRequests.inc(labels);
+  httpRequestDuration.observe(labels, durationMs / 1000);
+}
+
+/**
+ * Records a tool call handled by function-handler.
+ *
+ * @param {Object} call - { name, status, durationMs }
+ */
+function observeFunctionCall({ name, status, durationMs }) {
+  const labels = { function: name || 'unknown', status: String(status) };
+  functionCalls.inc(labels);
+  functionCallDuration.observe(labels, durationMs / 1000);
+}
+
+/**
+ * Records a request to an upstream API.
+ *
+ * @param {Object} request - { service, operation, status, durationMs, failed }
+ */
+function observeUpstreamRequest({ service, operation, status, durationMs, failed }) {
+  const labels = { service, operation, status: String(status) };
+  upstreamRequestDuration.observe(labels, durationMs / 1000);
+  if (failed) {
+    upstreamErrors.inc(labels);
+  }
+}
+
+/**
+ * Times a request to an upstream API and records its outcome.
+ *
+ * @param {String} service - 'calendly', 'twilio', 'elevenlabs' or 'github'
+ * @param {String} operation - What the request does (e.g. 'send_sms')
+ * @param {Function} request - Makes the request and returns a promise
+ * @returns {Promise<*>} The request's result
+ */
+async function trackUpstream(service, operation, request) {
+  const startedAt = Date.now();
+  try {
+    const result = await request();
+    observeUpstreamRequest({
+      service,
+      operation,
+      // HTTP clients return a status code; SDK results (e.g. a Twilio message) don't
+      status: typeof result?.status === 'number' ? result.status : 'ok',
+      durationMs: Date.now() - startedAt,
+      failed: false
+    });
+    return result;
+  } catch (error) {
+    observeUpstreamRequest({
+      service,
+      operation,
+      status: getErrorStatus(error),
+      durationMs: Date.now() - startedAt,
+      failed: true
+    });
+    throw error;
+  }
+}
+
+/**
+ * Describes an axios request as an operation label, e.g.
+ * "GET /scheduled_events/:id/invitees".
+ *
+ * @param {Object} requestConfig - Axios request config
+ * @returns {String} Operation label
+ */
+function getAxiosOperation(requestConfig) {
+  let pathname = requestConfig.url || '';
+  try {
+    pathname = new URL(pathname, requestConfig.baseURL || 'http://localhost').pathname;
+  } catch (error) {
+    // Keep the raw URL
+  }
+  if (requestConfig.baseURL) {
+    try {
+      const basePath = new URL(requestConfig.baseURL).pathname.replace(/\/$/, '');
+      if (basePath && pathname.startsWith(basePath)) {
+        pathname = pathname.slice(basePath.length);
+      }
+    } catch (error) {
+      // Keep the full path
+    }
+  }
+
+  const path = pathname
+    .split('/')
+    .map(segment => (PATH_ID_PATTERN.test(segment) ? ':id' : segment))
+    .join('/');
+  return `${(requestConfig.method || 'get').toUpperCase()} ${path || '/'}`;
+}
+
+/**
+ * Times every request an axios instance makes, including each retry.
+ *
+ * @param {Object} instance - Axios instance
+ * @param {String} service - Service label (e.g. 'calendly')
+ * @returns {Object} The same instance
+ */
+function instrumentAxios(instance, service) {
+  instance.interceptors.request.use(requestConfig => {
+    requestConfig.metricsStartedAt = Date.now();
+    return requestConfig;
+  });
+
+  instance.interceptors.response.use(response => {
+    if (response.config?.metricsStartedAt) {
+      observeUpstreamRequest({
+        service,
+        operation: getAxiosOperation(response.config),
+        status: response.status,
+        durationMs: Date.now() - response.config.metricsStartedAt,
+        failed: false
+      });
+    }
+    return response;
+  }, error => {
+    if (error.config?.metricsStartedAt) {
+      observeUpstreamRequest({
+        service,
+        operation: getAxiosOperation(error.config),
+        status: getErrorStatus(error),
+        durationMs: Date.now() - error.config.metricsStartedAt,
+        failed: true
+      });
+    }
+    throw error;
+  });
+
+  return instance;
+}
+
+/**
+ * Records an SMS that was sent or failed to send.
+ *
+ * @param {String} result - 'sent' or 'failed'
+ */
+function recordSms(result) {
+  smsMessages.inc({ result });
+}
+
+/**
+ * Records a request rejected by a rate limiter.
+ *
+ * @param {String} limiter - Which limiter rejected it (e.g. 'api')
+ */
+function recordRateLimitRejection(limiter) {
+  rateLimitRejections.inc({ limiter });
+}
+
+module.exports = {
+  registry,
+  observeHttpRequest,
+  observeFunctionCall,
+  trackUpstream,
+  instrumentAxios,
+  recordSms,
+  recordRateLimitRejection
+};
@@ -0,0 +1,166 @@
+// src/services/promptService.js
+const calendlyService = require('./calendlyService');
+const scheduleConfig = require('../config/schedule');
+const promptStore = require('./promptStore');
+const partials = require('../config/prompts/partials');
+const languages = require('../config/languages');
+const timeUtils = require('../utils/time-utils');
+const { renderTemplate } = require('../utils/prompt-template');
+
+// How long event types fetched for the prompt are reused
+const EVENT_TYPES_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Longest event type description included in the prompt
+const MAX_EVENT_DESCRIPTION_LENGTH = 200;
+
+// Shape of the variables a prompt can use: those from buildPromptContext plus
+// the dynamic variables twilio-personalization sends to ElevenLabs.
+// Lists describe their items. Used to flag variables a prompt can't rely on.
+const PROMPT_VARIABLES = {
+  current_date: true,
+  current_time: true,
+  caller_number: true,
+  caller_info: true,
+  time_zone: true,
+  language: true,
+  business_name: true,
+  business_description: true,
+  event_types: [{ name: true, duration: true, description: true, uri: true, scheduling_url: true }],
+  working_hours: { start: true, end: true },
+  periods: [{ name: true, start: true, end: true }]
+};
+
+// Event types per tenant, so most calls don't wait on Calendly
+const eventTypesCache = new Map();
+
+/**
+ * Gets the tenant's event types for the prompt, from the cache if fresh.
+ * If Calendly can't be reached, the last fetched list is used, or an empty
+ * list if there is none.
+ *
+ * @param {Object} tenant - Tenant the call belongs to
+ * @returns {Promise<Array>} Event types from calendlyService.getEventTypes
+ */
+async function getPromptEventTypes(tenant) {
+  const cached = eventTypesCache.get(tenant.id);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.eventTypes;
+  }
+
+  try {
+    let eventTypes = await calendlyService.getEventTypes();
+    if (tenant.eventTypes.length > 0) {
+      eventTypes = eventTypes.filter(eventType => tenant.eventTypes.includes(eventType.id));
+    }
+
+    eventTypesCache.set(tenant.id, { eventTypes, expiresAt: Date.now() + EVENT_TYPES_CACHE_TTL_MS });
+    return eventTypes;
+  } catch (error) {
+    console.warn(`Could not load event types for the prompt: ${error.message}`);
+    return cached ? cached.eventTypes : [];
+  }
+}
+
+/**
+ * Shortens an event type description to a single line for the prompt.
+ *
+ * @param {String} description - Event type description
+ * @returns {String} Single-line description
+ */
+function summarizeDescription(description) {
+  const text = (description || '').replace(/\s+/g, ' ').trim();
+  return text.length > MAX_EVENT_DESCRIPTION_LENGTH
+    ? `${text.slice(0, MAX_EVENT_DESCRIPTION_LENGTH - 1)}…`
+    : text;
+}
+
+/**
+ * Builds the variables available to the prompt template for a call.
+ *
+ * @param {Object} options - Call details
+ * @param {Object} options.tenant - Tenant the call belongs to
+ * @param {String} options.callerNumber - Caller's phone number (optional)
+ * @param {String} options.language - Language of the call (default: detected from the caller's number)
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {Promise<Object>} Template variables
+ */
+async function buildPromptContext({ tenant, callerNumber = null, language = null, now = new Date() }) {
+  const { language: callLanguage, locale } = languages.resolveLanguage(language, callerNumber);
+  const formattedDateTime = timeUtils.formatDateTime(now, callerNumber, locale);
+  const schedule = scheduleConfig.getSchedule();
+  const eventTypes = await getPromptEventTypes(tenant);
+
+  return {
+    current_date: formattedDateTime.date,
+    current_time: formattedDateTime.time,
+    caller_number: callerNumber || '',
+    time_zone: formattedDateTime.timeZone,
+    language: callLanguage,
+    business_name: tenant.business.name,
+    business_description: tenant.business.description,
+    event_types: eventTypes.map(eventType => ({
+      name: eventType.name,
+      duration: eventType.duration,
+      description: summarizeDescription(eventType.description),
+      uri: eventType.id,
+      scheduling_url: eventType.url
+    })),
+    working_hours: {
+      start: timeUtils.formatTimeOfDay(schedule.workingHours.start, locale),
+      end: timeUtils.formatTimeOfDay(schedule.workingHours.end, locale)
+    },
+    periods: schedule.periods.map(period => ({
+      name: period.name,
+      start: timeUtils.formatTimeOfDay(period.start, locale),
+      end: timeUtils.formatTimeOfDay(period.end, locale)
+    }))
+  };
+}
+
+/**
+ * Picks the prompt template and partials for a call's language. Calls in the
+ * default language use the given template (such as an experiment variant's
+ * prompt), else the tenant's own prompt, else the active prompt version;
+ * other languages use their prompt from config/prompts/locales.
+ *
+ * @param {Object} options - Call details (see renderSystemPrompt)
+ * @param {String} language - Language of the call
+ * @returns {Object} { template, partials }
+ */
+function selectTemplate(options, language) {
+  const settings = languages.getLanguage(language);
+
+  if (language !== languages.getDefaultLanguage() && settings.prompt) {
+    return { template: settings.prompt, partials: { ...partials, ...settings.partials } };
+  }
+
+  return {
+    template: options.template || options.tenant.prompt || promptStore.getActivePrompt(),
+    partials
+  };
+}
+
+/**
+ * Renders the system prompt for a call in the call's language (see selectTemplate).
+ *
+ * @param {Object} options - Call details (see buildPromptContext)
+ * @param {String} options.template - Prompt template to use instead (optional)
+ * @returns {Promise<Object>} { prompt, context, language }
+ */
+async function renderSystemPrompt(options) {
+  const context = await buildPromptContext(options);
+  const selected = selectTemplate(options, context.language);
+
+  return {
+    prompt: renderTemplate(selected.template, context, selected.partials),
+    context,
+    language: context.language
+  };
+}
+
+module.exports = {
+  PROMPT_VARIABLES,
+  getPromptEventTypes,
+  buildPromptContext,
+  renderSystemPrompt
+};
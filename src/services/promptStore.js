@@ -0,0 +1,160 @@
+// src/services/promptStore.js
+const { createJsonStore } = require('../utils/json-store');
+const { diffLines, formatUnifiedDiff } = require('../utils/text-diff');
+const builtInPrompt = require('../config/prompts/systemPrompt');
+
+/**
+ * Saved versions of the system prompt. Every save or rollback adds a new
+ * version and makes it active, so history is never rewritten. Version 0 is
+ * the prompt shipped in config/prompts/systemPrompt.js, which is active until
+ * the first version is saved.
+ */
+
+const BUILT_IN_VERSION = 0;
+
+const store = createJsonStore('prompt-versions', { activeVersion: BUILT_IN_VERSION, versions: [] });
+let state = store.load();
+
+/**
+ * Gets a version, including the built-in prompt as version 0.
+ *
+ * @param {Number} version - Version number
+ * @returns {Object|null} Version, or null if it doesn't exist
+ */
+function getVersion(version) {
+  if (version === BUILT_IN_VERSION) {
+    return {
+      version: BUILT_IN_VERSION,
+      prompt: builtInPrompt,
+      author: null,
+      message: 'Built-in prompt (src/config/prompts/systemPrompt.js)',
+      createdAt: null
+    };
+  }
+  return state.versions.find(entry => entry.version === version) || null;
+}
+
+/**
+ * Gets the active version.
+ *
+ * @returns {Object} Active version
+ */
+function getActiveVersion() {
+  return getVersion(state.activeVersion) || getVersion(BUILT_IN_VERSION);
+}
+
+/**
+ * Gets the text of the active prompt.
+ *
+ * @returns {String} Prompt template
+ */
+function getActivePrompt() {
+  return getActiveVersion().prompt;
+}
+
+/**
+ * Lists versions without their prompt text, newest first.
+ *
+ * @returns {Array} Versions as { version, author, message, createdAt, rolledBackFrom, active, length }
+ */
+function listVersions() {
+  return [...state.versions, getVersion(BUILT_IN_VERSION)]
+    .sort((a, b) => b.version - a.version)
+    .map(({ prompt, ...entry }) => ({
+      ...entry,
+      active: entry.version === state.activeVersion,
+      length: prompt.length
+    }));
+}
+
+/**
+ * Saves a new version of the prompt and makes it active.
+ *
+ * @param {Object} details - Version details
+ * @param {String} details.prompt - Prompt template
+ * @param {String} details.author - Who saved it
+ * @param {String} details.message - What changed
+ * @param {Number} details.rolledBackFrom - Version this restores, for rollbacks (optional)
+ * @returns {Object} The new version
+ */
+function saveVersion({ prompt, author, message, rolledBackFrom = null }) {
+  const latest = state.versions.reduce((max, entry) => Math.max(max, entry.version), BUILT_IN_VERSION);
+
+  const entry = {
+    version: latest + 1,
+    prompt,
+    author: author || 'unknown',
+    message: message || '',
+    createdAt: new Date().toISOString(),
+    rolledBackFrom
+  };
+
+  state = {
+    activeVersion: entry.version,
+    versions: [...state.versions, entry]
+  };
+  store.save(state);
+
+  console.log(`Saved system prompt version ${entry.version} by ${entry.author}`);
+  return entry;
+}
+
+/**
+ * Makes an earlier version active again by saving a copy of it as a new
+ * version.
+ *
+ * @param {Number} version - Version to restore
+ * @param {Object} details - Who is rolling back and why
+ * @param {String} details.author - Who rolled back
+ * @param {String} details.message - Reason (optional)
+ * @returns {Object|null} The new version, or null if the version doesn't exist
+ */
+function rollback(version, { author, message } = {}) {
+  const target = getVersion(version);
+  if (!target) {
+    return null;
+  }
+
+  return saveVersion({
+    prompt: target.prompt,
+    author,
+    message: message || `Roll back to version ${version}`,
+    rolledBackFrom: version
+  });
+}
+
+/**
+ * Compares two versions line by line.
+ *
+ * @param {Number} fromVersion - Older version
+ * @param {Number} toVersion - Newer version
+ * @returns {Object|null} { from, to, added, removed, diff }, or null if either version doesn't exist
+ */
+function diffVersions(fromVersion, toVersion) {
+  const from = getVersion(fromVersion);
+  const to = getVersion(toVersion);
+  if (!from || !to) {
+    return null;
+  }
+
+  const lines = diffLines(from.prompt, to.prompt);
+
+  return {
+    from: from.version,
+    to: to.version,
+    added: lines.filter(line => line.type === 'added').length,
+    removed: lines.filter(line => line.type === 'removed').length,
+    diff: formatUnifiedDiff(lines)
+  };
+}
+
+module.exports = {
+  BUILT_IN_VERSION,
+  getVersion,
+  getActiveVersion,
+  getActivePrompt,
+  listVersions,
+  saveVersion,
+  rollback,
+  diffVersions
+};
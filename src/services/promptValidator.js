@@ -0,0 +1,217 @@
+// src/services/promptValidator.js
+const calendlyService = require('./calendlyService');
+const githubService = require('./githubService');
+const partials = require('../config/prompts/partials');
+const { PROMPT_VARIABLES } = require('./promptService');
+const { AGENT_TOOL_NAMES } = require('./agentBuilderService');
+const { parseTemplate } = require('../utils/prompt-template');
+
+// Calendly event type URIs written out in a prompt
+const EVENT_TYPE_URI_PATTERN = /https:\/\/api\.calendly\.com\/event_types\/[A-Za-z0-9-]+/g;
+
+// "checkTimes function", "the checkAvailability, checkTimes and bookAppointment functions", "end_call tool"
+const TOOL_MENTION_PATTERN = /((?:[A-Za-z_]\w*(?:,\s*|\s+(?:and|or)\s+))*[A-Za-z_]\w*)\s+(?:functions?|tools?)\b/g;
+
+// Only code-like words (camelCase or snake_case) in those phrases are taken as tool names
+const CODE_IDENTIFIER_PATTERN = /^(?:[a-z]+[A-Z]\w*|[a-z]+_\w+)$/;
+
+// Variables ElevenLabs fills itself, such as {{system__caller_id}}
+const SYSTEM_VARIABLE_PREFIX = 'system__';
+
+/**
+ * Checks whether a variable path exists in the schema of any enclosing scope.
+ *
+ * @param {String} path - Variable path from the template
+ * @param {Array} scopes - Schemas of the enclosing scopes, outermost first
+ * @returns {Boolean} Whether the variable will have a value
+ */
+function isKnownVariable(path, scopes) {
+  if (path === 'this' || path === '.') return scopes.length > 1;
+  if (path === '@index' || path === '@number') return scopes.length > 1;
+  if (path.startsWith(SYSTEM_VARIABLE_PREFIX)) return true;
+
+  const [head, ...rest] = path.replace(/^this\./, '').split('.');
+
+  return scopes.some(schema => {
+    if (schema === true) return true;
+    if (!schema || typeof schema !== 'object' || !(head in schema)) return false;
+
+    let current = schema[head];
+    for (const key of rest) {
+      if (current === true) return true;
+      if (!current || typeof current !== 'object' || Array.isArray(current) || !(key in current)) return false;
+      current = current[key];
+    }
+    return true;
+  });
+}
+
+/**
+ * Gets the item schema for an {{#each}} block.
+ *
+ * @param {String} path - Variable path of the list
+ * @param {Array} scopes - Schemas of the enclosing scopes
+ * @returns {*} Schema of each item (true if unknown)
+ */
+function getItemSchema(path, scopes) {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const schema = scopes[i];
+    if (schema && typeof schema === 'object' && Array.isArray(schema[path])) {
+      return schema[path][0];
+    }
+  }
+  return true;
+}
+
+/**
+ * Collects variables the prompt uses that won't have a value at call time.
+ *
+ * @param {Array} nodes - Parsed template nodes
+ * @param {Array} scopes - Schemas of the enclosing scopes
+ * @param {Set} unknown - Unknown variable paths found so far
+ * @param {Number} depth - Partial nesting depth
+ * @returns {Set} Unknown variable paths
+ */
+function collectUnknownVariables(nodes, scopes, unknown = new Set(), depth = 0) {
+  nodes.forEach(node => {
+    if (node.type === 'variable' && !isKnownVariable(node.path, scopes)) {
+      unknown.add(node.path);
+    }
+
+    if (node.type === 'partial' && depth < 10) {
+      collectUnknownVariables(parseTemplate(partials[node.name]), scopes, unknown, depth + 1);
+    }
+
+    if (['each', 'if', 'unless'].includes(node.type)) {
+      if (!isKnownVariable(node.path, scopes)) {
+        unknown.add(node.path);
+      }
+      const childScopes = node.type === 'each' ? [...scopes, getItemSchema(node.path, scopes)] : scopes;
+      collectUnknownVariables(node.children, childScopes, unknown, depth);
+      collectUnknownVariables(node.inverse || [], scopes, unknown, depth);
+    }
+  });
+
+  return unknown;
+}
+
+/**
+ * Collects the partials a prompt includes.
+ *
+ * @param {Array} nodes - Parsed template nodes
+ * @returns {Array} Partial names
+ */
+function collectPartials(nodes) {
+  return nodes.flatMap(node => {
+    if (node.type === 'partial') return [node.name];
+    if (node.children) return [...collectPartials(node.children), ...collectPartials(node.inverse || [])];
+    return [];
+  });
+}
+
+/**
+ * Finds tool names the prompt tells the agent to use.
+ *
+ * @param {String} prompt - Prompt text
+ * @returns {Array} Mentioned tool names
+ */
+function findToolMentions(prompt) {
+  const mentions = new Set();
+  for (const match of prompt.matchAll(TOOL_MENTION_PATTERN)) {
+    match[1]
+      .split(/,\s*|\s+(?:and|or)\s+/)
+      .filter(word => CODE_IDENTIFIER_PATTERN.test(word))
+      .forEach(word => mentions.add(word));
+  }
+  return Array.from(mentions);
+}
+
+/**
+ * Checks a system prompt before it is saved.
+ *
+ * Errors make the prompt unusable: template syntax errors, unknown partials and
+ * content that can't be written to systemPrompt.js safely.
+ * Warnings point at things that probably won't work on a call: variables
+ * nothing fills, event type URIs that aren't in the Calendly account, and
+ * tool names the agent doesn't have.
+ *
+ * @param {String} prompt - Prompt template
+ * @param {Object} options - Validation options
+ * @param {Array} options.toolNames - Tools the agent has (default: the tools createAgentConfig adds)
+ * @returns {Promise<Object>} { valid, errors, warnings }, each issue as { type, message }
+ */
+async function validatePrompt(prompt, { toolNames = AGENT_TOOL_NAMES } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  let nodes = null;
+  try {
+    nodes = parseTemplate(prompt);
+  } catch (error) {
+    errors.push({ type: 'template_syntax', message: error.message });
+  }
+
+  if (nodes) {
+    collectPartials(nodes)
+      .filter(name => !(name in partials))
+      .forEach(name => errors.push({
+        type: 'unknown_partial',
+        message: `Unknown partial "{{> ${name}}}". Available partials: ${Object.keys(partials).join(', ')}`
+      }));
+  }
+
+  if (nodes && errors.length === 0) {
+    collectUnknownVariables(nodes, [PROMPT_VARIABLES]).forEach(path => warnings.push({
+      type: 'unknown_variable',
+      message: `"{{${path}}}" is not filled in by call personalization`
+    }));
+  }
+
+  try {
+    githubService.formatPromptFile(prompt);
+  } catch (error) {
+    errors.push({ type: 'unsafe_content', message: error.message });
+  }
+
+  if (/`|\$\{/.test(prompt)) {
+    warnings.push({
+      type: 'escaped_content',
+      message: 'The prompt contains backticks or "${"; they are escaped when the prompt is committed to systemPrompt.js'
+    });
+  }
+
+  const eventTypeUris = Array.from(new Set(prompt.match(EVENT_TYPE_URI_PATTERN) || []));
+  if (eventTypeUris.length > 0) {
+    try {
+      const accountUris = (await calendlyService.getEventTypes()).map(eventType => eventType.id);
+      eventTypeUris
+        .filter(uri => !accountUris.includes(uri))
+        .forEach(uri => warnings.push({
+          type: 'unknown_event_type',
+          message: `Event type not found in the Calendly account: ${uri}`
+        }));
+    } catch (error) {
+      warnings.push({
+        type: 'event_types_unverified',
+        message: `Could not check event type URIs against Calendly: ${error.message}`
+      });
+    }
+  }
+
+  findToolMentions(prompt)
+    .filter(name => !toolNames.includes(name))
+    .forEach(name => warnings.push({
+      type: 'unknown_tool',
+      message: `The prompt mentions "${name}", but the agent has no tool with that name. Available tools: ${toolNames.join(', ')}`
+    }));
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+module.exports = {
+  validatePrompt
+};
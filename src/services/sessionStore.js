@@ -0,0 +1,302 @@
+// src/services/sessionStore.js
+const config = require('../config/environment');
+const { createJsonStore } = require('../utils/json-store');
+const { normalizePhoneNumber } = require('../utils/phone-utils');
+
+/**
+ * Per-call session state shared across tool calls. A session is opened by
+ * twilio-personalization and keyed by the call SID (or, for calls that don't
+ * come through Twilio, the ElevenLabs conversation ID). Tool calls record
+ * what the caller picked (event type, day, period), the SMS sent and the
+ * appointments booked, so later tool calls can default their parameters and
+ * avoid repeating actions.
+ *
+ * Sessions are kept in memory. A backend with load() and save(sessions)
+ * persists them: SESSION_STORE=file keeps them in DATA_DIR, and setBackend
+ * plugs in any other storage.
+ */
+
+// Most tool calls kept per session
+const MAX_TOOL_CALLS = 200;
+
+const BACKENDS = {
+  memory: () => ({ load: () => [], save: () => {} }),
+  // Sessions change several times per tool call, so writes are batched
+  file: () => createJsonStore('call-sessions', [], { delayWrites: true })
+};
+
+let backend = null;
+const sessions = new Map();
+
+/**
+ * Switches the persistence backend and loads its sessions.
+ *
+ * @param {Object} nextBackend - Backend with load() returning an array of sessions and save(sessions)
+ */
+function setBackend(nextBackend) {
+  backend = nextBackend;
+  sessions.clear();
+  (backend.load() || []).forEach(session => sessions.set(session.id, session));
+}
+
+/**
+ * Creates the backend named by SESSION_STORE, falling back to memory.
+ *
+ * @returns {Object} Backend
+ */
+function createConfiguredBackend() {
+  const factory = BACKENDS[config.sessions.store];
+  if (!factory) {
+    console.warn(`⚠️  Unknown SESSION_STORE "${config.sessions.store}", keeping sessions in memory`);
+    return BACKENDS.memory();
+  }
+  return factory();
+}
+
+setBackend(createConfiguredBackend());
+
+/**
+ * Writes all sessions to the backend.
+ */
+function persist() {
+  backend.save(Array.from(sessions.values()));
+}
+
+/**
+ * Drops sessions that haven't been used within the TTL.
+ *
+ * @returns {Boolean} Whether any session was dropped
+ */
+function pruneExpired() {
+  const cutoff = new Date(Date.now() - config.sessions.ttlMinutes * 60 * 1000).toISOString();
+  let pruned = false;
+
+  for (const [id, session] of sessions) {
+    if (session.updatedAt < cutoff) {
+      sessions.delete(id);
+      pruned = true;
+    }
+  }
+  return pruned;
+}
+
+/**
+ * Finds the session for a call by call SID or conversation ID.
+ *
+ * @param {Object} keys - { callSid, conversationId }
+ * @returns {Object|null} Session, or null if there is none
+ */
+function findSession({ callSid = null, conversationId = null } = {}) {
+  if (callSid && sessions.has(callSid)) {
+    return sessions.get(callSid);
+  }
+  if (conversationId) {
+    for (const session of sessions.values()) {
+      if (session.conversationId === conversationId) {
+        return session;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds an empty session.
+ *
+ * @param {String} id - Session ID (call SID or conversation ID)
+ * @returns {Object} Session
+ */
+function createSession(id) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    callSid: null,
+    conversationId: null,
+    tenantId: null,
+    agentId: null,
+    callerNumber: null,
+    calledNumber: null,
+    language: null,
+    experiment: null,
+    startedAt: now,
+    updatedAt: now,
+    state: {
+      eventTypeUrl: null,
+      weekOffset: null,
+      date: null,
+      period: null,
+      smsSent: [],
+      bookings: []
+    },
+    toolCalls: []
+  };
+}
+
+/**
+ * Opens (or refreshes) the session for a call when it starts.
+ *
+ * @param {Object} call - Call details from twilio-personalization
+ * @param {String} call.callSid - Twilio call SID
+ * @param {String} call.tenantId - Tenant the call belongs to
+ * @param {String} call.agentId - ElevenLabs agent ID
+ * @param {String} call.callerNumber - Caller's phone number
+ * @param {String} call.calledNumber - Number that was called
+ * @param {String} call.language - Language of the call
+ * @param {Object} call.experiment - { id, variant } if the call is in a prompt experiment
+ * @returns {Object|null} Session, or null without a call SID
+ */
+function startSession({ callSid, tenantId = null, agentId = null, callerNumber = null, calledNumber = null, language = null, experiment = null }) {
+  if (!callSid) {
+    return null;
+  }
+
+  pruneExpired();
+  const session = sessions.get(callSid) || createSession(callSid);
+  Object.assign(session, {
+    callSid,
+    tenantId,
+    agentId,
+    callerNumber: normalizePhoneNumber(callerNumber) || callerNumber,
+    calledNumber: normalizePhoneNumber(calledNumber) || calledNumber,
+    language,
+    experiment,
+    updatedAt: new Date().toISOString()
+  });
+  sessions.set(session.id, session);
+  persist();
+
+  return session;
+}
+
+/**
+ * Gets the session a tool call belongs to, creating one if the call wasn't
+ * opened through twilio-personalization (e.g. a test call from the
+ * ElevenLabs dashboard). Links the conversation ID to the call's session.
+ *
+ * @param {Object} keys - Call details sent with the tool call
+ * @param {String} keys.callSid - Twilio call SID (optional)
+ * @param {String} keys.conversationId - ElevenLabs conversation ID (optional)
+ * @param {String} keys.tenantId - Tenant the call belongs to
+ * @param {String} keys.callerNumber - Caller's phone number (optional)
+ * @returns {Object|null} Session, or null if the tool call has neither ID
+ */
+function getOrCreateSession({ callSid = null, conversationId = null, tenantId = null, callerNumber = null }) {
+  let session = findSession({ callSid, conversationId });
+
+  if (!session) {
+    const id = callSid || conversationId;
+    if (!id) {
+      return null;
+    }
+    if (pruneExpired()) {
+      persist();
+    }
+    session = createSession(id);
+    Object.assign(session, {
+      callSid,
+      tenantId,
+      callerNumber: normalizePhoneNumber(callerNumber) || callerNumber
+    });
+    sessions.set(id, session);
+  }
+
+  if (conversationId && !session.conversationId) {
+    session.conversationId = conversationId;
+  }
+  session.updatedAt = new Date().toISOString();
+  persist();
+
+  return session;
+}
+
+/**
+ * Gets a session by ID.
+ *
+ * @param {String} id - Session ID (call SID or conversation ID)
+ * @returns {Object|null} Session, or null if not found
+ */
+function getSession(id) {
+  return sessions.get(id) || findSession({ conversationId: id });
+}
+
+/**
+ * Records what the caller picked or what happened during the call.
+ *
+ * @param {Object} session - Session from getOrCreateSession
+ * @param {Object} changes - State fields to set (undefined values are ignored)
+ */
+function updateState(session, changes) {
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value !== undefined) {
+      session.state[key] = value;
+    }
+  });
+  session.updatedAt = new Date().toISOString();
+  persist();
+}
+
+/**
+ * Records that a booking SMS was sent during the call.
+ *
+ * @param {Object} session - Session from getOrCreateSession
+ * @param {String} schedulingUrl - Scheduling link that was sent
+ */
+function recordSmsSent(session, schedulingUrl) {
+  updateState(session, {
+    smsSent: [...session.state.smsSent, { schedulingUrl: schedulingUrl || null, at: new Date().toISOString() }]
+  });
+}
+
+/**
+ * Records an appointment booked during the call.
+ *
+ * @param {Object} session - Session from getOrCreateSession
+ * @param {Object} booking - { eventTypeUrl, startTime, schedulingUrl, eventUri }
+ */
+function recordBooking(session, { eventTypeUrl, startTime, schedulingUrl = null, eventUri = null }) {
+  updateState(session, {
+    bookings: [...session.state.bookings, { eventTypeUrl, startTime, schedulingUrl, eventUri, at: new Date().toISOString() }]
+  });
+}
+
+/**
+ * Records a tool call and its outcome.
+ *
+ * @param {Object} session - Session from getOrCreateSession
+ * @param {Object} toolCall - { name, status (HTTP status), durationMs }
+ */
+function recordToolCall(session, { name, status, durationMs }) {
+  session.toolCalls.push({ name, status, durationMs, at: new Date().toISOString() });
+  if (session.toolCalls.length > MAX_TOOL_CALLS) {
+    session.toolCalls = session.toolCalls.slice(-MAX_TOOL_CALLS);
+  }
+  session.updatedAt = new Date().toISOString();
+  persist();
+}
+
+/**
+ * Lists sessions, most recently active first.
+ *
+ * @param {Object} options - { tenantId, limit (default 50) }
+ * @returns {Array} Sessions
+ */
+function listSessions({ tenantId = null, limit = 50 } = {}) {
+  return Array.from(sessions.values())
+    .filter(session => !tenantId || session.tenantId === tenantId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit);
+}
+
+module.exports = {
+  BACKENDS,
+  setBackend,
+  startSession,
+  getOrCreateSession,
+  findSession,
+  getSession,
+  updateState,
+  recordSmsSent,
+  recordBooking,
+  recordToolCall,
+  listSessions
+};
@@ -0,0 +1,343 @@
+// src/services/smsTemplateService.js
+const crypto = require('crypto');
+const languages = require('../config/languages');
+const { createJsonStore } = require('../utils/json-store');
+const { parseTemplate, renderTemplate } = require('../utils/prompt-template');
+const { countSegments } = require('../utils/sms-segments');
+
+/**
+ * Named templates for the booking link SMS. A template can be limited to an
+ * event type, a tenant and a language; each message uses the most specific
+ * template that matches it (event type over tenant over language), or the
+ * built-in template if none does. Templates use {{variable}} substitution
+ * and {{#if}} blocks from utils/prompt-template.js.
+ */
+
+// Variables available to SMS templates
+const SMS_VARIABLES = {
+  name: "Caller's name",
+  first_name: "Caller's first name",
+  event_name: 'Event type name (or "appointment" if unknown)',
+  event_duration: 'Event duration in minutes',
+  event_time: 'Time of the chosen slot, as the agent said it',
+  scheduling_url: 'Link to confirm the booking',
+  business_name: "Tenant's business name"
+};
+
+// Twilio rejects longer message bodies
+const MAX_BODY_LENGTH = 1600;
+
+const BUILT_IN_TEMPLATE = {
+  id: 'default',
+  name: 'Default',
+  body: 'Thank you {{name}} for booking a {{event_duration}}-minute {{event_name}} for {{event_time}}. ' +
+    'Please confirm your booking here: {{scheduling_url}}',
+  eventTypeUrl: null,
+  tenantId: null,
+  language: null,
+  builtIn: true,
+  createdAt: null,
+  updatedAt: null
+};
+
+// Values used to preview a template; the link is as long as a tracked one
+const SAMPLE_VARIABLES = {
+  name: 'Alex Morgan',
+  first_name: 'Alex',
+  event_name: 'Intro Call',
+  event_duration: 30,
+  event_time: 'Tuesday, May 14 at 2:30 PM',
+  scheduling_url: 'https://calendly.com/your-name/intro-call/2025-05-14T14:30:00Z?month=2025-05' +
+    '&utm_source=voice-agent&utm_content=CA0123456789abcdef0123456789abcdef',
+  business_name: 'Your Business'
+};
+
+const store = createJsonStore('sms-templates', []);
+let templates = store.load();
+
+/**
+ * Collects the variable names a parsed template uses.
+ *
+ * @param {Array} nodes - Parsed template nodes
+ * @param {Set} names - Names found so far
+ * @returns {Set} Variable names (the first part of dotted paths)
+ * @throws {Error} If the template uses partials
+ */
+function collectVariables(nodes, names = new Set()) {
+  nodes.forEach(node => {
+    if (node.type === 'partial') {
+      throw new Error(`Partials aren't supported in SMS templates ("{{> ${node.name}}}")`);
+    }
+    if (node.path && !node.path.startsWith('@') && node.path !== 'this') {
+      names.add(node.path.replace(/^this\./, '').split('.')[0]);
+    }
+    collectVariables(node.children || [], names);
+    collectVariables(node.inverse || [], names);
+  });
+  return names;
+}
+
+/**
+ * Checks that a template body parses and only uses known variables.
+ *
+ * @param {String} body - Message template
+ * @returns {String|null} Error message, or null if valid
+ */
+function checkBody(body) {
+  try {
+    const unknown = Array.from(collectVariables(parseTemplate(body))).filter(variable => !SMS_VARIABLES[variable]);
+    if (unknown.length > 0) {
+      return `Unknown variable${unknown.length > 1 ? 's' : ''}: ${unknown.map(variable => `{{${variable}}}`).join(', ')}`;
+    }
+  } catch (error) {
+    return `Invalid template: ${error.message}`;
+  }
+  return null;
+}
+
+/**
+ * Validates a template from the API.
+ *
+ * @param {Object} input - Template fields
+ * @param {String} excludeId - Template being updated, so it doesn't clash with its own name
+ * @returns {String|null} Error message, or null if valid
+ */
+function validateTemplate({ name, body, language }, excludeId = null) {
+  if (!name || typeof name !== 'string') {
+    return 'A template needs a name';
+  }
+  const taken = [BUILT_IN_TEMPLATE, ...templates].some(template =>
+    template.id !== excludeId && template.name.toLowerCase() === name.trim().toLowerCase()
+  );
+  if (taken) {
+    return `A template named "${name}" already exists`;
+  }
+
+  if (!body || typeof body !== 'string') {
+    return 'A template needs a body';
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    return `A template can be at most ${MAX_BODY_LENGTH} characters`;
+  }
+  const bodyError = checkBody(body);
+  if (bodyError) {
+    return bodyError;
+  }
+
+  if (language && !languages.getLanguage(language)) {
+    return `Unknown language: ${language}`;
+  }
+
+  return null;
+}
+
+/**
+ * Lists the built-in template and saved templates.
+ *
+ * @returns {Array} Templates
+ */
+function listTemplates() {
+  return [BUILT_IN_TEMPLATE, ...templates];
+}
+
+/**
+ * Gets a template.
+ *
+ * @param {String} id - Template ID ("default" for the built-in template)
+ * @returns {Object|null} Template, or null if not found
+ */
+function getTemplate(id) {
+  return listTemplates().find(template => template.id === id) || null;
+}
+
+/**
+ * Saves a new template.
+ *
+ * @param {Object} input - Template fields
+ * @param {String} input.name - Template name
+ * @param {String} input.body - Message template
+ * @param {String} input.eventTypeUrl - Event type it's used for (optional, default: all)
+ * @param {String} input.tenantId - Tenant it's used for (optional, default: all)
+ * @param {String} input.language - Language code it's used for (optional, default: all)
+ * @returns {Object} { template, error }
+ */
+function createTemplate(input = {}) {
+  const error = validateTemplate(input);
+  if (error) {
+    return { error };
+  }
+
+  const now = new Date().toISOString();
+  const template = {
+    id: `sms_${crypto.randomBytes(6).toString('hex')}`,
+    name: input.name.trim(),
+    body: input.body,
+    eventTypeUrl: input.eventTypeUrl || null,
+    tenantId: input.tenantId || null,
+    language: input.language || null,
+    builtIn: false,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  templates = [...templates, template];
+  store.save(templates);
+
+  console.log(`Saved SMS template ${template.id} (${template.name})`);
+  return { template };
+}
+
+/**
+ * Updates a saved template. Fields left undefined keep their value; null
+ * clears an event type, tenant or language.
+ *
+ * @param {String} id - Template ID
+ * @param {Object} changes - Template fields to change
+ * @returns {Object|null} { template, error }, or null if not found
+ */
+function updateTemplate(id, changes = {}) {
+  const template = templates.find(candidate => candidate.id === id);
+  if (!template) {
+    return null;
+  }
+
+  const fields = ['name', 'body', 'eventTypeUrl', 'tenantId', 'language'];
+  const updated = { ...template };
+  fields.forEach(field => {
+    if (changes[field] !== undefined) {
+      updated[field] = changes[field] || null;
+    }
+  });
+
+  const error = validateTemplate(updated, id);
+  if (error) {
+    return { error };
+  }
+
+  updated.name = updated.name.trim();
+  updated.updatedAt = new Date().toISOString();
+  templates = templates.map(candidate => (candidate.id === id ? updated : candidate));
+  store.save(templates);
+
+  return { template: updated };
+}
+
+/**
+ * Deletes a saved template.
+ *
+ * @param {String} id - Template ID
+ * @returns {Boolean} Whether a template was deleted
+ */
+function deleteTemplate(id) {
+  const remaining = templates.filter(template => template.id !== id);
+  if (remaining.length === templates.length) {
+    return false;
+  }
+
+  templates = remaining;
+  store.save(templates);
+  return true;
+}
+
+/**
+ * Picks the template for a message: the saved template that matches the
+ * most specific of its event type, tenant and language (the newest on a
+ * tie), or the built-in template.
+ *
+ * @param {Object} message - What the message is for (all optional)
+ * @param {String} message.eventTypeUrl - Event type URI
+ * @param {String} message.tenantId - Tenant ID
+ * @param {String} message.language - Language code of the call
+ * @returns {Object} Template
+ */
+function selectTemplate({ eventTypeUrl = null, tenantId = null, language = null } = {}) {
+  let best = null;
+  let bestScore = -1;
+
+  templates.forEach(template => {
+    const matches = (!template.eventTypeUrl || template.eventTypeUrl === eventTypeUrl) &&
+      (!template.tenantId || template.tenantId === tenantId) &&
+      (!template.language || template.language === language);
+    if (!matches) {
+      return;
+    }
+
+    const score = (template.eventTypeUrl ? 4 : 0) + (template.tenantId ? 2 : 0) + (template.language ? 1 : 0);
+    if (score > bestScore || (score === bestScore && template.updatedAt > best.updatedAt)) {
+      best = template;
+      bestScore = score;
+    }
+  });
+
+  return best || BUILT_IN_TEMPLATE;
+}
+
+/**
+ * Renders a template body with its variables and counts its segments.
+ *
+ * @param {String} body - Message template
+ * @param {Object} variables - Template variables
+ * @returns {Object} { text, segments } - segments from countSegments
+ */
+function renderBody(body, variables) {
+  const text = renderTemplate(body, variables).replace(/[ \t]+/g, ' ').trim();
+  return { text, segments: countSegments(text) };
+}
+
+/**
+ * Builds the booking SMS for a message, using the template picked for it.
+ *
+ * @param {Object} details - Booking details
+ * @param {String} details.name - Caller's name
+ * @param {String} details.eventTime - Formatted event time
+ * @param {String|Number} details.eventDuration - Duration in minutes
+ * @param {String} details.eventName - Event type name (optional)
+ * @param {String} details.schedulingUrl - Calendly scheduling URL
+ * @param {String} details.businessName - Business name (optional)
+ * @param {Object} message - { eventTypeUrl, tenantId, language } (see selectTemplate)
+ * @returns {Object} { template: { id, name }, text, segments }
+ */
+function renderBookingSms(details, message = {}) {
+  const template = selectTemplate(message);
+  const name = (details.name || '').trim();
+
+  const { text, segments } = renderBody(template.body, {
+    name,
+    first_name: name.split(/\s+/)[0] || '',
+    event_name: details.eventName || 'appointment',
+    event_duration: details.eventDuration,
+    event_time: details.eventTime,
+    scheduling_url: details.schedulingUrl,
+    business_name: details.businessName || ''
+  });
+
+  return { template: { id: template.id, name: template.name }, text, segments };
+}
+
+/**
+ * Renders a template with sample values (overridden by any given), to
+ * check how it reads and how many segments it takes.
+ *
+ * @param {String} body - Message template
+ * @param {Object} variables - Values to use instead of the samples (optional)
+ * @returns {Object} { text, segments, error } - error if the template is invalid
+ */
+function previewBody(body, variables = {}) {
+  const error = checkBody(body || '');
+  if (error) {
+    return { error };
+  }
+  return renderBody(body || '', { ...SAMPLE_VARIABLES, ...variables });
+}
+
+module.exports = {
+  SMS_VARIABLES,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  selectTemplate,
+  renderBookingSms,
+  previewBody
+};
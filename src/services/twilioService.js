@@ -1,45 +1,77 @@
 // src/services/twilioService.js
 const twilio = require('twilio');
 const config = require('../config/environment');
+const { getTenant, getRequestId } = require('../utils/request-context');
+const metrics = require('./metrics');
+const smsTemplateService = require('./smsTemplateService');
+
+/**
+ * Twilio HTTP client that passes on the request ID, so Twilio calls can be
+ * matched to our logs.
+ */
+class RequestIdClient extends twilio.RequestClient {
+  request(opts) {
+    const requestId = getRequestId();
+    return super.request(requestId
+      ? { ...opts, headers: { ...opts.headers, 'X-Request-Id': requestId } }
+      : opts);
+  }
+}
 
 /**
  * Creates a Twilio client if SMS is enabled and configured.
  * 
+ * @param {Object} credentials - Twilio credentials
+ * @param {String} credentials.accountSid - Twilio account SID
+ * @param {String} credentials.authToken - Twilio auth token
  * @returns {Object|null} Twilio client or null if disabled/not configured
  */
-const createTwilioClient = () => {
+const createTwilioClient = ({ accountSid, authToken }) => {
   if (!config.sms.enabled) {
-    console.log('SMS notifications are disabled');
     return null;
   }
   
-  if (!config.sms.accountSid || !config.sms.authToken) {
+  if (!accountSid || !authToken) {
     console.warn('Twilio credentials not configured');
     return null;
   }
   
-  return twilio(
-    config.sms.accountSid,
-    config.sms.authToken
-  );
+  return twilio(accountSid, authToken, { httpClient: new RequestIdClient() });
 };
 
-// Initialize Twilio client
-const twilioClient = createTwilioClient();
+if (!config.sms.enabled) {
+  console.log('SMS notifications are disabled');
+}
+
+// Twilio clients, one per account so each tenant can use its own
+const twilioClients = new Map();
 
 /**
- * Sends a booking confirmation SMS with scheduling details.
+ * Gets the Twilio client for the current request's tenant.
+ * 
+ * @returns {Object|null} Twilio client or null if disabled/not configured
+ */
+function getTwilioClient() {
+  const { sms } = getTenant();
+  const key = `${sms.accountSid}:${sms.authToken}`;
+  
+  if (!twilioClients.has(key)) {
+    twilioClients.set(key, createTwilioClient(sms));
+  }
+  return twilioClients.get(key);
+}
+
+/**
+ * Sends an SMS message through Twilio.
  * 
  * @param {String} phoneNumber - Recipient's phone number
- * @param {Object} bookingDetails - Booking information
- * @param {String} bookingDetails.name - Customer name
- * @param {String} bookingDetails.eventTime - Formatted event time
- * @param {String} bookingDetails.eventDuration - Duration in minutes
- * @param {String} bookingDetails.schedulingUrl - Calendly scheduling URL
+ * @param {String} message - Message body
  * @returns {Promise<Object>} SMS response details
  */
-async function sendBookingSMS(phoneNumber, bookingDetails) {
+async function sendSMS(phoneNumber, message) {
+  const twilioClient = getTwilioClient();
   if (!twilioClient) {
+    metrics.recordSms('failed');
     throw new Error('SMS service is not configured');
   }
   
@@ -47,25 +79,18 @@ async function sendBookingSMS(phoneNumber, bookingDetails) {
     throw new Error('Phone number is required');
   }
   
-  if (!bookingDetails.name || !bookingDetails.eventTime || 
-      !bookingDetails.eventDuration || !bookingDetails.schedulingUrl) {
-    throw new Error('Incomplete booking details');
-  }
-  
   try {
-    // Format the message
-    const message = `Thank you ${bookingDetails.name} for booking a ${bookingDetails.eventDuration}-minute consultation for ${bookingDetails.eventTime}. Please confirm your booking here: ${bookingDetails.schedulingUrl}`;
-    
     // Send the SMS
     console.log(`Sending SMS to ${phoneNumber}`);
     
-    const response = await twilioClient.messages.create({
+    const response = await metrics.trackUpstream('twilio', 'send_sms', () => twilioClient.messages.create({
       body: message,
-      from: config.sms.phoneNumber,
+      from: getTenant().sms.phoneNumber,
       to: phoneNumber
-    });
+    }));
     
     console.log(`SMS sent successfully. SID: ${response.sid}`);
+    metrics.recordSms('sent');
     
     return {
       success: true,
@@ -75,10 +100,67 @@ async function sendBookingSMS(phoneNumber, bookingDetails) {
     };
   } catch (error) {
     console.error('Error sending SMS:', error);
+    metrics.recordSms('failed');
     throw new Error(`Failed to send SMS: ${error.message}`);
   }
 }
 
+/**
+ * Sends a booking confirmation SMS with scheduling details, worded by the
+ * SMS template picked for the event type, tenant and language.
+ * 
+ * @param {String} phoneNumber - Recipient's phone number
+ * @param {Object} bookingDetails - Booking information
+ * @param {String} bookingDetails.name - Customer name
+ * @param {String} bookingDetails.eventTime - Formatted event time
+ * @param {String} bookingDetails.eventDuration - Duration in minutes
+ * @param {String} bookingDetails.eventName - Event type name (optional)
+ * @param {String} bookingDetails.schedulingUrl - Calendly scheduling URL
+ * @param {Object} options - Template selection (optional)
+ * @param {String} options.eventTypeUrl - Event type URI
+ * @param {String} options.language - Language code of the call
+ * @returns {Promise<Object>} SMS response details
+ */
+async function sendBookingSMS(phoneNumber, bookingDetails, { eventTypeUrl, language } = {}) {
+  if (!bookingDetails.name || !bookingDetails.eventTime || 
+      !bookingDetails.eventDuration || !bookingDetails.schedulingUrl) {
+    throw new Error('Incomplete booking details');
+  }
+  
+  const tenant = getTenant();
+  const { template, text } = smsTemplateService.renderBookingSms(
+    { ...bookingDetails, businessName: tenant.business.name },
+    { eventTypeUrl, tenantId: tenant.id, language }
+  );
+  
+  const result = await sendSMS(phoneNumber, text);
+  return { ...result, template: template.id };
+}
+
+/**
+ * Sends an SMS with a Calendly link to reschedule or cancel an existing booking.
+ * 
+ * @param {String} phoneNumber - Recipient's phone number
+ * @param {Object} details - Booking information
+ * @param {String} details.action - 'reschedule' or 'cancel'
+ * @param {String} details.name - Customer name (optional)
+ * @param {String} details.eventTime - Formatted time of the existing booking
+ * @param {String} details.url - Calendly reschedule or cancel URL
+ * @returns {Promise<Object>} SMS response details
+ */
+async function sendManageBookingSMS(phoneNumber, details) {
+  if (!details.url || !details.eventTime) {
+    throw new Error('Incomplete booking details');
+  }
+  
+  const greeting = details.name ? `Hi ${details.name}, ` : '';
+  const message = details.action === 'cancel'
+    ? `${greeting}to cancel your appointment on ${details.eventTime}, use this link: ${details.url}`
+    : `${greeting}to move your appointment on ${details.eventTime}, pick a new time here: ${details.url}`;
+  
+  return sendSMS(phoneNumber, message);
+}
+
 /**
  * Validates if a phone number is in correct format.
  * 
@@ -92,6 +174,8 @@ function isValidPhoneNumber(phoneNumber) {
 }
 
 module.exports = {
+  sendSMS,
   sendBookingSMS,
+  sendManageBookingSMS,
   isValidPhoneNumber
 };
\ No newline at end of file
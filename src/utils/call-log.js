@@ -0,0 +1,110 @@
+// src/utils/call-log.js
+const { createJsonStore } = require('./json-store');
+const { normalizePhoneNumber } = require('./phone-utils');
+
+/**
+ * Bounded log of recent calls, for reports that outlive call sessions
+ * (sessionStore drops a session once its TTL passes). Prompt experiments
+ * and the booking funnel each keep one, and find the call a tool call or
+ * booking belongs to the same way: by call SID or conversation ID, or else
+ * the caller's latest call within a window.
+ */
+
+// Keep each log bounded; older calls are dropped first
+const MAX_STORED_CALLS = 5000;
+
+// Tool calls without a call ID are matched to the caller's latest call within this window
+const CALL_MATCH_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Creates a call log persisted in the data directory.
+ *
+ * @param {String} name - Store name, used as the file name
+ * @param {Object} options - Options (optional)
+ * @param {String} options.timeField - Field holding when each call started (default: startedAt)
+ * @returns {Object} Call log with list(), add(), find(), findRecent() and save()
+ */
+function createCallLog(name, { timeField = 'startedAt' } = {}) {
+  // Saved on every tool call, so writes are batched off the request path
+  const store = createJsonStore(name, [], { delayWrites: true });
+  let calls = store.load();
+
+  /**
+   * Lists the logged calls, oldest first.
+   *
+   * @returns {Array} Calls
+   */
+  function list() {
+    return calls;
+  }
+
+  /**
+   * Adds a call, replacing an earlier entry with the same call SID. Call
+   * save() once the call's fields are set.
+   *
+   * @param {Object} call - Call with a callSid (or null) and the time field set
+   * @returns {Object} The call
+   */
+  function add(call) {
+    calls = calls.filter(candidate => !call.callSid || candidate.callSid !== call.callSid);
+    calls.push(call);
+    if (calls.length > MAX_STORED_CALLS) {
+      calls = calls.slice(-MAX_STORED_CALLS);
+    }
+    return call;
+  }
+
+  /**
+   * Finds the caller's most recent call started within a window.
+   *
+   * @param {String} callerNumber - Caller's phone number
+   * @param {Number} windowMs - How far back to look (default: CALL_MATCH_WINDOW_MS)
+   * @returns {Object|null} Call, or null if none
+   */
+  function findRecent(callerNumber, windowMs = CALL_MATCH_WINDOW_MS) {
+    const normalized = normalizePhoneNumber(callerNumber);
+    if (!normalized) {
+      return null;
+    }
+
+    const since = new Date(Date.now() - windowMs).toISOString();
+    for (let i = calls.length - 1; i >= 0; i--) {
+      if (calls[i][timeField] < since) {
+        break;
+      }
+      if (calls[i].callerNumber === normalized) {
+        return calls[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Finds the call by call SID or conversation ID, or else the caller's
+   * latest call within the match window.
+   *
+   * @param {Object} keys - { callSid, conversationId, callerNumber } (all optional)
+   * @returns {Object|null} Call, or null if none
+   */
+  function find({ callSid = null, conversationId = null, callerNumber = null } = {}) {
+    const byId = calls.find(call =>
+      (callSid && call.callSid === callSid) || (conversationId && call.conversationId === conversationId)
+    );
+    return byId || findRecent(callerNumber);
+  }
+
+  /**
+   * Writes the log to disk.
+   */
+  function save() {
+    store.save(calls);
+  }
+
+  return { list, add, find, findRecent, save };
+}
+
+module.exports = {
+  MAX_STORED_CALLS,
+  CALL_MATCH_WINDOW_MS,
+  createCallLog
+};
@@ -0,0 +1,129 @@
+// src/utils/errors.js
+
+/**
+ * Base class for errors returned by the Calendly API client. Routes can use
+ * the subclasses to tell authentication problems from outages.
+ */
+class CalendlyError extends Error {
+  /**
+   * @param {String} message - Error message
+   * @param {Object} details - Error details
+   * @param {Number} details.status - HTTP status from Calendly, if any
+   * @param {Object} details.data - Response body from Calendly, if any
+   * @param {String} details.detail - Calendly's own description of the problem
+   * @param {Boolean} details.retryable - Whether trying again later may succeed
+   */
+  constructor(message, { status = null, data = null, detail = null, retryable = false } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.data = data;
+    this.detail = detail;
+    this.retryable = retryable;
+  }
+}
+
+/** The Calendly token is missing, invalid or lacks permission (401/403). */
+class CalendlyAuthError extends CalendlyError {}
+
+/** Calendly rejected the request as rate limited (429) and retries ran out. */
+class CalendlyRateLimitError extends CalendlyError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.retryAfterSeconds = details.retryAfterSeconds || null;
+  }
+}
+
+/** Calendly could not be reached, timed out or returned a 5xx. */
+class CalendlyUnavailableError extends CalendlyError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+  }
+}
+
+/** Calendly rejected the request itself (other 4xx, e.g. a slot no longer available). */
+class CalendlyRequestError extends CalendlyError {}
+
+/**
+ * A request names something that doesn't exist, such as an event type that
+ * isn't in the Calendly account. Routes answer it with a 400 and its message.
+ */
+class ValidationError extends Error {
+  /**
+   * @param {String} message - What is wrong with the request, safe to show the client
+   */
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = 400;
+    this.expose = true;
+  }
+}
+
+/**
+ * Converts an axios error from the Calendly API into a typed CalendlyError.
+ * Errors that are already typed keep their type and get the new message.
+ * Anything else (e.g. a TypeError from a bug) isn't a Calendly problem and
+ * is returned unchanged, so it isn't reported as an outage.
+ *
+ * @param {Error} error - Axios or Calendly error
+ * @param {String} message - Message describing what failed
+ * @returns {Error} Typed CalendlyError, or the error unchanged
+ */
+function toCalendlyError(error, message) {
+  if (error instanceof CalendlyError) {
+    error.message = error.detail ? `${message}: ${error.detail}` : message;
+    return error;
+  }
+  if (!error.isAxiosError && !error.request && !error.response) {
+    return error;
+  }
+
+  const status = error.response?.status || null;
+  const data = error.response?.data || null;
+  const detail = data?.message || data?.title || error.message || null;
+  const fullMessage = detail ? `${message}: ${detail}` : message;
+
+  if (status === 401 || status === 403) {
+    return new CalendlyAuthError(fullMessage, { status, data, detail });
+  }
+  if (status === 429) {
+    const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+    return new CalendlyRateLimitError(fullMessage, {
+      status,
+      data,
+      detail,
+      retryAfterSeconds: isNaN(retryAfter) ? null : retryAfter
+    });
+  }
+  if (!status || status >= 500) {
+    return new CalendlyUnavailableError(fullMessage, { status, data, detail });
+  }
+  return new CalendlyRequestError(fullMessage, { status, data, detail });
+}
+
+/**
+ * Picks the HTTP status a route should respond with for an error.
+ *
+ * @param {Error} error - Error thrown by a service
+ * @returns {Number} HTTP status code
+ */
+function getHttpStatus(error) {
+  if (error instanceof CalendlyAuthError) return 401;
+  if (error instanceof CalendlyRateLimitError) return 429;
+  if (error instanceof CalendlyUnavailableError) return 503;
+  if (error instanceof CalendlyRequestError) return 400;
+  if (error instanceof ValidationError) return 400;
+  return 500;
+}
+
+module.exports = {
+  CalendlyError,
+  CalendlyAuthError,
+  CalendlyRateLimitError,
+  CalendlyUnavailableError,
+  CalendlyRequestError,
+  ValidationError,
+  toCalendlyError,
+  getHttpStatus
+};
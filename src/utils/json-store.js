@@ -0,0 +1,106 @@
+// src/utils/json-store.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/environment');
+
+// How long stores created with delayWrites wait to write, so changes made
+// in quick succession (e.g. during one tool call) are written together
+const WRITE_DELAY_MS = 1000;
+
+// Delayed writes not yet on disk, flushed when the process exits
+const pendingFlushes = new Set();
+
+process.on('exit', () => pendingFlushes.forEach(flush => flush()));
+
+/**
+ * Creates a small JSON file store inside the configured data directory.
+ * Used to persist server-side records (webhook events, prompt versions, etc.)
+ * across restarts without requiring a database.
+ * 
+ * Stores written on the request path (e.g. per-call logs) can set
+ * delayWrites: save() then only marks the data as changed, and it's written
+ * once WRITE_DELAY_MS later, or when the process exits.
+ * 
+ * @param {String} name - Store name, used as the file name
+ * @param {*} defaultValue - Value returned when the file does not exist yet
+ * @param {Object} options - Options (optional)
+ * @param {Boolean} options.delayWrites - Batch writes instead of writing on every save
+ * @returns {Object} Store with load(), save() and flush() methods
+ */
+function createJsonStore(name, defaultValue, { delayWrites = false } = {}) {
+  const filePath = path.join(config.dataDir, `${name}.json`);
+  let pending;
+  let timer = null;
+  
+  /**
+   * Reads the store from disk, returning the default value if missing or unreadable.
+   * 
+   * @returns {*} Stored data
+   */
+  function load() {
+    try {
+      if (!fs.existsSync(filePath)) {
+        return structuredClone(defaultValue);
+      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.warn(`Could not read ${name} store, starting empty: ${error.message}`);
+      return structuredClone(defaultValue);
+    }
+  }
+  
+  /**
+   * Writes data to disk atomically (write to temp file, then rename).
+   * 
+   * @param {*} data - Data to persist
+   */
+  function write(data) {
+    try {
+      fs.mkdirSync(config.dataDir, { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`Could not write ${name} store: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Writes a delayed save now, if there is one.
+   */
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    pendingFlushes.delete(flush);
+    if (pending !== undefined) {
+      const data = pending;
+      pending = undefined;
+      write(data);
+    }
+  }
+  
+  /**
+   * Persists the store, right away or (with delayWrites) shortly after.
+   * 
+   * @param {*} data - Data to persist
+   */
+  function save(data) {
+    if (!delayWrites) {
+      write(data);
+      return;
+    }
+    
+    pending = data;
+    if (!timer) {
+      timer = setTimeout(flush, WRITE_DELAY_MS);
+      timer.unref();
+      pendingFlushes.add(flush);
+    }
+  }
+  
+  return { load, save, flush, filePath };
+}
+
+module.exports = {
+  createJsonStore
+};
@@ -0,0 +1,83 @@
+// src/utils/logger.js
+const { getContext } = require('./request-context');
+const { redact, redactText } = require('./redaction');
+
+/**
+ * Structured logger. Each entry is written as one JSON line with its level,
+ * message and the current request's correlation fields: request ID, method,
+ * route, tenant and, for calls, conversation ID, call SID and function name.
+ * Messages and fields are redacted (see redaction.js) before they're written.
+ *
+ * LOG_LEVEL (debug, info, warn, error) sets the lowest level written.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Gets the lowest level to write. Read on each write so a LOG_LEVEL loaded
+ * from .env by config applies to entries logged after it.
+ *
+ * @returns {Number} Minimum level
+ */
+function getMinLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+}
+
+/**
+ * Gets the route a request matched (e.g. /api/admin/calls/:conversationId),
+ * or its path before it has been routed.
+ *
+ * @param {Object} req - Express request object
+ * @returns {String} Route
+ */
+function getRoute(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+}
+
+/**
+ * Gets the correlation fields of the current request.
+ *
+ * @returns {Object} Fields, empty outside a request
+ */
+function getContextFields() {
+  const { requestId, request, tenant, logFields } = getContext();
+  return {
+    requestId,
+    method: request?.method,
+    route: request ? getRoute(request) : undefined,
+    tenantId: tenant?.id,
+    ...logFields
+  };
+}
+
+/**
+ * Writes a log entry.
+ *
+ * @param {String} level - debug, info, warn or error
+ * @param {String} message - Log message
+ * @param {Object} fields - Extra fields (optional)
+ */
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < getMinLevel()) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactText(String(message)),
+    ...getContextFields(),
+    ...redact(fields)
+  };
+  Object.keys(entry).forEach(key => entry[key] === undefined && delete entry[key]);
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${JSON.stringify(entry)}\n`);
+}
+
+module.exports = {
+  LEVELS,
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
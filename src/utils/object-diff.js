@@ -0,0 +1,107 @@
+// src/utils/object-diff.js
+
+/**
+ * Checks whether a value is a plain object (not an array or null).
+ *
+ * @param {*} value - Value to check
+ * @returns {Boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Arrays whose items all have a name (such as agent tools) are compared by
+ * name rather than position, so reordering or inserting a tool shows up as
+ * one change instead of shifting every later item.
+ *
+ * @param {Array} items - Array to check
+ * @returns {Boolean} Whether every item is an object with a name
+ */
+function isNamedList(items) {
+  return items.length > 0 && items.every(item => isPlainObject(item) && typeof item.name === 'string');
+}
+
+/**
+ * Produces a structured list of differences between two JSON-like values.
+ *
+ * @param {*} before - Current value
+ * @param {*} after - Proposed value
+ * @param {Object} options - Diff options
+ * @param {Boolean} options.ignoreMissing - Skip keys only present in `before`,
+ *   for comparing a partial update against a full resource (default: false)
+ * @param {String} path - Path of the values being compared (used in recursion)
+ * @returns {Array} Changes as { path, type: 'added'|'removed'|'changed', before, after }
+ */
+function diffObjects(before, after, { ignoreMissing = false } = {}, path = '') {
+  const changes = [];
+  const options = { ignoreMissing };
+
+  if (Array.isArray(before) && Array.isArray(after) && (isNamedList(before) || isNamedList(after))) {
+    const beforeByName = new Map(before.map(item => [item.name, item]));
+    const afterByName = new Map(after.map(item => [item.name, item]));
+
+    afterByName.forEach((item, name) => {
+      const itemPath = `${path}[name=${name}]`;
+      if (beforeByName.has(name)) {
+        changes.push(...diffObjects(beforeByName.get(name), item, options, itemPath));
+      } else {
+        changes.push({ path: itemPath, type: 'added', after: item });
+      }
+    });
+
+    beforeByName.forEach((item, name) => {
+      if (!afterByName.has(name)) {
+        changes.push({ path: `${path}[name=${name}]`, type: 'removed', before: item });
+      }
+    });
+
+    return changes;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      const itemPath = `${path}[${i}]`;
+      if (i >= before.length) {
+        changes.push({ path: itemPath, type: 'added', after: after[i] });
+      } else if (i >= after.length) {
+        changes.push({ path: itemPath, type: 'removed', before: before[i] });
+      } else {
+        changes.push(...diffObjects(before[i], after[i], options, itemPath));
+      }
+    }
+    return changes;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    Object.keys(after).forEach(key => {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (!(key in before)) {
+        changes.push({ path: keyPath, type: 'added', after: after[key] });
+      } else {
+        changes.push(...diffObjects(before[key], after[key], options, keyPath));
+      }
+    });
+
+    if (!ignoreMissing) {
+      Object.keys(before).forEach(key => {
+        if (!(key in after)) {
+          changes.push({ path: path ? `${path}.${key}` : key, type: 'removed', before: before[key] });
+        }
+      });
+    }
+
+    return changes;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path: path || '(root)', type: 'changed', before, after });
+  }
+
+  return changes;
+}
+
+module.exports = {
+  diffObjects
+};
@@ -0,0 +1,47 @@
+// src/utils/phone-utils.js
+const { parsePhoneNumber } = require('libphonenumber-js');
+
+/**
+ * Normalizes a phone number to E.164 format so numbers from different
+ * sources (Twilio caller ID, Calendly invitee answers) can be compared.
+ * 
+ * @param {String} phoneNumber - Phone number in any common format
+ * @returns {String|null} E.164 phone number, or null if not parseable
+ */
+function normalizePhoneNumber(phoneNumber) {
+  if (!phoneNumber || typeof phoneNumber !== 'string') {
+    return null;
+  }
+  
+  try {
+    const parsedNumber = parsePhoneNumber(phoneNumber);
+    if (parsedNumber && parsedNumber.isPossible()) {
+      return parsedNumber.number;
+    }
+  } catch (error) {
+    // Fall through to the digits-only comparison below
+  }
+  
+  const digits = phoneNumber.replace(/[^\d]/g, '');
+  return digits.length >= 7 ? `+${digits}` : null;
+}
+
+/**
+ * Redacts a phone number for display, keeping the country code prefix and
+ * the last four digits (e.g. "+14155550123" -> "+14XXXXX0123").
+ * 
+ * @param {String} phoneNumber - Phone number in any common format
+ * @returns {String|null} Redacted phone number, or null if there is none
+ */
+function redactPhoneNumber(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    return phoneNumber ? 'XXXX' : null;
+  }
+  return `${normalized.slice(0, 3)}${'X'.repeat(Math.max(normalized.length - 7, 0))}${normalized.slice(-4)}`;
+}
+
+module.exports = {
+  normalizePhoneNumber,
+  redactPhoneNumber
+};
@@ -0,0 +1,200 @@
+// src/utils/prompt-template.js
+
+/**
+ * A small Handlebars-style template engine for the system prompt.
+ *
+ * Supported syntax:
+ * - {{name}} or {{business.name}}  Variable (dotted paths allowed)
+ * - {{#each event_types}}...{{/each}}  Loop; inside, {{this}}, {{@index}} (0-based),
+ *   {{@number}} (1-based) and the item's own fields are available
+ * - {{#if name}}...{{else}}...{{/if}}  Conditional (empty arrays are false)
+ * - {{#unless name}}...{{/unless}}  Inverted conditional
+ * - {{> partial_name}}  Insert a named partial, rendered with the current context
+ *
+ * Variables that are not in the context are left untouched, so ElevenLabs can
+ * still fill its own dynamic variables (such as {{system__caller_id}}) at call time.
+ */
+
+const TAG_PATTERN = /{{\s*([#/>]?)\s*([^{}]*?)\s*}}/g;
+
+const BLOCK_HELPERS = ['each', 'if', 'unless'];
+
+// Guards against partials that include themselves
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Parses a template into a tree of text, variable, partial and block nodes.
+ *
+ * @param {String} template - Template source
+ * @returns {Array} Parsed nodes
+ * @throws {Error} If a block is unknown, unclosed or closed out of order
+ */
+function parseTemplate(template) {
+  const root = { type: 'root', children: [] };
+  // Each frame tracks an open block and the branch new nodes are added to
+  const stack = [{ node: root, target: root.children }];
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const [raw, sigil, body] = match;
+    const frame = stack[stack.length - 1];
+
+    if (match.index > lastIndex) {
+      frame.target.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + raw.length;
+
+    if (sigil === '#') {
+      const [helper, path] = body.split(/\s+/, 2);
+      if (!BLOCK_HELPERS.includes(helper)) {
+        throw new Error(`Unknown block helper "{{#${helper}}}"`);
+      }
+      if (!path) {
+        throw new Error(`"{{#${helper}}}" needs a variable name`);
+      }
+      const block = { type: helper, path, children: [], inverse: null };
+      frame.target.push(block);
+      stack.push({ node: block, target: block.children });
+    } else if (sigil === '/') {
+      if (stack.length === 1) {
+        throw new Error(`Unexpected "{{/${body}}}"`);
+      }
+      if (frame.node.type !== body) {
+        throw new Error(`Unexpected "{{/${body}}}", expected "{{/${frame.node.type}}}"`);
+      }
+      stack.pop();
+    } else if (sigil === '>') {
+      frame.target.push({ type: 'partial', name: body });
+    } else if (body === 'else') {
+      if (stack.length === 1 || frame.node.inverse) {
+        throw new Error('Unexpected "{{else}}"');
+      }
+      frame.node.inverse = [];
+      frame.target = frame.node.inverse;
+    } else {
+      frame.target.push({ type: 'variable', path: body, raw });
+    }
+  }
+
+  if (lastIndex < template.length) {
+    stack[stack.length - 1].target.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1].node;
+    throw new Error(`Unclosed "{{#${open.type} ${open.path}}}"`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Looks up a variable in the scope chain, innermost scope first.
+ *
+ * @param {String} path - Variable path (e.g. "name", "business.name", "this", "@index")
+ * @param {Array} scopes - Scope frames, outermost first
+ * @returns {*} Value, or undefined if not found
+ */
+function lookup(path, scopes) {
+  const frame = scopes[scopes.length - 1];
+
+  if (path === 'this' || path === '.') return frame.value;
+  if (path === '@index') return frame.index;
+  if (path === '@number') return frame.index === undefined ? undefined : frame.index + 1;
+
+  const [head, ...rest] = path.replace(/^this\./, '').split('.');
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const value = scopes[i].value;
+    if (value !== null && typeof value === 'object' && head in value) {
+      return rest.reduce((current, key) => (current == null ? undefined : current[key]), value[head]);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Whether a value counts as true in {{#if}} (empty arrays do not).
+ *
+ * @param {*} value - Value to test
+ * @returns {Boolean} Truthiness
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Renders parsed nodes.
+ *
+ * @param {Array} nodes - Parsed nodes
+ * @param {Array} scopes - Scope frames
+ * @param {Object} partials - Partial templates by name
+ * @param {Number} depth - Partial nesting depth
+ * @returns {String} Rendered text
+ */
+function renderNodes(nodes, scopes, partials, depth) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'variable': {
+        const value = lookup(node.path, scopes);
+        if (value === undefined) return node.raw;
+        if (value === null) return '';
+        return Array.isArray(value) ? value.join(', ') : String(value);
+      }
+
+      case 'partial': {
+        if (!(node.name in partials)) {
+          throw new Error(`Unknown partial "{{> ${node.name}}}"`);
+        }
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          throw new Error(`Partials nested too deeply at "{{> ${node.name}}}"`);
+        }
+        return renderNodes(parseTemplate(partials[node.name]), scopes, partials, depth + 1);
+      }
+
+      case 'each': {
+        const items = lookup(node.path, scopes);
+        if (!Array.isArray(items) || items.length === 0) {
+          return node.inverse ? renderNodes(node.inverse, scopes, partials, depth) : '';
+        }
+        return items
+          .map((item, index) => renderNodes(node.children, [...scopes, { value: item, index }], partials, depth))
+          .join('');
+      }
+
+      case 'if':
+      case 'unless': {
+        const condition = isTruthy(lookup(node.path, scopes));
+        const branch = (node.type === 'if' ? condition : !condition) ? node.children : node.inverse;
+        return branch ? renderNodes(branch, scopes, partials, depth) : '';
+      }
+
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Renders a template with a context and optional partials.
+ *
+ * @param {String} template - Template source
+ * @param {Object} context - Template variables
+ * @param {Object} partials - Partial templates by name (optional)
+ * @returns {String} Rendered text
+ * @throws {Error} If the template or a partial is malformed
+ */
+function renderTemplate(template, context = {}, partials = {}) {
+  return renderNodes(parseTemplate(template), [{ value: context }], partials, 0);
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate
+};
@@ -0,0 +1,305 @@
+// src/utils/redaction.js
+const { redactPhoneNumber } = require('./phone-utils');
+
+/**
+ * Redacts personal data and secrets from anything that is logged.
+ * redact() returns a copy of a value with nested objects, arrays and Error
+ * instances (including their stacks) walked:
+ * - fields are redacted by name: secrets are removed, phone numbers keep
+ *   their country code and last four digits, emails their first letter and
+ *   domain, and people's names their initials. A plain "name" field is only
+ *   a person's name next to a phone number or email (a caller or invitee);
+ *   elsewhere it names an event type, tool or template and is kept
+ * - all other text is scanned for phone numbers, emails, bearer tokens,
+ *   Calendly tokens, API keys and the secrets set in the environment
+ *
+ * LOG_REDACT_FIELDS sets the rule for a field by name, e.g.
+ * "name:keep,notes:remove". Rules: remove, phone, email, name, keep.
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Deeper values are replaced rather than walked
+const MAX_DEPTH = 8;
+
+// Environment variables whose values are never written to logs
+const SECRET_ENV_VARS = [
+  'API_KEY',
+  'ADMIN_PASSWORD',
+  'CALENDLY_API_TOKEN',
+  'CALENDLY_WEBHOOK_SIGNING_KEY',
+  'ELEVENLABS_API_KEY',
+  'ELEVENLABS_WEBHOOK_SECRET',
+  'TWILIO_AUTH_TOKEN',
+  'GITHUB_TOKEN',
+  'METRICS_TOKEN'
+];
+
+/**
+ * Masks an email address, keeping its first letter and domain.
+ *
+ * @param {String} email - Email address
+ * @returns {String} Masked email (e.g. "j***@example.com")
+ */
+function maskEmail(email) {
+  const at = email.lastIndexOf('@');
+  return at > 0 ? `${email[0]}***${email.slice(at)}` : REDACTED;
+}
+
+/**
+ * Masks a person's name, keeping their initials.
+ *
+ * @param {String} name - Name
+ * @returns {String} Masked name (e.g. "J*** D***")
+ */
+function maskName(name) {
+  return name.split(/\s+/).filter(Boolean).map(part => `${part[0]}***`).join(' ');
+}
+
+// How each rule redacts a field's value
+const RULES = {
+  remove: value => (value === '' ? value : REDACTED),
+  phone: value => redactPhoneNumber(value) || value,
+  email: value => maskEmail(value),
+  name: value => maskName(value),
+  keep: null
+};
+
+// Rules for field names (lowercased, without "_", "-" or spaces), first match wins
+const DEFAULT_FIELD_RULES = [
+  { test: key => /token|secret|password|apikey|signingkey|privatekey|authorization|signature|cookie|credential/.test(key), rule: 'remove' },
+  { test: key => key.includes('phone') || ['callerid', 'callernumber', 'callednumber', 'externalnumber', 'textremindernumber'].includes(key), rule: 'phone' },
+  { test: key => key.includes('email'), rule: 'email' },
+  { test: key => ['firstname', 'lastname', 'fullname', 'callername', 'inviteename', 'customername'].includes(key), rule: 'name' }
+];
+
+// A plain "name" is a person's name when the same object has one of these
+const PERSON_FIELD_RULES = ['phone', 'email'];
+
+// Text patterns redacted wherever they appear (messages, stacks, URLs)
+const TEXT_PATTERNS = [
+  // Authorization header values
+  [/\b(Bearer|Basic)\s+[\w.~+/=-]{8,}/g, (match, scheme) => `${scheme} ${REDACTED}`],
+  // Secrets in query strings
+  [/([?&](?:token|access_token|api_key|apikey|key|signature)=)[^&\s"']+/gi, (match, name) => `${name}${REDACTED}`],
+  // JWTs, such as Calendly personal access tokens
+  [/\beyJ[\w-]{5,}\.[\w-]{5,}\.[\w-]+/g, () => REDACTED],
+  // ElevenLabs and GitHub API keys
+  [/\b(?:sk|ghp|gho|github_pat)_[A-Za-z0-9_]{16,}/g, () => REDACTED],
+  // Twilio auth tokens
+  [/\b[0-9a-f]{32}\b/g, () => REDACTED],
+  [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, match => maskEmail(match)],
+  // International numbers, US-style national numbers and UK mobiles
+  [/\+\d[\d\s().-]{6,}\d/g, match => redactPhoneNumber(match)],
+  [/\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g, match => redactPhoneNumber(match)],
+  [/\b07\d{9}\b/g, match => redactPhoneNumber(match)]
+];
+
+let fieldOverrides = { source: null, rules: {} };
+let secretValues = { source: null, values: [] };
+
+/**
+ * Normalizes a field name for rule matching ("caller_id" -> "callerid").
+ *
+ * @param {String} key - Field name
+ * @returns {String} Normalized name
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[-_\s]/g, '');
+}
+
+/**
+ * Gets the field rules set in LOG_REDACT_FIELDS. Re-read when the variable
+ * changes, since it may be loaded from .env after the first log line.
+ *
+ * @returns {Object} Rule names keyed by normalized field name
+ */
+function getFieldOverrides() {
+  const source = process.env.LOG_REDACT_FIELDS || '';
+  if (source !== fieldOverrides.source) {
+    const rules = {};
+    source.split(',').forEach(entry => {
+      const [field, rule] = entry.split(':').map(part => part.trim());
+      if (field && Object.prototype.hasOwnProperty.call(RULES, rule)) {
+        rules[normalizeKey(field)] = rule;
+      }
+    });
+    fieldOverrides = { source, rules };
+  }
+  return fieldOverrides.rules;
+}
+
+/**
+ * Gets the secret values set in the environment, longest first so a secret
+ * containing another is replaced whole.
+ *
+ * @returns {Array} Secret values
+ */
+function getSecretValues() {
+  const values = SECRET_ENV_VARS.map(name => process.env[name]).filter(value => value && value.length >= 6);
+  const source = values.join('\n');
+  if (source !== secretValues.source) {
+    secretValues = { source, values: values.sort((a, b) => b.length - a.length) };
+  }
+  return secretValues.values;
+}
+
+/**
+ * Gets the rule for a field.
+ *
+ * @param {String} key - Field name
+ * @returns {String|null} Rule name, or null if the field has none
+ */
+function getFieldRule(key) {
+  const normalized = normalizeKey(key);
+  const override = getFieldOverrides()[normalized];
+  if (override) {
+    return override;
+  }
+  const match = DEFAULT_FIELD_RULES.find(({ test }) => test(normalized));
+  return match ? match.rule : null;
+}
+
+/**
+ * Redacts secrets and personal data from free text.
+ *
+ * @param {String} text - Text to redact
+ * @returns {String} Redacted text
+ */
+function redactText(text) {
+  if (typeof text !== 'string' || text.length === 0) {
+    return text;
+  }
+
+  let redacted = text;
+  getSecretValues().forEach(secret => {
+    redacted = redacted.split(secret).join(REDACTED);
+  });
+  TEXT_PATTERNS.forEach(([pattern, replace]) => {
+    redacted = redacted.replace(pattern, replace);
+  });
+  return redacted;
+}
+
+/**
+ * Checks whether a value is a plain object (not a class instance such as
+ * a socket or HTTP request).
+ *
+ * @param {Object} value - Value to check
+ * @returns {Boolean} Whether it is a plain object
+ */
+function isPlainObject(value) {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Checks whether an object describes a person: it has a phone number or
+ * email field.
+ *
+ * @param {Object} value - Object to check
+ * @returns {Boolean} Whether it describes a person
+ */
+function isPerson(value) {
+  return Object.keys(value).some(key => PERSON_FIELD_RULES.includes(getFieldRule(key)));
+}
+
+/**
+ * Redacts one field of an object by its rule, or walks its value.
+ *
+ * @param {String} key - Field name
+ * @param {*} value - Field value
+ * @param {Number} depth - Nesting depth
+ * @param {WeakSet} seen - Objects already being walked
+ * @param {Boolean} person - Whether the object describes a person (see isPerson)
+ * @returns {*} Redacted value
+ */
+function redactField(key, value, depth, seen, person) {
+  const fieldRule = getFieldRule(key) || (person && normalizeKey(key) === 'name' ? 'name' : null);
+  const rule = RULES[fieldRule];
+  if (rule && (typeof value === 'string' || typeof value === 'number')) {
+    return rule(String(value));
+  }
+  if (rule === RULES.remove && value !== null && value !== undefined) {
+    return REDACTED;
+  }
+  return redactValue(value, depth, seen);
+}
+
+/**
+ * Redacts a value of any type.
+ *
+ * @param {*} value - Value to redact
+ * @param {Number} depth - Nesting depth
+ * @param {WeakSet} seen - Objects already being walked
+ * @returns {*} Redacted value
+ */
+function redactValue(value, depth, seen) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' || typeof value === 'bigint' ? String(value) : value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+
+  seen.add(value);
+  try {
+    if (value instanceof Error) {
+      // Errors keep their name, message and stack, which aren't enumerable;
+      // library errors (e.g. axios) describe the rest of themselves with toJSON
+      const details = typeof value.toJSON === 'function' ? value.toJSON() : { ...value };
+      const { name, ...redacted } = redactValue({
+        message: value.message,
+        ...details,
+        stack: value.stack
+      }, depth, seen);
+      // The error's name is its class, not a person's name
+      return { name: value.name, ...redacted };
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => redactValue(item, depth + 1, seen));
+    }
+    if (typeof value.toJSON === 'function') {
+      return redactValue(value.toJSON(), depth, seen);
+    }
+    if (!isPlainObject(value)) {
+      return `[${value.constructor?.name || 'Object'}]`;
+    }
+    const person = isPerson(value);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      redactField(key, item, depth + 1, seen, person)
+    ]));
+  } finally {
+    seen.delete(value);
+  }
+}
+
+/**
+ * Returns a redacted copy of a value for logging.
+ *
+ * @param {*} value - Value to redact (string, object, array, Error, ...)
+ * @returns {*} Redacted copy
+ */
+function redact(value) {
+  return redactValue(value, 0, new WeakSet());
+}
+
+module.exports = {
+  REDACTED,
+  redact,
+  redactText,
+  getFieldRule
+};
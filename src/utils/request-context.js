@@ -0,0 +1,72 @@
+// src/utils/request-context.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a callback with per-request context (such as the resolved tenant)
+ * available to every service it calls, including across awaits.
+ * 
+ * @param {Object} context - Request context
+ * @param {Function} callback - Function to run inside the context
+ * @returns {*} The callback's return value
+ */
+function runWithContext(context, callback) {
+  return storage.run({ ...getContext(), ...context }, callback);
+}
+
+/**
+ * Gets the context of the current request.
+ * 
+ * @returns {Object} Request context, empty outside a request
+ */
+function getContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Gets the tenant of the current request, or the default tenant outside
+ * a tenant-aware request.
+ * 
+ * @returns {Object} Tenant
+ */
+function getTenant() {
+  // Required here so the logger can use this module before config has loaded
+  const tenants = require('../config/tenants');
+  return getContext().tenant || tenants.getDefaultTenant();
+}
+
+/**
+ * Gets the ID of the current request.
+ * 
+ * @returns {String|null} Request ID, or null outside a request
+ */
+function getRequestId() {
+  return getContext().requestId || null;
+}
+
+/**
+ * Adds fields to every log line written for the rest of the request
+ * (e.g. the call SID once a tool call has been parsed).
+ * 
+ * @param {Object} fields - Fields to add; null and undefined values are ignored
+ */
+function addLogFields(fields) {
+  const { logFields } = getContext();
+  if (!logFields) {
+    return;
+  }
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      logFields[key] = value;
+    }
+  });
+}
+
+module.exports = {
+  runWithContext,
+  getContext,
+  getTenant,
+  getRequestId,
+  addLogFields
+};
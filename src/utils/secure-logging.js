@@ -1,63 +1,22 @@
 // src/utils/secure-logging.js
+const util = require('util');
+const logger = require('./logger');
+const { redact } = require('./redaction');
 
 /**
- * Sanitizes sensitive data in objects before logging.
- * Removes tokens, passwords, and other sensitive information.
- * 
- * @param {Array} args - Arguments to sanitize
- * @returns {Array} Sanitized arguments
+ * Sends console output through the structured logger, so every log line is
+ * JSON with the request's correlation fields and goes through the same
+ * redaction. Arguments are redacted before they're formatted, so fields in
+ * logged objects are redacted by name; an Error argument is logged as the
+ * entry's error field, with its stack.
  */
-function sanitizeArgs(args) {
-  return args.map(arg => {
-    if (typeof arg !== 'object' || arg === null) return arg;
-    
-    // Create a copy to avoid modifying the original
-    const sanitized = { ...arg };
-    
-    // List of sensitive field keywords to redact
-    const sensitiveFields = ['token', 'apiKey', 'password', 'key', 'secret', 'authorization'];
-    
-    Object.keys(sanitized).forEach(key => {
-      const keyLower = key.toLowerCase();
-      
-      // Check for sensitive keys
-      if (sensitiveFields.some(field => keyLower.includes(field))) {
-        if (typeof sanitized[key] === 'string') {
-          sanitized[key] = sanitized[key].length > 0 ? '***REDACTED***' : '';
-        }
-      }
-      
-      // Special handling for phone numbers
-      if ((keyLower.includes('phone') || keyLower === 'number') && 
-          typeof sanitized[key] === 'string' && 
-          sanitized[key].length > 4) {
-        sanitized[key] = sanitized[key].replace(/\d(?=\d{4})/g, '*');
-      }
-    });
-    
-    return sanitized;
-  });
-}
 
-// Store original console methods
-const originalLog = console.log;
-const originalError = console.error;
-const originalWarn = console.warn;
-const originalInfo = console.info;
+const methodLevels = { log: 'info', info: 'info', debug: 'debug', warn: 'warn', error: 'error' };
 
-// Override console methods with sanitized versions
-console.log = function() {
-  originalLog.apply(console, sanitizeArgs([...arguments]));
-};
-
-console.error = function() {
-  originalError.apply(console, sanitizeArgs([...arguments]));
-};
-
-console.warn = function() {
-  originalWarn.apply(console, sanitizeArgs([...arguments]));
-};
-
-console.info = function() {
-  originalInfo.apply(console, sanitizeArgs([...arguments]));
-};
\ No newline at end of file
+Object.entries(methodLevels).forEach(([method, level]) => {
+  console[method] = function(...args) {
+    const error = args.find(arg => arg instanceof Error);
+    const message = util.format(...args.map(arg => (arg instanceof Error ? arg.message : redact(arg))));
+    logger[level](message, error ? { error } : {});
+  };
+});
@@ -0,0 +1,58 @@
+// src/utils/sms-segments.js
+
+/**
+ * Counts the SMS segments a message is sent as. Messages that only use the
+ * GSM-7 alphabet fit 160 characters in one segment (153 per segment once
+ * split); any other character switches the whole message to UCS-2, which
+ * fits 70 (67 when split). Characters from the GSM-7 extension table (such
+ * as € and {) take two.
+ */
+
+const GSM_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+const GSM_EXTENDED = new Set('\f^{}\\[~]|€');
+
+const LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+/**
+ * Counts the segments for a message.
+ *
+ * @param {String} text - Message text
+ * @returns {Object} { encoding, length, segments, perSegment, remaining, unicodeCharacters }
+ *   length is in encoding units (GSM-7 septets or UTF-16 code units),
+ *   remaining is how many more units fit in the last segment, and
+ *   unicodeCharacters lists the characters that forced UCS-2
+ */
+function countSegments(text) {
+  const characters = Array.from(text || '');
+  const unicodeCharacters = Array.from(new Set(
+    characters.filter(char => !GSM_BASIC.has(char) && !GSM_EXTENDED.has(char))
+  ));
+
+  const encoding = unicodeCharacters.length > 0 ? 'UCS-2' : 'GSM-7';
+  const length = encoding === 'GSM-7'
+    ? characters.reduce((total, char) => total + (GSM_EXTENDED.has(char) ? 2 : 1), 0)
+    : (text || '').length;
+
+  const { single, multipart } = LIMITS[encoding];
+  const perSegment = length > single ? multipart : single;
+  const segments = length === 0 ? 0 : Math.ceil(length / perSegment);
+
+  return {
+    encoding,
+    length,
+    segments,
+    perSegment,
+    remaining: segments === 0 ? single : segments * perSegment - length,
+    unicodeCharacters
+  };
+}
+
+module.exports = {
+  countSegments
+};
@@ -0,0 +1,82 @@
+// src/utils/text-diff.js
+
+/**
+ * Compares two texts line by line using the longest common subsequence of
+ * their lines.
+ *
+ * @param {String} before - Original text
+ * @param {String} after - New text
+ * @returns {Array} Lines as { type: 'same'|'added'|'removed', line, text }, where
+ *   line is the 1-based line number in `after` (or in `before` for removed lines)
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // lengths[i][j] = length of the common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: 'same', line: j + 1, text: b[j] });
+      i++;
+      j++;
+    } else if (i < a.length && (j >= b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ type: 'removed', line: i + 1, text: a[i] });
+      i++;
+    } else {
+      lines.push({ type: 'added', line: j + 1, text: b[j] });
+      j++;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Formats a line diff as unified-diff text, keeping a few lines of context
+ * around each change.
+ *
+ * @param {Array} lines - Lines from diffLines
+ * @param {Number} context - Unchanged lines to keep around changes (default: 3)
+ * @returns {String} Diff text with "+", "-" and " " line prefixes
+ */
+function formatUnifiedDiff(lines, context = 3) {
+  const changed = lines.map(entry => entry.type !== 'same');
+  const output = [];
+  let skipped = false;
+
+  lines.forEach((entry, index) => {
+    const start = Math.max(0, index - context);
+    const nearChange = changed.slice(start, index + context + 1).some(Boolean);
+
+    if (!nearChange) {
+      skipped = true;
+      return;
+    }
+    if (skipped && output.length > 0) {
+      output.push('...');
+    }
+    skipped = false;
+
+    const prefix = entry.type === 'added' ? '+' : entry.type === 'removed' ? '-' : ' ';
+    output.push(`${prefix} ${entry.text}`);
+  });
+
+  return output.join('\n');
+}
+
+module.exports = {
+  diffLines,
+  formatUnifiedDiff
+};
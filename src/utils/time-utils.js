@@ -1,6 +1,7 @@
 // src/utils/time-utils.js
 const { parsePhoneNumber } = require('libphonenumber-js');
 const config = require('../config/environment');
+const languages = require('../config/languages');
 
 // Mapping of country codes to primary time zones
 const COUNTRY_TIMEZONE_MAP = {
@@ -50,16 +51,19 @@ function detectTimeZone(phoneNumber) {
 }
 
 /**
- * Formats date and time according to detected or configured timezone.
+ * Formats date and time according to detected or configured timezone, in
+ * the caller's locale (detected from their phone number unless given).
  * 
  * @param {Date} date - Date object to format
- * @param {String} phoneNumber - Phone number for time zone detection
- * @returns {Object} Formatted date and time strings with time zone info
+ * @param {String} phoneNumber - Phone number for time zone and locale detection
+ * @param {String} locale - Locale to format in (optional, e.g. 'es-MX')
+ * @returns {Object} Formatted date and time strings with time zone and locale info
  */
-function formatDateTime(date = new Date(), phoneNumber = null) {
+function formatDateTime(date = new Date(), phoneNumber = null, locale = null) {
   const timeZone = detectTimeZone(phoneNumber);
+  const resolvedLocale = locale || languages.detectLanguage(phoneNumber).locale;
   
-  const formattedDate = date.toLocaleDateString('en-US', { 
+  const formattedDate = date.toLocaleDateString(resolvedLocale, { 
     weekday: 'long', 
     year: 'numeric', 
     month: 'long', 
@@ -67,21 +71,208 @@ function formatDateTime(date = new Date(), phoneNumber = null) {
     timeZone: timeZone
   });
   
-  const formattedTime = date.toLocaleTimeString('en-US', {
+  // 12- or 24-hour clock follows the locale
+  const formattedTime = date.toLocaleTimeString(resolvedLocale, {
     hour: 'numeric',
     minute: '2-digit',
-    hour12: true,
     timeZone: timeZone
   });
   
   return {
     date: formattedDate,
     time: formattedTime,
-    timeZone: timeZone
+    timeZone: timeZone,
+    locale: resolvedLocale
   };
 }
 
+/**
+ * Checks whether a string is a valid IANA time zone identifier.
+ * 
+ * @param {String} timeZone - Time zone to check (e.g., 'America/New_York')
+ * @returns {Boolean} Whether the time zone is supported
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Picks the time zone for a request: an explicit, valid time zone wins,
+ * otherwise it is detected from the caller's phone number.
+ * 
+ * @param {String} timeZone - Explicitly requested time zone (optional)
+ * @param {String} phoneNumber - Caller phone number (optional)
+ * @returns {String} Time zone identifier
+ */
+function resolveTimeZone(timeZone, phoneNumber) {
+  if (isValidTimeZone(timeZone)) {
+    return timeZone;
+  }
+  return detectTimeZone(phoneNumber);
+}
+
+/**
+ * Breaks a date into its calendar and clock parts as seen in a time zone.
+ * 
+ * @param {Date} date - Date to convert
+ * @param {String} timeZone - Time zone identifier
+ * @returns {Object} { year, month, day, hour, minute, second, weekday } with
+ *                   month 1-12 and weekday 0 (Sunday) to 6 (Saturday)
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date);
+  
+  const values = {};
+  parts.forEach(part => {
+    values[part.type] = part.value;
+  });
+  
+  return {
+    year: parseInt(values.year, 10),
+    month: parseInt(values.month, 10),
+    day: parseInt(values.day, 10),
+    hour: parseInt(values.hour, 10),
+    minute: parseInt(values.minute, 10),
+    second: parseInt(values.second, 10),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(values.weekday)
+  };
+}
+
+/**
+ * Returns the offset of a time zone from UTC at a given instant, in milliseconds.
+ * 
+ * @param {Date} date - Instant to check (offsets change across DST)
+ * @param {String} timeZone - Time zone identifier
+ * @returns {Number} Offset in milliseconds (e.g., -4h for New York in summer)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time in a time zone to the matching instant.
+ * 
+ * @param {Object} wallTime - { year, month (1-12), day, hour, minute, second }
+ * @param {String} timeZone - Time zone identifier
+ * @returns {Date} The instant at which that wall-clock time occurs
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  
+  // Apply the offset, then re-check it at the result in case a DST change lies in between
+  let result = asUtc - getTimeZoneOffset(new Date(asUtc), timeZone);
+  const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+  result = asUtc - correctedOffset;
+  
+  return new Date(result);
+}
+
+/**
+ * Adds days to a calendar date without involving time zones.
+ * 
+ * @param {Object} date - { year, month (1-12), day }
+ * @param {Number} days - Number of days to add (may be negative)
+ * @returns {Object} { year, month, day, weekday }
+ */
+function addCalendarDays({ year, month, day }, days) {
+  const result = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: result.getUTCFullYear(),
+    month: result.getUTCMonth() + 1,
+    day: result.getUTCDate(),
+    weekday: result.getUTCDay()
+  };
+}
+
+/**
+ * Parses a time of day given as "HH:MM" or a number of hours into minutes
+ * since midnight.
+ * 
+ * @param {String|Number} value - Time of day (e.g. "13:30" or 13.5)
+ * @returns {Number} Minutes since midnight
+ * @throws {Error} If the value is not a valid time of day
+ */
+function parseTimeOfDay(value) {
+  if (typeof value === 'number') {
+    if (value < 0 || value > 24) {
+      throw new Error(`Invalid time of day: ${value}`);
+    }
+    return Math.round(value * 60);
+  }
+  
+  const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(String(value).trim());
+  if (!match || parseInt(match[1], 10) > 24 || parseInt(match[2] || '0', 10) > 59) {
+    throw new Error(`Invalid time of day: ${value}`);
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2] || '0', 10);
+}
+
+/**
+ * Formats minutes since midnight as a clock time in a locale
+ * (e.g. 510 -> "8:30 AM" in en-US, "8:30" in de-DE).
+ * 
+ * @param {Number} minutes - Minutes since midnight (0-1440)
+ * @param {String} locale - Locale to format in (default: 'en-US')
+ * @returns {String} Formatted time
+ */
+function formatTimeOfDay(minutes, locale = 'en-US') {
+  const time = new Date(Date.UTC(2000, 0, 1, Math.floor(minutes / 60) % 24, minutes % 60));
+  return time.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+}
+
+/**
+ * Formats a calendar date as YYYY-MM-DD.
+ * 
+ * @param {Object} date - { year, month (1-12), day }
+ * @returns {String} ISO calendar date
+ */
+function formatCalendarDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Returns the calendar date (YYYY-MM-DD) of an instant in a time zone.
+ * 
+ * @param {Date} date - Instant to convert
+ * @param {String} timeZone - Time zone identifier
+ * @returns {String} ISO calendar date in that time zone
+ */
+function getZonedDateString(date, timeZone) {
+  return formatCalendarDate(getZonedParts(date, timeZone));
+}
+
 module.exports = {
   formatDateTime,
-  detectTimeZone
+  detectTimeZone,
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  addCalendarDays,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  formatCalendarDate,
+  getZonedDateString
 };
\ No newline at end of file
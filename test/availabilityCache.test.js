@@ -0,0 +1,81 @@
+// test/availabilityCache.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubHttp } = require('./helpers');
+const availabilityCache = require('../src/services/availabilityCache');
+const calendlyService = require('../src/services/calendlyService');
+
+const INTRO = 'https://api.calendly.com/event_types/INTRO';
+const CONSULT = 'https://api.calendly.com/event_types/CONSULT';
+
+// Monday to Sunday, May 12-18, 2025
+const weekStart = new Date('2025-05-12T00:00:00Z');
+const weekEnd = new Date('2025-05-18T23:59:59Z');
+
+const week = {
+  collection: [
+    { status: 'available', start_time: '2025-05-13T14:00:00Z' },
+    { status: 'available', start_time: '2025-05-14T15:00:00Z' },
+    { status: 'available', start_time: '2025-05-16T16:00:00Z' }
+  ]
+};
+
+describe('availabilityCache', () => {
+  beforeEach(() => availabilityCache.clear());
+
+  it('returns a cached range for the same request', () => {
+    availabilityCache.set(INTRO, weekStart, weekEnd, week);
+    assert.deepEqual(availabilityCache.get(INTRO, weekStart, weekEnd), week);
+    assert.equal(availabilityCache.get(CONSULT, weekStart, weekEnd), null);
+  });
+
+  it('answers a day inside a cached week from the week\'s slots', () => {
+    availabilityCache.set(INTRO, weekStart, weekEnd, week);
+
+    const day = availabilityCache.get(INTRO, new Date('2025-05-14T00:00:00Z'), new Date('2025-05-14T23:59:59Z'));
+
+    assert.deepEqual(day.collection, [{ status: 'available', start_time: '2025-05-14T15:00:00Z' }]);
+  });
+
+  it('drops ranges covering a booked slot\'s day for that event type only', () => {
+    availabilityCache.set(INTRO, weekStart, weekEnd, week);
+    availabilityCache.set(CONSULT, weekStart, weekEnd, week);
+    availabilityCache.set(INTRO, new Date('2025-06-02T00:00:00Z'), new Date('2025-06-08T23:59:59Z'), week);
+
+    assert.equal(availabilityCache.invalidateSlot('2025-05-14T15:00:00Z', INTRO), 1);
+
+    assert.equal(availabilityCache.get(INTRO, weekStart, weekEnd), null);
+    assert.ok(availabilityCache.get(CONSULT, weekStart, weekEnd));
+    assert.ok(availabilityCache.get(INTRO, new Date('2025-06-02T00:00:00Z'), new Date('2025-06-08T23:59:59Z')));
+  });
+
+  it('drops a range that only touches the slot\'s day in a distant time zone', () => {
+    // Ends in Pacific/Kiritimati's May 13, which is still May 12 in UTC
+    availabilityCache.set(INTRO, new Date('2025-05-12T10:00:00Z'), new Date('2025-05-12T23:00:00Z'), week);
+    assert.equal(availabilityCache.invalidateSlot('2025-05-13T09:00:00Z'), 1);
+  });
+
+  it('reads the slot time from a Calendly scheduling link', () => {
+    availabilityCache.set(INTRO, weekStart, weekEnd, week);
+    assert.equal(availabilityCache.invalidateSchedulingUrl('https://calendly.com/acme/intro/2025-05-14T09:00:00-04:00?month=2025-05'), 1);
+    assert.equal(availabilityCache.invalidateSchedulingUrl('https://calendly.com/acme/intro'), 0);
+    assert.equal(availabilityCache.invalidateSchedulingUrl('not a url'), 0);
+  });
+});
+
+describe('getAvailabilityData', () => {
+  beforeEach(() => availabilityCache.clear());
+
+  it('fetches from Calendly once and then serves the cache until a booking', async () => {
+    const requests = stubHttp(() => ({ data: week }));
+
+    await calendlyService.getAvailabilityData(INTRO, weekStart, weekEnd);
+    const cached = await calendlyService.getAvailabilityData(INTRO, weekStart, weekEnd);
+    assert.deepEqual(cached, week);
+    assert.equal(requests.length, 1);
+
+    availabilityCache.invalidateSlot('2025-05-14T15:00:00Z', INTRO);
+    await calendlyService.getAvailabilityData(INTRO, weekStart, weekEnd);
+    assert.equal(requests.length, 2);
+  });
+});
@@ -0,0 +1,177 @@
+// test/bookAppointment.test.js
+const { describe, it, before, after, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubHttp, networkError, startApp, callTool } = require('./helpers');
+const calendlyService = require('../src/services/calendlyService');
+const twilioService = require('../src/services/twilioService');
+
+const EVENT_TYPE = 'https://api.calendly.com/event_types/INTRO';
+const EVENT = 'https://api.calendly.com/scheduled_events/EVENT1';
+const START_TIME = '2030-05-14T14:30:00Z';
+
+const INVITEE = {
+  uri: `${EVENT}/invitees/INVITEE1`,
+  event: EVENT,
+  status: 'active',
+  cancel_url: 'https://calendly.com/cancellations/INVITEE1',
+  reschedule_url: 'https://calendly.com/reschedulings/INVITEE1'
+};
+
+const SCHEDULED_EVENT = {
+  uri: EVENT,
+  name: 'Intro Call',
+  status: 'active',
+  start_time: '2030-05-14T14:30:00.000000Z',
+  end_time: '2030-05-14T15:00:00.000000Z'
+};
+
+/**
+ * Answers the booking requests: POST /invitees and GET of the scheduled event.
+ *
+ * @param {Object} responses - { invitee, event } responses ({ status, data }), or functions throwing
+ * @returns {Function} Request handler for stubHttp
+ */
+function calendly({ invitee = { status: 201, data: { resource: INVITEE } }, event = { data: { resource: SCHEDULED_EVENT } } } = {}) {
+  return request => {
+    const reply = request.method === 'POST' && request.url.endsWith('/invitees') ? invitee
+      : request.method === 'GET' && request.url === EVENT ? event
+        : { status: 404, data: { message: 'Not found' } };
+    return typeof reply === 'function' ? reply() : reply;
+  };
+}
+
+describe('bookAppointment', () => {
+  const invitee = { name: 'Jane Doe', email: 'jane@example.com', timezone: 'America/New_York', phoneNumber: '+14155550123' };
+
+  it('books the slot and reads back the scheduled event', async () => {
+    const requests = stubHttp(calendly());
+    const booking = await calendlyService.bookAppointment(EVENT_TYPE, START_TIME, invitee);
+
+    assert.deepEqual(requests[0].data, {
+      event_type: EVENT_TYPE,
+      start_time: '2030-05-14T14:30:00.000Z',
+      invitee: { name: 'Jane Doe', email: 'jane@example.com', timezone: 'America/New_York', text_reminder_number: '+14155550123' }
+    });
+    assert.deepEqual(booking, {
+      event_uri: EVENT,
+      invitee_uri: INVITEE.uri,
+      name: 'Intro Call',
+      status: 'active',
+      start_time: SCHEDULED_EVENT.start_time,
+      end_time: SCHEDULED_EVENT.end_time,
+      cancel_url: INVITEE.cancel_url,
+      reschedule_url: INVITEE.reschedule_url
+    });
+  });
+
+  it('returns the booking when the invitee is created but the event can\'t be fetched', async () => {
+    stubHttp(calendly({ event: { status: 503, data: { message: 'Service unavailable' } } }));
+    const booking = await calendlyService.bookAppointment(EVENT_TYPE, START_TIME, invitee);
+
+    assert.deepEqual(booking, {
+      event_uri: EVENT,
+      invitee_uri: INVITEE.uri,
+      name: null,
+      status: 'active',
+      start_time: '2030-05-14T14:30:00.000Z',
+      end_time: null,
+      cancel_url: INVITEE.cancel_url,
+      reschedule_url: INVITEE.reschedule_url
+    });
+  });
+
+  it('throws when the invitee can\'t be created', async () => {
+    stubHttp(calendly({ invitee: { status: 400, data: { message: 'Slot is no longer available' } } }));
+    await assert.rejects(calendlyService.bookAppointment(EVENT_TYPE, START_TIME, invitee), { name: 'CalendlyRequestError', status: 400 });
+  });
+
+  it('does not retry a booking that timed out, since it may have gone through', async () => {
+    const requests = stubHttp(calendly({ invitee: () => { throw networkError('ECONNABORTED'); } }));
+    await assert.rejects(calendlyService.bookAppointment(EVENT_TYPE, START_TIME, invitee));
+    assert.equal(requests.length, 1);
+  });
+});
+
+describe('bookAppointment tool', () => {
+  let app;
+  let sendBookingSMS;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  afterEach(() => sendBookingSMS?.mock.restore());
+
+  const parameters = {
+    eventTypeUrl: EVENT_TYPE,
+    startTime: START_TIME,
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    phoneNumber: '+14155550123',
+    eventTime: 'Tuesday, May 14 at 10:30 AM',
+    eventDuration: '30',
+    schedulingUrl: 'https://calendly.com/acme/intro/2030-05-14T14:30:00Z'
+  };
+
+  it('books directly without texting a link', async () => {
+    stubHttp(calendly());
+    sendBookingSMS = mock.method(twilioService, 'sendBookingSMS', async () => ({ sid: 'SM1' }));
+
+    const { status, body } = await callTool(app.baseUrl, 'bookAppointment', parameters, { call_sid: 'CA-direct' });
+
+    assert.equal(status, 200);
+    assert.equal(body.booked, true);
+    assert.equal(body.booking.event_uri, EVENT);
+    assert.equal(sendBookingSMS.mock.callCount(), 0);
+  });
+
+  it('reports the booking, not a fallback, when only the event lookup fails', async () => {
+    stubHttp(calendly({ event: () => { throw networkError('ECONNABORTED'); } }));
+    sendBookingSMS = mock.method(twilioService, 'sendBookingSMS', async () => ({ sid: 'SM1' }));
+
+    const { status, body } = await callTool(app.baseUrl, 'bookAppointment', parameters, { call_sid: 'CA-partial' });
+
+    assert.equal(status, 200);
+    assert.equal(body.booked, true);
+    assert.equal(body.booking.event_uri, EVENT);
+    assert.equal(sendBookingSMS.mock.callCount(), 0);
+  });
+
+  it('texts the scheduling link when direct booking fails', async () => {
+    stubHttp(calendly({ invitee: { status: 400, data: { message: 'Slot is no longer available' } } }));
+    sendBookingSMS = mock.method(twilioService, 'sendBookingSMS', async () => ({ sid: 'SM1' }));
+
+    const { status, body } = await callTool(app.baseUrl, 'bookAppointment', parameters, { call_sid: 'CA-fallback' });
+
+    assert.equal(status, 200);
+    assert.equal(body.booked, false);
+    assert.equal(body.fallback, 'sms');
+    assert.equal(sendBookingSMS.mock.callCount(), 1);
+    const [phoneNumber, details] = sendBookingSMS.mock.calls[0].arguments;
+    assert.equal(phoneNumber, '+14155550123');
+    assert.equal(details.eventTime, parameters.eventTime);
+    assert.ok(details.schedulingUrl.startsWith(parameters.schedulingUrl));
+  });
+
+  it('texts the link without trying to book when there is no email', async () => {
+    const requests = stubHttp(calendly());
+    sendBookingSMS = mock.method(twilioService, 'sendBookingSMS', async () => ({ sid: 'SM1' }));
+
+    const { body } = await callTool(app.baseUrl, 'bookAppointment', { ...parameters, email: undefined }, { call_sid: 'CA-no-email' });
+
+    assert.equal(body.fallback, 'sms');
+    assert.equal(body.reason, 'No email address provided');
+    assert.ok(!requests.some(request => request.url.endsWith('/invitees')));
+  });
+
+  it('fails when booking fails and there is no link to text', async () => {
+    stubHttp(calendly({ invitee: { status: 400, data: { message: 'Slot is no longer available' } } }));
+
+    const { status, body } = await callTool(app.baseUrl, 'bookAppointment', { ...parameters, schedulingUrl: undefined }, { call_sid: 'CA-no-link' });
+
+    assert.equal(status, 500);
+    assert.equal(body.booked, false);
+  });
+});
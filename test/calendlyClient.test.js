@@ -0,0 +1,138 @@
+// test/calendlyClient.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubHttp, networkError } = require('./helpers');
+const { createCalendlyClient, getAllPages } = require('../src/services/calendlyClient');
+const { CalendlyRateLimitError, CalendlyUnavailableError, getHttpStatus } = require('../src/utils/errors');
+
+const client = createCalendlyClient('test-calendly-token');
+
+/**
+ * Answers requests with the given responses in order, repeating the last.
+ *
+ * @param {Array} responses - Responses ({ status, data, headers }), or functions that throw
+ * @returns {Function} Request handler for stubHttp
+ */
+function inOrder(responses) {
+  let index = 0;
+  return () => {
+    const response = responses[Math.min(index++, responses.length - 1)];
+    return typeof response === 'function' ? response() : response;
+  };
+}
+
+describe('Calendly client retries', () => {
+  it('retries a GET after a server error', async () => {
+    const requests = stubHttp(inOrder([{ status: 502 }, { data: { resource: { uri: 'U1' } } }]));
+
+    const response = await client.get('/users/me');
+
+    assert.equal(response.data.resource.uri, 'U1');
+    assert.equal(requests.length, 2);
+  });
+
+  it('retries a GET after a timeout', async () => {
+    const requests = stubHttp(inOrder([() => { throw networkError('ECONNABORTED'); }, { data: { ok: true } }]));
+
+    await client.get('/users/me');
+
+    assert.equal(requests.length, 2);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    const requests = stubHttp(() => ({ status: 503, data: { message: 'Down for maintenance' } }));
+
+    await assert.rejects(client.get('/users/me'), error => {
+      assert.ok(error instanceof CalendlyUnavailableError);
+      assert.equal(getHttpStatus(error), 503);
+      return true;
+    });
+    assert.equal(requests.length, 3);
+  });
+
+  it('does not repeat a POST after a server error', async () => {
+    const requests = stubHttp(() => ({ status: 500 }));
+
+    await assert.rejects(client.post('/invitees', {}));
+
+    assert.equal(requests.length, 1);
+  });
+
+  it('repeats a POST that was refused before it was sent', async () => {
+    const requests = stubHttp(inOrder([() => { throw networkError('ECONNREFUSED'); }, { status: 201, data: {} }]));
+
+    await client.post('/invitees', {});
+
+    assert.equal(requests.length, 2);
+  });
+
+  it('does not retry client errors', async () => {
+    const requests = stubHttp(() => ({ status: 404, data: { message: 'Not found' } }));
+
+    await assert.rejects(client.get('/scheduled_events/MISSING'), { name: 'CalendlyRequestError', status: 404 });
+
+    assert.equal(requests.length, 1);
+  });
+
+  it('retries any method after a short Retry-After', async () => {
+    const requests = stubHttp(inOrder([
+      { status: 429, headers: { 'retry-after': '0' } },
+      { status: 201, data: {} }
+    ]));
+
+    await client.post('/invitees', {});
+
+    assert.equal(requests.length, 2);
+  });
+
+  it('gives up when Retry-After is longer than a caller should wait', async () => {
+    const requests = stubHttp(() => ({ status: 429, headers: { 'retry-after': '60' } }));
+
+    await assert.rejects(client.get('/users/me'), error => {
+      assert.ok(error instanceof CalendlyRateLimitError);
+      assert.equal(error.retryAfterSeconds, 60);
+      return true;
+    });
+    assert.equal(requests.length, 1);
+  });
+});
+
+describe('getAllPages', () => {
+  /**
+   * Answers page requests with numbered pages linked by next_page.
+   *
+   * @param {Number} pageCount - Number of pages
+   * @returns {Function} Request handler for stubHttp
+   */
+  function pages(pageCount) {
+    return ({ url }) => {
+      const page = Number(new URL(url).searchParams.get('page') || 1);
+      return {
+        data: {
+          collection: [{ page }],
+          pagination: {
+            next_page: page < pageCount ? `https://api.calendly.com/event_types?page=${page + 1}` : null
+          }
+        }
+      };
+    };
+  }
+
+  it('follows next_page links until the last page', async () => {
+    const requests = stubHttp(pages(3));
+
+    const items = await getAllPages(client, '/event_types', { user: 'U1' });
+
+    assert.deepEqual(items, [{ page: 1 }, { page: 2 }, { page: 3 }]);
+    assert.deepEqual(requests[0].params, { count: 100, user: 'U1' });
+  });
+
+  it('stops at the page limit', async () => {
+    const requests = stubHttp(pages(10));
+
+    const items = await getAllPages(client, '/event_types', {}, 4);
+
+    assert.equal(items.length, 4);
+    assert.equal(requests.length, 4);
+  });
+});
@@ -0,0 +1,128 @@
+// test/calendlyWebhooks.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signWebhook } = require('./helpers');
+const bookingEventStore = require('../src/services/bookingEventStore');
+
+const SIGNING_KEY = process.env.CALENDLY_WEBHOOK_SIGNING_KEY;
+
+/**
+ * Builds an invitee.created webhook body.
+ *
+ * @param {String} id - Suffix for the invitee and event URIs
+ * @returns {String} JSON body
+ */
+function inviteeCreated(id) {
+  return JSON.stringify({
+    event: 'invitee.created',
+    created_at: '2030-05-01T12:00:00.000000Z',
+    payload: {
+      uri: `https://api.calendly.com/scheduled_events/EV-${id}/invitees/INV-${id}`,
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      text_reminder_number: '+1 415-555-0123',
+      scheduled_event: {
+        uri: `https://api.calendly.com/scheduled_events/EV-${id}`,
+        event_type: 'https://api.calendly.com/event_types/INTRO',
+        name: 'Intro Call',
+        start_time: '2030-05-14T14:30:00.000000Z',
+        end_time: '2030-05-14T15:00:00.000000Z'
+      }
+    }
+  });
+}
+
+describe('POST /api/calendly/webhooks', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  /**
+   * Posts a webhook body with an optional signature header.
+   *
+   * @param {String} body - Raw JSON body
+   * @param {String} signature - Calendly-Webhook-Signature header value
+   * @param {String} path - Webhook path, with any query string
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function postWebhook(body, signature, path = '/api/calendly/webhooks') {
+    const headers = { 'Content-Type': 'application/json' };
+    if (signature) {
+      headers['Calendly-Webhook-Signature'] = signature;
+    }
+    const response = await fetch(`${app.baseUrl}${path}`, { method: 'POST', headers, body });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('stores a correctly signed event without an API key', async () => {
+    const body = inviteeCreated('signed');
+    const { status, body: result } = await postWebhook(body, signWebhook(body, SIGNING_KEY));
+
+    assert.equal(status, 200);
+    assert.deepEqual(result, { received: true, stored: true });
+    const [record] = bookingEventStore.findByPhoneNumber('+14155550123')
+      .filter(event => event.eventUri.endsWith('EV-signed'));
+    assert.equal(record.event, 'invitee.created');
+    assert.equal(record.tenantId, 'default');
+    assert.equal(record.startTime, '2030-05-14T14:30:00.000000Z');
+  });
+
+  it('stores events against the tenant named in the callback URL', async () => {
+    const body = inviteeCreated('tenant');
+    const { status } = await postWebhook(body, signWebhook(body, SIGNING_KEY), '/api/calendly/webhooks?tenantId=acme');
+
+    assert.equal(status, 200);
+    const [record] = bookingEventStore.findByPhoneNumber('+14155550123')
+      .filter(event => event.eventUri.endsWith('EV-tenant'));
+    assert.equal(record.tenantId, 'acme');
+  });
+
+  it('rejects events for an unknown tenant', async () => {
+    const body = inviteeCreated('unknown-tenant');
+    const { status } = await postWebhook(body, signWebhook(body, SIGNING_KEY), '/api/calendly/webhooks?tenantId=nobody');
+    assert.equal(status, 404);
+  });
+
+  it('rejects an event without a signature', async () => {
+    const { status } = await postWebhook(inviteeCreated('unsigned'));
+    assert.equal(status, 401);
+  });
+
+  it('rejects an event signed with another key', async () => {
+    const body = inviteeCreated('wrong-key');
+    const { status } = await postWebhook(body, signWebhook(body, 'someone-elses-key'));
+    assert.equal(status, 401);
+  });
+
+  it('rejects a body changed after signing', async () => {
+    const signature = signWebhook(inviteeCreated('original'), SIGNING_KEY);
+    const { status } = await postWebhook(inviteeCreated('tampered'), signature);
+    assert.equal(status, 401);
+  });
+
+  it('rejects a replayed signature older than the tolerance', async () => {
+    const body = inviteeCreated('replayed');
+    const timestamp = Math.floor(Date.now() / 1000) - 10 * 60;
+    const { status, body: result } = await postWebhook(body, signWebhook(body, SIGNING_KEY, { timestamp }));
+
+    assert.equal(status, 401);
+    assert.equal(result.error, 'Expired webhook signature');
+  });
+
+  it('rejects a malformed signature header', async () => {
+    const { status } = await postWebhook(inviteeCreated('malformed'), 'not-a-signature');
+    assert.equal(status, 401);
+  });
+
+  it('acknowledges events it does not store', async () => {
+    const body = JSON.stringify({ event: 'routing_form_submission.created', payload: {} });
+    const { status, body: result } = await postWebhook(body, signWebhook(body, SIGNING_KEY));
+
+    assert.equal(status, 200);
+    assert.deepEqual(result, { received: true, stored: false });
+  });
+});
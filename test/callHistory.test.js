@@ -0,0 +1,103 @@
+// test/callHistory.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signWebhook } = require('./helpers');
+
+const ADMIN = `Basic ${Buffer.from(`admin:${process.env.ADMIN_PASSWORD}`).toString('base64')}`;
+
+const webhook = {
+  type: 'post_call_transcription',
+  data: {
+    conversation_id: 'conv_history',
+    agent_id: 'agent_front_desk',
+    status: 'done',
+    metadata: {
+      start_time_unix_secs: 1760000000,
+      call_duration_secs: 95,
+      phone_call: { external_number: '+14155550123', call_sid: 'CA-history' }
+    },
+    transcript: [
+      { role: 'user', message: 'Hi, my number is 415 555 0123', time_in_call_secs: 3 },
+      { role: 'agent', message: 'Thanks, let me check.', time_in_call_secs: 5 }
+    ]
+  }
+};
+
+describe('call history', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  /**
+   * Sends a post-call webhook.
+   *
+   * @param {String} body - Raw request body
+   * @param {String} signature - ElevenLabs-Signature header value
+   * @returns {Promise<Response>} Response
+   */
+  function postCall(body, signature) {
+    return fetch(`${app.baseUrl}/api/elevenlabs/post-call`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'ElevenLabs-Signature': signature },
+      body
+    });
+  }
+
+  /**
+   * Makes a GET request to the admin API.
+   *
+   * @param {String} path - Path under /api/admin
+   * @param {Object} headers - Credentials to send
+   * @returns {Promise<Response>} Response
+   */
+  function getAdmin(path, headers) {
+    return fetch(`${app.baseUrl}/api/admin${path}`, { headers });
+  }
+
+  it('stores a post-call webhook signed with the webhook secret', async () => {
+    const body = JSON.stringify(webhook);
+
+    const response = await postCall(body, signWebhook(body, process.env.ELEVENLABS_WEBHOOK_SECRET, { version: 'v0' }));
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).conversation_id, 'conv_history');
+  });
+
+  it('rejects post-call webhooks with a wrong or expired signature', async () => {
+    const body = JSON.stringify({ ...webhook, data: { ...webhook.data, conversation_id: 'conv_forged' } });
+    const expired = Math.floor(Date.now() / 1000) - 3600;
+
+    for (const signature of [
+      signWebhook(body, 'not-the-secret', { version: 'v0' }),
+      signWebhook(body, process.env.ELEVENLABS_WEBHOOK_SECRET, { version: 'v0', timestamp: expired })
+    ]) {
+      assert.equal((await postCall(body, signature)).status, 401);
+    }
+    const response = await getAdmin('/calls/conv_forged', { Authorization: ADMIN });
+    assert.equal(response.status, 404);
+  });
+
+  it('shows calls to the admin password with the caller\'s number redacted', async () => {
+    const list = await (await getAdmin('/calls', { Authorization: ADMIN })).json();
+    assert.deepEqual(list.calls.map(call => call.callerNumber), ['+14XXXXX0123']);
+
+    const { call } = await (await getAdmin('/calls/conv_history', { Authorization: ADMIN })).json();
+    assert.doesNotMatch(call.transcript[0].message, /555 0123/);
+  });
+
+  it('refuses the agents\' API key on admin routes with call data or call handling settings', async () => {
+    for (const path of ['/sessions', '/calls', '/calls/conv_history', '/funnel', '/experiments', '/sms-templates']) {
+      const response = await getAdmin(path, { 'X-API-Key': process.env.API_KEY });
+      assert.equal(response.status, 401, path);
+    }
+  });
+
+  it('refuses a wrong admin password', async () => {
+    const wrong = `Basic ${Buffer.from('admin:guess').toString('base64')}`;
+    assert.equal((await getAdmin('/calls', { Authorization: wrong })).status, 401);
+  });
+});
@@ -0,0 +1,177 @@
+// test/createAgent.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubHttp, startApp } = require('./helpers');
+const { maskSecrets } = require('../src/services/agentPreviewService');
+const { AGENT_TOOL_NAMES } = require('../src/services/agentBuilderService');
+
+const INTRO = 'https://api.calendly.com/event_types/INTRO';
+const ELEVENLABS_AGENTS_URL = 'https://api.elevenlabs.io/v1/convai/agents';
+
+/**
+ * Answers Calendly's event type lookup and the ElevenLabs agent API.
+ *
+ * @returns {Function} Request handler for stubHttp
+ */
+function services() {
+  return ({ method, url }) => {
+    if (url.endsWith('/users/me')) {
+      return { data: { resource: { uri: 'https://api.calendly.com/users/U1' } } };
+    }
+    if (url.endsWith('/event_types')) {
+      return { data: { collection: [{ uri: INTRO, name: 'Intro Call', duration: 30 }], pagination: {} } };
+    }
+    if (method === 'POST' && url === `${ELEVENLABS_AGENTS_URL}/create`) {
+      return { data: { agent_id: 'agent_new' } };
+    }
+    if (method === 'GET' && url === `${ELEVENLABS_AGENTS_URL}/agent_live`) {
+      return { data: { name: 'Old Front Desk', conversation_config: { agent: { first_message: 'Hello!' } } } };
+    }
+    return { status: 404, data: { detail: 'Not found' } };
+  };
+}
+
+describe('maskSecrets', () => {
+  it('masks secret headers and fields at any depth', () => {
+    assert.deepEqual(maskSecrets({
+      name: 'Front Desk',
+      tools: [{ api_schema: { request_headers: { 'X-API-Key': 'abcdefghijkl1234', Accept: 'application/json' } } }],
+      token: 'short'
+    }), {
+      name: 'Front Desk',
+      tools: [{ api_schema: { request_headers: { 'X-API-Key': '••••1234', Accept: 'application/json' } } }],
+      token: '••••'
+    });
+  });
+});
+
+describe('creating and updating agents', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  const settings = { agentName: 'Front Desk', serverUrl: 'https://voice.example.com', eventTypes: [INTRO] };
+
+  /**
+   * Calls create-agent.
+   *
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} { status, body }
+   */
+  async function createAgent(body) {
+    const response = await fetch(`${app.baseUrl}/api/elevenlabs/create-agent`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': process.env.API_KEY },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  /**
+   * Counts agent uploads among the requests made.
+   *
+   * @param {Array} requests - Requests from stubHttp
+   * @returns {Number} Number of uploads
+   */
+  function uploads(requests) {
+    return requests.filter(request => request.url === `${ELEVENLABS_AGENTS_URL}/create`).length;
+  }
+
+  it('previews the configuration with the server API key masked', async () => {
+    const requests = stubHttp(services());
+
+    const { status, body } = await createAgent({ ...settings, preview: true });
+
+    assert.equal(status, 200);
+    assert.equal(body.preview, true);
+    assert.ok(body.confirmation_token);
+    assert.equal(body.diff, null);
+    assert.ok(!JSON.stringify(body).includes(process.env.API_KEY));
+    assert.equal(uploads(requests), 0);
+  });
+
+  it('builds every tool prompts are checked against, with ids only for existing tools', async () => {
+    stubHttp(services());
+
+    const { body } = await createAgent({ ...settings, preview: true });
+    const tools = body.config.conversation_config.agent.prompt.tools;
+
+    assert.deepEqual(tools.map(tool => tool.name).sort(), [...AGENT_TOOL_NAMES].sort());
+    assert.deepEqual(tools.filter(tool => tool.id).map(tool => tool.name).sort(),
+      ['checkAvailability', 'checkTimes', 'end_call', 'sendBookingSMS']);
+  });
+
+  it('uploads once the preview is confirmed, and only once per preview', async () => {
+    const requests = stubHttp(services());
+    const { body: preview } = await createAgent({ ...settings, preview: true });
+
+    const { status, body } = await createAgent({ ...settings, confirmationToken: preview.confirmation_token });
+    assert.equal(status, 200);
+    assert.equal(body.agent_id, 'agent_new');
+
+    const { status: replayStatus } = await createAgent({ ...settings, confirmationToken: preview.confirmation_token });
+    assert.equal(replayStatus, 409);
+    assert.equal(uploads(requests), 1);
+  });
+
+  it('refuses to upload without a preview', async () => {
+    const requests = stubHttp(services());
+
+    const { status, body } = await createAgent(settings);
+
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Agent configuration not confirmed');
+    assert.equal(uploads(requests), 0);
+  });
+
+  it('refuses to upload settings that changed since the preview', async () => {
+    const requests = stubHttp(services());
+    const { body: preview } = await createAgent({ ...settings, preview: true });
+
+    const { status } = await createAgent({ ...settings, agentName: 'Back Office', confirmationToken: preview.confirmation_token });
+
+    assert.equal(status, 409);
+    assert.equal(uploads(requests), 0);
+  });
+
+  it('diffs against the live agent and ties the confirmation to it', async () => {
+    const requests = stubHttp(services());
+    const { body: preview } = await createAgent({ ...settings, agentId: 'agent_live', preview: true });
+
+    assert.equal(preview.agent_id, 'agent_live');
+    assert.ok(preview.diff.some(change => change.path === 'name'));
+
+    const { status } = await createAgent({ ...settings, confirmationToken: preview.confirmation_token });
+    assert.equal(status, 409);
+    assert.equal(uploads(requests), 0);
+  });
+
+  it('names an event type the Calendly account doesn\'t have', async () => {
+    const requests = stubHttp(services());
+    const missing = 'https://api.calendly.com/event_types/MISSING';
+
+    const { status, body } = await createAgent({ ...settings, eventTypes: [INTRO, missing], preview: true });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, `Event type not found in the Calendly account: ${missing}`);
+    assert.equal(uploads(requests), 0);
+  });
+
+  it('rejects an unknown event type when updating an agent', async () => {
+    stubHttp(services());
+    const missing = 'https://api.calendly.com/event_types/MISSING';
+
+    const response = await fetch(`${app.baseUrl}/api/elevenlabs/agents/agent_live`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': process.env.API_KEY },
+      body: JSON.stringify({ ...settings, eventTypes: [missing], preview: true })
+    });
+
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /MISSING/);
+  });
+});
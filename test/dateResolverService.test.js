@@ -0,0 +1,124 @@
+// test/dateResolverService.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+// Spanish callers get Spanish dates, for the resolveDate tool tests
+process.env.SUPPORTED_LANGUAGES = 'en,es';
+const { startApp, callTool } = require('./helpers');
+const { resolveDate } = require('../src/services/dateResolverService');
+
+// Wednesday, May 14, 2025
+const now = new Date('2025-05-14T15:00:00Z');
+
+/**
+ * Resolves a phrase on the reference date.
+ *
+ * @param {String} phrase - Date phrase
+ * @param {Object} options - Options for resolveDate (optional)
+ * @returns {Object|null} Resolved date or range
+ */
+function resolve(phrase, options = {}) {
+  return resolveDate(phrase, { now, ...options });
+}
+
+describe('resolveDate', () => {
+  it('resolves relative days with their period', () => {
+    assert.deepEqual(resolve('tomorrow morning'), {
+      type: 'date',
+      date: '2025-05-15',
+      period: 'morning',
+      weekOffset: 0,
+      day: 'Thursday',
+      readable: 'Thursday, May 15, 2025',
+      in_past: false
+    });
+    assert.equal(resolve('the day after tomorrow').date, '2025-05-16');
+    assert.equal(resolve('in 3 days').date, '2025-05-17');
+  });
+
+  it('reads "tonight" as today in the evening', () => {
+    const result = resolve('tonight');
+    assert.equal(result.date, '2025-05-14');
+    assert.equal(result.period, 'evening');
+  });
+
+  it('resolves weekdays', () => {
+    assert.equal(resolve('this friday').date, '2025-05-16');
+    assert.equal(resolve('monday').date, '2025-05-19');
+
+    const nextTuesday = resolve('next tuesday afternoon');
+    assert.equal(nextTuesday.date, '2025-05-20');
+    assert.equal(nextTuesday.weekOffset, 1);
+    assert.equal(nextTuesday.period, 'afternoon');
+  });
+
+  it('resolves weekends', () => {
+    assert.equal(resolve('this weekend').date, '2025-05-17');
+    assert.equal(resolve('next weekend').date, '2025-05-24');
+  });
+
+  it('resolves whole weeks as ranges', () => {
+    const result = resolve('next week');
+    assert.equal(result.type, 'range');
+    assert.equal(result.weekOffset, 1);
+    assert.ok(result.start_date <= result.end_date);
+  });
+
+  it('resolves a month and day, rolling past dates into next year', () => {
+    assert.equal(resolve('May 20').date, '2025-05-20');
+    assert.equal(resolve('the 3rd of March').date, '2026-03-03');
+    assert.equal(resolve('may the 20th').date, '2025-05-20');
+  });
+
+  it('resolves a day of the month, moving past days to next month', () => {
+    assert.equal(resolve('the 20th').date, '2025-05-20');
+    assert.equal(resolve('the 10th').date, '2025-06-10');
+  });
+
+  it('does not read "may" as the month without a day next to it', () => {
+    assert.equal(resolve('I may need the 10th').date, '2025-06-10');
+    assert.equal(resolve('May'), null);
+  });
+
+  it('resolves ISO dates and flags past ones', () => {
+    assert.equal(resolve('2025-06-01').readable, 'Sunday, June 1, 2025');
+    assert.equal(resolve('2025-05-01').in_past, true);
+  });
+
+  it('uses the caller\'s time zone for today', () => {
+    const evening = new Date('2025-05-15T02:00:00Z');
+    assert.equal(resolveDate('tomorrow', { now: evening, timeZone: 'America/New_York' }).date, '2025-05-15');
+    assert.equal(resolveDate('tomorrow', { now: evening }).date, '2025-05-16');
+  });
+
+  it('returns null for dates that do not exist or are not understood', () => {
+    assert.equal(resolve('February 30'), null);
+    assert.equal(resolve('whenever suits'), null);
+    assert.equal(resolve(''), null);
+    assert.equal(resolveDate(null), null);
+  });
+});
+
+describe('resolveDate tool', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  it('reads a translated phrase and answers in the caller\'s language', async () => {
+    const { body } = await callTool(app.baseUrl, 'resolveDate', { phrase: 'next tuesday afternoon', callerNumber: '+34612345678' }, { language: 'es' });
+
+    assert.equal(body.success, true);
+    assert.equal(body.resolved.period, 'afternoon');
+    assert.match(body.resolved.readable, /^martes/);
+  });
+
+  it('asks for an English phrase when it can\'t read one', async () => {
+    const { body } = await callTool(app.baseUrl, 'resolveDate', { phrase: 'el martes que viene', callerNumber: '+34612345678' }, { language: 'es' });
+
+    assert.equal(body.success, false);
+    assert.match(body.error, /in English/);
+  });
+});
@@ -0,0 +1,133 @@
+// test/experimentService.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const experimentService = require('../src/services/experimentService');
+
+const defaultTenant = { id: 'default', prompt: null };
+const acme = { id: 'acme', prompt: null };
+const ownPrompt = { id: 'own-prompt', prompt: 'You are the front desk of a bakery.' };
+
+const variants = [
+  { name: 'control', weight: 3 },
+  { name: 'friendly', weight: 1, prompt: 'You are a warm, friendly receptionist.' }
+];
+
+/**
+ * Starts an experiment and fails the test if it is rejected.
+ *
+ * @param {Object} input - Experiment settings
+ * @returns {Promise<Object>} Experiment
+ */
+async function start(input) {
+  const { experiment, error } = await experimentService.createExperiment(input);
+  assert.equal(error, undefined);
+  return experiment;
+}
+
+describe('experimentService', () => {
+  // One running experiment per test, so each starts from a clean slate
+  afterEach(() => experimentService.listExperiments()
+    .forEach(experiment => experimentService.updateExperiment(experiment.id, { status: 'stopped' })));
+
+  describe('createExperiment', () => {
+    it('rejects variants that can\'t be assigned', async () => {
+      const cases = [
+        [[{ name: 'only' }], 'An experiment needs at least two variants'],
+        [[{ name: 'a' }, { name: 'a' }], 'Duplicate variant name "a"'],
+        [[{ name: 'a' }, { name: 'b', weight: 0 }], 'Variant "b" needs a positive weight'],
+        [[{ name: 'a' }, { name: 'b', prompt: '  ' }], 'Variant "b" has an empty prompt'],
+        [[{ name: 'a' }, { name: 'b', promptVersion: 999 }], 'Variant "b" uses prompt version 999, which doesn\'t exist']
+      ];
+
+      for (const [invalid, message] of cases) {
+        assert.deepEqual(await experimentService.createExperiment({ variants: invalid }), { error: message });
+      }
+    });
+  });
+
+  describe('assignVariant', () => {
+    it('keeps a call in the same variant', async () => {
+      await start({ variants });
+
+      const first = experimentService.assignVariant({ tenant: defaultTenant, callSid: 'CA-stable' });
+      const again = experimentService.assignVariant({ tenant: defaultTenant, callSid: 'CA-stable' });
+
+      assert.equal(again.variant, first.variant);
+    });
+
+    it('splits calls by weight', async () => {
+      const experiment = await start({ variants });
+
+      for (let i = 0; i < 1000; i++) {
+        experimentService.assignVariant({ tenant: defaultTenant, callSid: `CA-split-${i}` });
+      }
+
+      const [control, friendly] = experimentService.getReport(experiment.id).variants;
+      assert.equal(control.calls + friendly.calls, 1000);
+      assert.ok(control.calls > 700 && control.calls < 800, `control got ${control.calls} of 1000 calls`);
+    });
+
+    it('gives the control variant no prompt and others their own', async () => {
+      await start({ variants });
+
+      const assignments = Array.from({ length: 20 }, (_, i) =>
+        experimentService.assignVariant({ tenant: defaultTenant, callSid: `CA-prompt-${i}` }));
+
+      assignments.forEach(({ variant, prompt }) => {
+        assert.equal(prompt, variant === 'control' ? null : variants[1].prompt);
+      });
+    });
+
+    it('falls back to the caller\'s number without a call SID, and skips untrackable calls', async () => {
+      await start({ variants });
+
+      assert.ok(experimentService.assignVariant({ tenant: defaultTenant, callerNumber: '+1 415 555 0123' }));
+      assert.equal(experimentService.assignVariant({ tenant: defaultTenant }), null);
+    });
+
+    it('leaves tenants with their own prompt out of experiments for all tenants', async () => {
+      await start({ variants });
+
+      assert.ok(experimentService.assignVariant({ tenant: acme, callSid: 'CA-acme' }));
+      assert.equal(experimentService.assignVariant({ tenant: ownPrompt, callSid: 'CA-own' }), null);
+    });
+
+    it('applies a tenant\'s experiment to that tenant only', async () => {
+      const experiment = await start({ variants, tenantId: 'own-prompt' });
+
+      assert.equal(experimentService.assignVariant({ tenant: ownPrompt, callSid: 'CA-own' }).experimentId, experiment.id);
+      assert.equal(experimentService.assignVariant({ tenant: defaultTenant, callSid: 'CA-default' }), null);
+    });
+
+    it('stops assigning calls once the experiment is stopped', async () => {
+      const experiment = await start({ variants });
+      experimentService.updateExperiment(experiment.id, { status: 'stopped' });
+
+      assert.equal(experimentService.assignVariant({ tenant: defaultTenant, callSid: 'CA-stopped' }), null);
+    });
+  });
+
+  describe('getReport', () => {
+    it('counts tool calls and outcomes per variant, once per outcome', async () => {
+      const experiment = await start({ variants });
+      const keys = { callSid: 'CA-report' };
+      const { variant } = experimentService.assignVariant({ tenant: defaultTenant, ...keys });
+
+      experimentService.recordToolCall(keys, 'checkAvailability');
+      experimentService.recordToolCall(keys, 'bookAppointment');
+      experimentService.recordOutcome(keys, 'booked');
+      experimentService.recordOutcome(keys, 'booked');
+      experimentService.recordToolCall({ callSid: 'CA-not-in-experiment' }, 'checkTimes');
+
+      const report = experimentService.getReport(experiment.id);
+      const assigned = report.variants.find(candidate => candidate.name === variant);
+
+      assert.equal(report.total_calls, 1);
+      assert.deepEqual(assigned.tool_calls, { checkAvailability: 1, bookAppointment: 1 });
+      assert.equal(assigned.booked, 1);
+      assert.equal(assigned.booking_rate, 1);
+      assert.equal(experimentService.getReport('exp_missing'), null);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+// test/findBookings.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubHttp, startApp, callTool } = require('./helpers');
+const calendlyService = require('../src/services/calendlyService');
+const bookingEventStore = require('../src/services/bookingEventStore');
+const tenants = require('../src/config/tenants');
+const { runWithContext } = require('../src/utils/request-context');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets an ISO start time some days from now.
+ *
+ * @param {Number} days - Days from now
+ * @returns {String} ISO timestamp
+ */
+function daysFromNow(days) {
+  return new Date(Date.now() + days * DAY).toISOString();
+}
+
+/**
+ * Stores an invitee.created webhook event for a booking.
+ *
+ * @param {String} id - Suffix for the invitee and event URIs
+ * @param {String} phoneNumber - Invitee's text reminder number
+ * @param {String} startTime - Booking start time
+ * @param {String} tenantId - Tenant the webhook was received for
+ */
+function storeBooking(id, phoneNumber, startTime, tenantId) {
+  bookingEventStore.recordEvent({
+    event: 'invitee.created',
+    payload: {
+      uri: `https://api.calendly.com/scheduled_events/EV-${id}/invitees/INV-${id}`,
+      name: 'Jane Doe',
+      text_reminder_number: phoneNumber,
+      scheduled_event: {
+        uri: `https://api.calendly.com/scheduled_events/EV-${id}`,
+        name: 'Indexed Call',
+        start_time: startTime,
+        end_time: startTime
+      }
+    }
+  }, tenantId);
+}
+
+/**
+ * Answers the live lookup with one upcoming event whose invitee has the
+ * given phone number.
+ *
+ * @param {String} id - Suffix for the invitee and event URIs
+ * @param {String} phoneNumber - Invitee's text reminder number
+ * @param {String} startTime - Event start time
+ * @returns {Function} Request handler for stubHttp
+ */
+function calendlyWithEvent(id, phoneNumber, startTime) {
+  const event = { uri: `https://api.calendly.com/scheduled_events/EV-${id}`, name: 'Live Call', start_time: startTime, end_time: startTime };
+  return ({ url }) => {
+    if (url.endsWith('/users/me')) {
+      return { data: { resource: { uri: 'https://api.calendly.com/users/U1' } } };
+    }
+    if (url.endsWith('/scheduled_events')) {
+      return { data: { collection: [event], pagination: {} } };
+    }
+    if (url.endsWith(`/scheduled_events/EV-${id}/invitees`)) {
+      return { data: { collection: [{ uri: `${event.uri}/invitees/INV-${id}`, name: 'Jane Doe', text_reminder_number: phoneNumber }], pagination: {} } };
+    }
+    return { status: 404, data: { message: 'Not found' } };
+  };
+}
+
+/**
+ * Finds bookings for a phone number as a tenant's request would.
+ *
+ * @param {String} tenantId - Tenant id
+ * @param {String} phoneNumber - Caller phone number
+ * @returns {Promise<Array>} Bookings
+ */
+function findAs(tenantId, phoneNumber) {
+  return runWithContext({ tenant: tenants.getTenant(tenantId) }, () =>
+    calendlyService.findBookingsByPhoneNumber(phoneNumber));
+}
+
+describe('findBookingsByPhoneNumber', () => {
+  it('merges stored webhook bookings with the live lookup, soonest first', async () => {
+    storeBooking('merge-indexed', '+14155550101', daysFromNow(3), 'default');
+    stubHttp(calendlyWithEvent('merge-live', '+14155550101', daysFromNow(2)));
+
+    const bookings = await findAs('default', '+1 (415) 555-0101');
+
+    assert.deepEqual(bookings.map(booking => booking.event_uri), [
+      'https://api.calendly.com/scheduled_events/EV-merge-live',
+      'https://api.calendly.com/scheduled_events/EV-merge-indexed'
+    ]);
+  });
+
+  it('lists a booking found both ways once, as Calendly reports it', async () => {
+    storeBooking('both', '+14155550102', daysFromNow(4), 'default');
+    stubHttp(calendlyWithEvent('both', '+14155550102', daysFromNow(4)));
+
+    const bookings = await findAs('default', '+14155550102');
+
+    assert.equal(bookings.length, 1);
+    assert.equal(bookings[0].name, 'Live Call');
+  });
+
+  it('only returns stored bookings made with the caller\'s tenant', async () => {
+    storeBooking('acme-only', '+14155550103', daysFromNow(5), 'acme');
+    stubHttp(calendlyWithEvent('unrelated', '+14155559999', daysFromNow(1)));
+
+    assert.deepEqual(await findAs('default', '+14155550103'), []);
+    const acmeBookings = await findAs('acme', '+14155550103');
+    assert.deepEqual(acmeBookings.map(booking => booking.event_uri), [
+      'https://api.calendly.com/scheduled_events/EV-acme-only'
+    ]);
+  });
+
+  it('returns stored bookings when the live lookup fails', async () => {
+    storeBooking('offline', '+14155550104', daysFromNow(6), 'default');
+    stubHttp(() => ({ status: 401, data: { message: 'Unauthenticated' } }));
+
+    const bookings = await findAs('default', '+14155550104');
+
+    assert.deepEqual(bookings.map(booking => booking.event_uri), [
+      'https://api.calendly.com/scheduled_events/EV-offline'
+    ]);
+  });
+
+  it('throws when the live lookup fails and nothing is stored', async () => {
+    stubHttp(() => ({ status: 401, data: { message: 'Unauthenticated' } }));
+    await assert.rejects(findAs('default', '+14155550105'), { name: 'CalendlyAuthError' });
+  });
+});
+
+describe('booking management tools', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  const parameters = { callerNumber: '+14155550106', eventUri: 'https://api.calendly.com/scheduled_events/EV-missing' };
+
+  it('passes Calendly\'s status through when cancelling fails', async () => {
+    stubHttp(() => ({ status: 401, data: { message: 'Unauthenticated' } }));
+
+    const { status, body } = await callTool(app.baseUrl, 'cancelBooking', parameters);
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'Failed to cancel booking');
+  });
+
+  it('passes Calendly\'s status through when rescheduling fails', async () => {
+    stubHttp(() => ({ status: 400, data: { message: 'Invalid argument' } }));
+
+    const { status, body } = await callTool(app.baseUrl, 'rescheduleBooking', parameters);
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Failed to send reschedule link');
+  });
+
+  it('reports a booking the caller doesn\'t have as not found', async () => {
+    stubHttp(calendlyWithEvent('someone-else', '+14155559999', daysFromNow(1)));
+
+    const { status } = await callTool(app.baseUrl, 'cancelBooking', parameters);
+
+    assert.equal(status, 404);
+  });
+});
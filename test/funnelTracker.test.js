@@ -0,0 +1,102 @@
+// test/funnelTracker.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const funnelTracker = require('../src/services/funnelTracker');
+
+const SCHEDULING_URL = 'https://calendly.com/acme/intro';
+
+/**
+ * Gets the report totals for one tenant, so each test counts only its own calls.
+ *
+ * @param {String} tenantId - Tenant ID
+ * @returns {Object} Stage counts
+ */
+function totalsFor(tenantId) {
+  return funnelTracker.getReport({ tenantId }).totals;
+}
+
+/**
+ * Reads the call a tracked link was tagged with.
+ *
+ * @param {String} link - Link from trackLink
+ * @returns {String|null} Call ID
+ */
+function trackedCallId(link) {
+  return new URL(link).searchParams.get('utm_content');
+}
+
+describe('funnelTracker', () => {
+  it('counts each stage once per call, and a repeated call webhook as the same call', () => {
+    const keys = { callSid: 'CA-funnel-once', callerNumber: '+14155550201', tenantId: 'funnel-once' };
+
+    funnelTracker.recordStage(keys, 'call_started');
+    funnelTracker.recordStage(keys, 'call_started');
+    funnelTracker.recordStage(keys, 'availability_checked');
+    funnelTracker.recordStage(keys, 'availability_checked');
+
+    const totals = totalsFor('funnel-once');
+    assert.equal(totals.call_started, 1);
+    assert.equal(totals.availability_checked, 1);
+    assert.equal(totals.rates.availability_checked, 1);
+    assert.equal(totals.times_checked, 0);
+  });
+
+  it('starts a call for a tool call from a call it didn\'t see start', () => {
+    funnelTracker.recordStage({ conversationId: 'conv-funnel-test-call', tenantId: 'funnel-test-call' }, 'times_checked');
+
+    const totals = totalsFor('funnel-test-call');
+    assert.equal(totals.call_started, 1);
+    assert.equal(totals.times_checked, 1);
+  });
+
+  it('credits a booking to the call named in the tracked link over the caller\'s latest call', () => {
+    const callerNumber = '+14155550202';
+    const first = { callSid: 'CA-funnel-link-1', callerNumber, tenantId: 'funnel-link' };
+    funnelTracker.recordStage(first, 'call_started');
+    const link = funnelTracker.trackLink(SCHEDULING_URL, first);
+    funnelTracker.recordStage({ callSid: 'CA-funnel-link-2', callerNumber, tenantId: 'funnel-link' }, 'call_started');
+
+    const call = funnelTracker.recordBookingConfirmed({
+      phoneNumber: callerNumber,
+      eventTypeUri: 'https://api.calendly.com/event_types/INTRO',
+      tracking: { utm_source: 'voice-agent', utm_content: trackedCallId(link) }
+    });
+
+    assert.equal(call.callSid, 'CA-funnel-link-1');
+    assert.equal(call.eventTypeUrl, 'https://api.calendly.com/event_types/INTRO');
+    assert.equal(totalsFor('funnel-link').booking_confirmed, 1);
+  });
+
+  it('credits an untracked booking to the invitee\'s latest call', () => {
+    const callerNumber = '+14155550203';
+    funnelTracker.recordStage({ callSid: 'CA-funnel-phone-1', callerNumber }, 'call_started');
+    funnelTracker.recordStage({ callSid: 'CA-funnel-phone-2', callerNumber }, 'call_started');
+
+    const call = funnelTracker.recordBookingConfirmed({ phoneNumber: '+1 (415) 555-0203', tracking: {} });
+
+    assert.equal(call.callSid, 'CA-funnel-phone-2');
+  });
+
+  it('credits nothing for a booking that matches no call', () => {
+    assert.equal(funnelTracker.recordBookingConfirmed({ phoneNumber: '+14155550299', tracking: {} }), null);
+    assert.equal(funnelTracker.recordBookingConfirmed({ tracking: { utm_source: 'newsletter', utm_content: 'CA-funnel-once' } }), null);
+  });
+
+  it('leaves links for untracked calls and malformed links unchanged', () => {
+    assert.equal(funnelTracker.trackLink(SCHEDULING_URL, { callSid: 'CA-funnel-unknown' }), SCHEDULING_URL);
+    assert.equal(funnelTracker.trackLink('not a url', { callSid: 'CA-funnel-once' }), 'not a url');
+  });
+
+  it('breaks the report down by day, event type and called number', () => {
+    const keys = { callSid: 'CA-funnel-report', calledNumber: '+1 415 555 0100', tenantId: 'funnel-report' };
+    funnelTracker.recordStage(keys, 'call_started');
+    funnelTracker.recordStage(keys, 'sms_sent', { eventTypeUrl: 'https://api.calendly.com/event_types/INTRO' });
+
+    const [day] = funnelTracker.getReport({ tenantId: 'funnel-report' }).days;
+
+    assert.equal(day.by_event_type['https://api.calendly.com/event_types/INTRO'].sms_sent, 1);
+    assert.equal(day.by_called_number['+14155550100'].call_started, 1);
+    assert.deepEqual(funnelTracker.getReport({ tenantId: 'funnel-report', from: '2999-01-01' }).days, []);
+  });
+});
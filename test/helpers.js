@@ -0,0 +1,164 @@
+// test/helpers.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Shared test setup. Require it before anything from src: it sets the
+ * environment config reads when it loads (a temporary data directory, test
+ * credentials, quiet logs) and routes HTTP requests made through axios to
+ * a stub, so no test reaches Calendly or ElevenLabs.
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  API_KEY: 'test-api-key',
+  ADMIN_PASSWORD: 'test-admin-password',
+  CALENDLY_API_TOKEN: 'test-calendly-token',
+  CALENDLY_WEBHOOK_SIGNING_KEY: 'test-calendly-signing-key',
+  ELEVENLABS_API_KEY: 'test-elevenlabs-key',
+  ELEVENLABS_WEBHOOK_SECRET: 'test-elevenlabs-webhook-secret',
+  LOG_LEVEL: 'error',
+  // One tenant besides the default one, for tests of tenant routing
+  TENANTS_CONFIG: JSON.stringify([{
+    id: 'acme',
+    name: 'Acme Dental',
+    agentIds: ['agent_acme'],
+    calledNumbers: ['+14155550100'],
+    calendly: { apiToken: 'test-acme-calendly-token' }
+  }])
+});
+
+// Loaded first so its exit handler writes delayed saves before the data directory is removed
+require('../src/utils/json-store');
+require('../src/utils/secure-logging');
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const axios = require(require.resolve('axios', { paths: [path.join(__dirname, '../src')] }));
+
+let handler = null;
+const requests = [];
+
+// Set before any API client is created, since clients copy the adapter
+axios.defaults.adapter = async requestConfig => {
+  const request = {
+    method: requestConfig.method.toUpperCase(),
+    url: new URL(requestConfig.url, requestConfig.baseURL || undefined).toString(),
+    params: requestConfig.params || {},
+    headers: requestConfig.headers.toJSON(),
+    data: typeof requestConfig.data === 'string' ? JSON.parse(requestConfig.data) : requestConfig.data
+  };
+  requests.push(request);
+
+  if (!handler) {
+    throw new Error(`Unexpected request: ${request.method} ${request.url}`);
+  }
+
+  let reply;
+  try {
+    reply = await handler(request);
+  } catch (error) {
+    // Axios attaches the request config to errors, which retries rely on
+    if (axios.isAxiosError(error) && !error.config) {
+      error.config = requestConfig;
+    }
+    throw error;
+  }
+
+  const { status = 200, data = {}, headers = {} } = reply;
+  const response = { status, statusText: String(status), data, headers, config: requestConfig, request: {} };
+  if (status >= 400) {
+    throw new axios.AxiosError(`Request failed with status code ${status}`, axios.AxiosError.ERR_BAD_RESPONSE,
+      requestConfig, {}, response);
+  }
+  return response;
+};
+
+/**
+ * Answers HTTP requests with a handler until the next call. The handler
+ * gets { method, url, params, headers, data } and returns
+ * { status, data, headers } (status defaults to 200); it can throw to fail
+ * the request without a response.
+ *
+ * @param {Function} nextHandler - Request handler, or null to reject every request
+ * @returns {Array} Requests made from now on
+ */
+function stubHttp(nextHandler) {
+  handler = nextHandler;
+  requests.length = 0;
+  return requests;
+}
+
+/**
+ * Builds the error axios gives for a request that got no response.
+ *
+ * @param {String} code - Error code (e.g. ECONNABORTED for a timeout)
+ * @returns {Error} Axios error
+ */
+function networkError(code) {
+  const error = new axios.AxiosError(`Network error (${code})`, code);
+  error.request = {};
+  return error;
+}
+
+/**
+ * Starts the app on a free port.
+ *
+ * @returns {Promise<Object>} { app, baseUrl, close }
+ */
+function startApp() {
+  const app = require('../src/server');
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({
+      app,
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+/**
+ * Signs a webhook body the way Calendly ("t=...,v1=...") and ElevenLabs
+ * ("t=...,v0=...") do.
+ *
+ * @param {String} body - Raw request body
+ * @param {String} secret - Signing key
+ * @param {Object} options - Signature options
+ * @param {String} options.version - Signature part name (default: 'v1')
+ * @param {Number} options.timestamp - Unix time in seconds (default: now)
+ * @returns {String} Signature header value
+ */
+function signWebhook(body, secret, { version = 'v1', timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},${version}=${signature}`;
+}
+
+/**
+ * Calls a tool through the function handler, as ElevenLabs does.
+ *
+ * @param {String} baseUrl - App URL from startApp
+ * @param {String} functionName - Tool name
+ * @param {Object} parameters - Tool parameters
+ * @param {Object} callKeys - Extra top-level fields (e.g. { call_sid })
+ * @returns {Promise<Object>} { status, body }
+ */
+async function callTool(baseUrl, functionName, parameters, callKeys = {}) {
+  const response = await fetch(`${baseUrl}/api/elevenlabs/function-handler`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': process.env.API_KEY },
+    body: JSON.stringify({ function_name: functionName, parameters, ...callKeys })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+module.exports = {
+  dataDir,
+  stubHttp,
+  networkError,
+  startApp,
+  signWebhook,
+  callTool
+};
@@ -0,0 +1,77 @@
+// test/prompt-template.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTemplate, renderTemplate } = require('../src/utils/prompt-template');
+
+describe('prompt-template', () => {
+  describe('renderTemplate', () => {
+    it('fills variables and dotted paths', () => {
+      assert.equal(
+        renderTemplate('{{ business.name }} on {{date}}', { business: { name: 'Acme' }, date: 'Monday' }),
+        'Acme on Monday'
+      );
+    });
+
+    it('leaves unknown variables for ElevenLabs to fill', () => {
+      assert.equal(renderTemplate('Caller: {{system__caller_id}}', {}), 'Caller: {{system__caller_id}}');
+    });
+
+    it('renders null as empty and joins arrays', () => {
+      assert.equal(renderTemplate('[{{a}}] {{b}}', { a: null, b: ['x', 'y'] }), '[] x, y');
+    });
+
+    it('loops with item fields, this, @index and @number', () => {
+      const template = '{{#each items}}{{@number}}/{{@index}} {{name}} ({{this.duration}}) {{/each}}';
+      const items = [{ name: 'Intro', duration: 15 }, { name: 'Demo', duration: 30 }];
+      assert.equal(renderTemplate(template, { items }), '1/0 Intro (15) 2/1 Demo (30) ');
+    });
+
+    it('reads outer variables inside a loop', () => {
+      assert.equal(renderTemplate('{{#each items}}{{this}}@{{place}} {{/each}}', { items: ['a', 'b'], place: 'HQ' }), 'a@HQ b@HQ ');
+    });
+
+    it('renders the else branch for an empty loop', () => {
+      assert.equal(renderTemplate('{{#each items}}x{{else}}none{{/each}}', { items: [] }), 'none');
+    });
+
+    it('treats empty arrays as false in conditions', () => {
+      const template = '{{#if items}}some{{else}}none{{/if}} {{#unless items}}empty{{/unless}}';
+      assert.equal(renderTemplate(template, { items: [] }), 'none empty');
+      assert.equal(renderTemplate(template, { items: [1] }), 'some ');
+    });
+
+    it('renders partials with the current context', () => {
+      const partials = { greeting: 'Hi {{name}}' };
+      assert.equal(renderTemplate('{{> greeting}}!', { name: 'Jane' }, partials), 'Hi Jane!');
+    });
+
+    it('rejects unknown and self-including partials', () => {
+      assert.throws(() => renderTemplate('{{> missing}}', {}), /Unknown partial/);
+      assert.throws(() => renderTemplate('{{> loop}}', {}, { loop: '{{> loop}}' }), /nested too deeply/);
+    });
+  });
+
+  describe('parseTemplate', () => {
+    it('builds text, variable and block nodes', () => {
+      assert.deepEqual(parseTemplate('Hi {{#if name}}{{name}}{{/if}}'), [
+        { type: 'text', value: 'Hi ' },
+        {
+          type: 'if',
+          path: 'name',
+          children: [{ type: 'variable', path: 'name', raw: '{{name}}' }],
+          inverse: null
+        }
+      ]);
+    });
+
+    it('rejects malformed blocks', () => {
+      assert.throws(() => parseTemplate('{{#with a}}{{/with}}'), /Unknown block helper/);
+      assert.throws(() => parseTemplate('{{#if}}{{/if}}'), /needs a variable name/);
+      assert.throws(() => parseTemplate('{{#if a}}'), /Unclosed/);
+      assert.throws(() => parseTemplate('{{#if a}}{{/each}}'), /expected "{{\/if}}"/);
+      assert.throws(() => parseTemplate('{{/if}}'), /Unexpected/);
+      assert.throws(() => parseTemplate('{{else}}'), /Unexpected "{{else}}"/);
+      assert.throws(() => parseTemplate('{{#if a}}{{else}}{{else}}{{/if}}'), /Unexpected "{{else}}"/);
+    });
+  });
+});
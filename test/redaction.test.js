@@ -0,0 +1,113 @@
+// test/redaction.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { REDACTED, redact, redactText, getFieldRule } = require('../src/utils/redaction');
+
+describe('redaction', () => {
+  afterEach(() => {
+    delete process.env.LOG_REDACT_FIELDS;
+    delete process.env.METRICS_TOKEN;
+  });
+
+  describe('getFieldRule', () => {
+    it('matches field names however they are cased or separated', () => {
+      assert.equal(getFieldRule('API_KEY'), 'remove');
+      assert.equal(getFieldRule('caller-id'), 'phone');
+      assert.equal(getFieldRule('inviteeEmail'), 'email');
+      assert.equal(getFieldRule('Caller Name'), 'name');
+    });
+
+    it('has no rule for a plain name or number', () => {
+      assert.equal(getFieldRule('name'), null);
+      assert.equal(getFieldRule('number'), null);
+    });
+
+    it('uses rules from LOG_REDACT_FIELDS first', () => {
+      process.env.LOG_REDACT_FIELDS = 'callerName:keep, notes:remove, other:unknown';
+      assert.equal(getFieldRule('callerName'), 'keep');
+      assert.equal(getFieldRule('notes'), 'remove');
+      assert.equal(getFieldRule('other'), null);
+    });
+  });
+
+  describe('redact', () => {
+    it('redacts fields by their rule', () => {
+      const redacted = redact({
+        apiKey: 'abc123',
+        phoneNumber: '+15551234567',
+        email: 'jane@example.com',
+        callerName: 'Jane Doe'
+      });
+
+      assert.deepEqual(redacted, {
+        apiKey: REDACTED,
+        phoneNumber: '+15XXXXX4567',
+        email: 'j***@example.com',
+        callerName: 'J*** D***'
+      });
+    });
+
+    it('masks a plain name only next to a phone number or email', () => {
+      assert.equal(redact({ name: 'Jane Doe', phoneNumber: '+15551234567' }).name, 'J*** D***');
+      assert.equal(redact({ name: 'Jane Doe', email: 'jane@example.com' }).name, 'J*** D***');
+      assert.deepEqual(redact({ name: '30 Minute Meeting', duration: 30 }), { name: '30 Minute Meeting', duration: 30 });
+      assert.deepEqual(redact({ name: 'checkTimes', status: 200 }), { name: 'checkTimes', status: 200 });
+    });
+
+    it('keeps number fields that are not phone numbers', () => {
+      assert.deepEqual(redact({ page: { number: 2 }, number: 3 }), { page: { number: 2 }, number: 3 });
+    });
+
+    it('walks arrays and nested objects', () => {
+      const redacted = redact({ calls: [{ callerNumber: '+15551234567', notes: 'call back on +15557654321' }] });
+      assert.deepEqual(redacted, { calls: [{ callerNumber: '+15XXXXX4567', notes: 'call back on +15XXXXX4321' }] });
+    });
+
+    it('keeps an error\'s name and redacts its message and stack', () => {
+      const error = new TypeError('Failed for jane@example.com');
+      const redacted = redact(error);
+
+      assert.equal(redacted.name, 'TypeError');
+      assert.equal(redacted.message, 'Failed for j***@example.com');
+      assert.ok(!redacted.stack.includes('jane@example.com'));
+    });
+
+    it('marks circular references and stops at the maximum depth', () => {
+      const circular = { id: 1 };
+      circular.self = circular;
+      assert.deepEqual(redact(circular), { id: 1, self: '[Circular]' });
+
+      let deep = { value: 'bottom' };
+      for (let i = 0; i < 10; i++) {
+        deep = { child: deep };
+      }
+      assert.match(JSON.stringify(redact(deep)), /\[Truncated\]/);
+    });
+
+    it('describes values that are not plain data', () => {
+      assert.equal(redact(Buffer.from('secret')), '[Buffer 6 bytes]');
+      assert.equal(redact(new Date('2025-05-14T14:30:00Z')), '2025-05-14T14:30:00.000Z');
+      assert.equal(redact({ socket: new (class Socket {})() }).socket, '[Socket]');
+    });
+  });
+
+  describe('redactText', () => {
+    it('redacts phone numbers, emails and tokens in free text', () => {
+      assert.equal(redactText('Call +1 415 555 0123 or +44 20 7183 8750'), 'Call +14XXXXX0123 or +44XXXXXX8750');
+      assert.doesNotMatch(redactText('Call (415) 555-0123'), /555-0123/);
+      assert.equal(redactText('Mail jane@example.com'), 'Mail j***@example.com');
+      assert.equal(redactText('Authorization: Bearer abcdefgh12345678'), `Authorization: Bearer ${REDACTED}`);
+      assert.equal(redactText('GET /hook?token=abc123&page=2'), `GET /hook?token=${REDACTED}&page=2`);
+    });
+
+    it('redacts secrets set in the environment', () => {
+      process.env.METRICS_TOKEN = 'metrics-secret-value';
+      assert.equal(redactText('token is metrics-secret-value'), `token is ${REDACTED}`);
+    });
+
+    it('returns empty and non-string values unchanged', () => {
+      assert.equal(redactText(''), '');
+      assert.equal(redactText(null), null);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+// test/server.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+describe('CORS', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  it('allows every method the API routes use in preflight requests', async () => {
+    for (const method of ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']) {
+      const response = await fetch(`${app.baseUrl}/api/elevenlabs/agents/agent_acme`, {
+        method: 'OPTIONS',
+        headers: {
+          Origin: 'https://admin.example.com',
+          'Access-Control-Request-Method': method,
+          'Access-Control-Request-Headers': 'content-type,x-api-key'
+        }
+      });
+
+      assert.equal(response.status, 204);
+      assert.ok(response.headers.get('access-control-allow-methods').split(',').includes(method), method);
+    }
+  });
+});
@@ -0,0 +1,51 @@
+// test/sms-segments.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { countSegments } = require('../src/utils/sms-segments');
+
+describe('countSegments', () => {
+  it('counts an empty message as no segments', () => {
+    assert.deepEqual(countSegments(''), {
+      encoding: 'GSM-7',
+      length: 0,
+      segments: 0,
+      perSegment: 160,
+      remaining: 160,
+      unicodeCharacters: []
+    });
+  });
+
+  it('fits 160 GSM-7 characters in one segment', () => {
+    const result = countSegments('a'.repeat(160));
+    assert.equal(result.encoding, 'GSM-7');
+    assert.equal(result.segments, 1);
+    assert.equal(result.remaining, 0);
+  });
+
+  it('splits longer GSM-7 messages into 153-character segments', () => {
+    const result = countSegments('a'.repeat(161));
+    assert.equal(result.segments, 2);
+    assert.equal(result.perSegment, 153);
+    assert.equal(result.remaining, 145);
+  });
+
+  it('counts extension characters as two', () => {
+    const result = countSegments('Price: 10€ {net}');
+    assert.equal(result.encoding, 'GSM-7');
+    assert.equal(result.length, 19);
+  });
+
+  it('switches to UCS-2 for other characters and lists them', () => {
+    const result = countSegments('Thanks! 😊 See you “soon”');
+    assert.equal(result.encoding, 'UCS-2');
+    assert.equal(result.perSegment, 70);
+    assert.deepEqual(result.unicodeCharacters, ['😊', '“', '”']);
+  });
+
+  it('counts UCS-2 length in UTF-16 code units', () => {
+    const result = countSegments('😊'.repeat(36));
+    assert.equal(result.length, 72);
+    assert.equal(result.segments, 2);
+    assert.equal(result.perSegment, 67);
+  });
+});
@@ -0,0 +1,90 @@
+// test/smsTemplateService.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const smsTemplateService = require('../src/services/smsTemplateService');
+
+const INTRO = 'https://api.calendly.com/event_types/INTRO';
+
+const booking = {
+  name: 'Alex Morgan',
+  eventTime: 'Tuesday at 2:30 PM',
+  eventDuration: 30,
+  eventName: 'Intro Call',
+  schedulingUrl: 'https://calendly.com/acme/intro'
+};
+
+/**
+ * Saves a template and fails the test if it is rejected.
+ *
+ * @param {Object} input - Template fields
+ * @returns {Object} Template
+ */
+function save(input) {
+  const { template, error } = smsTemplateService.createTemplate(input);
+  assert.equal(error, undefined);
+  return template;
+}
+
+describe('smsTemplateService', () => {
+  afterEach(() => smsTemplateService.listTemplates()
+    .filter(template => !template.builtIn)
+    .forEach(template => smsTemplateService.deleteTemplate(template.id)));
+
+  it('uses the built-in template when no saved template matches', () => {
+    save({ name: 'Acme only', body: 'Acme: {{scheduling_url}}', tenantId: 'acme' });
+
+    const sms = smsTemplateService.renderBookingSms(booking, { tenantId: 'other' });
+
+    assert.equal(sms.template.id, 'default');
+    assert.equal(sms.text, 'Thank you Alex Morgan for booking a 30-minute Intro Call for Tuesday at 2:30 PM. ' +
+      'Please confirm your booking here: https://calendly.com/acme/intro');
+    assert.equal(sms.segments.segments, 1);
+  });
+
+  it('prefers the event type\'s template over the tenant\'s, and the tenant\'s over the language\'s', () => {
+    const byLanguage = save({ name: 'English', body: 'EN {{scheduling_url}}', language: 'en' });
+    const byTenant = save({ name: 'Acme', body: 'Acme {{scheduling_url}}', tenantId: 'acme' });
+    const byEventType = save({ name: 'Intro', body: 'Intro {{scheduling_url}}', eventTypeUrl: INTRO });
+
+    const select = message => smsTemplateService.selectTemplate(message).id;
+
+    assert.equal(select({ eventTypeUrl: INTRO, tenantId: 'acme', language: 'en' }), byEventType.id);
+    assert.equal(select({ tenantId: 'acme', language: 'en' }), byTenant.id);
+    assert.equal(select({ tenantId: 'other', language: 'en' }), byLanguage.id);
+    assert.equal(select({ tenantId: 'other' }), 'default');
+  });
+
+  it('uses the newest of equally specific templates', () => {
+    save({ name: 'Older', body: 'Older {{scheduling_url}}', tenantId: 'acme' });
+    const newer = save({ name: 'Newer', body: 'Newer {{scheduling_url}}', tenantId: 'acme' });
+    // Both can be saved within the same millisecond
+    newer.updatedAt = new Date(Date.now() + 1000).toISOString();
+
+    assert.equal(smsTemplateService.selectTemplate({ tenantId: 'acme' }).id, newer.id);
+  });
+
+  it('rejects templates the booking SMS can\'t fill in', () => {
+    const cases = [
+      [{ name: 'Typo', body: 'Hi {{nmae}}' }, 'Unknown variable: {{nmae}}'],
+      [{ name: 'Partial', body: '{{> footer}}' }, 'Invalid template: Partials aren\'t supported in SMS templates ("{{> footer}}")'],
+      [{ name: 'default', body: 'Hi' }, 'A template named "default" already exists'],
+      [{ name: 'Long', body: 'x'.repeat(1601) }, 'A template can be at most 1600 characters'],
+      [{ name: 'Klingon', body: 'Hi', language: 'tlh' }, 'Unknown language: tlh']
+    ];
+
+    for (const [input, error] of cases) {
+      assert.deepEqual(smsTemplateService.createTemplate(input), { error });
+    }
+  });
+
+  it('clears a template\'s tenant when updated with null, so it applies to every tenant', () => {
+    const template = save({ name: 'Acme', body: 'Acme {{scheduling_url}}', tenantId: 'acme' });
+
+    const { template: updated } = smsTemplateService.updateTemplate(template.id, { tenantId: null });
+
+    assert.equal(updated.tenantId, null);
+    assert.equal(updated.body, template.body);
+    assert.equal(smsTemplateService.selectTemplate({ tenantId: 'other' }).id, template.id);
+  });
+});
@@ -0,0 +1,86 @@
+// test/tenants.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubHttp, startApp, callTool } = require('./helpers');
+const tenants = require('../src/config/tenants');
+const agentRegistry = require('../src/services/agentRegistry');
+
+describe('findTenant', () => {
+  it('matches a configured agent id', () => {
+    assert.equal(tenants.findTenant({ agentId: 'agent_acme' }).id, 'acme');
+  });
+
+  it('matches the called number however it is formatted', () => {
+    assert.equal(tenants.findTenant({ calledNumber: '+1 415 555 0100' }).id, 'acme');
+    assert.equal(tenants.findTenant({ calledNumber: '+1 (415) 555-0100' }).id, 'acme');
+  });
+
+  it('matches agents created for a tenant', () => {
+    agentRegistry.recordAgent({ agentId: 'agent_created', agentName: 'Acme Front Desk', tenantId: 'acme' });
+    assert.equal(tenants.findTenant({ agentId: 'agent_created' }).id, 'acme');
+  });
+
+  it('falls through to the called number for default-tenant agents', () => {
+    agentRegistry.recordAgent({ agentId: 'agent_default', agentName: 'Front Desk', tenantId: 'default' });
+    assert.equal(tenants.findTenant({ agentId: 'agent_default', calledNumber: '+14155550100' }).id, 'acme');
+  });
+
+  it('matches nothing for unknown agents and numbers', () => {
+    assert.equal(tenants.findTenant({ agentId: 'agent_unknown', calledNumber: '+14155559999' }), null);
+  });
+
+  it('fills in what a tenant leaves out from the server\'s settings', () => {
+    const acme = tenants.getTenant('acme');
+    assert.equal(acme.calendly.apiToken, 'test-acme-calendly-token');
+    assert.deepEqual(acme.sms, tenants.getDefaultTenant().sms);
+    assert.equal(tenants.isMultiTenant(), true);
+  });
+});
+
+describe('tenant resolution for tool calls', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  /**
+   * Calls findMyBookings and returns the Calendly token the lookup used.
+   *
+   * @param {Object} callKeys - Top-level request fields (agent_id, called_number, tenantId)
+   * @returns {Promise<Object>} { status, token }
+   */
+  async function calendlyTokenFor(callKeys) {
+    const requests = stubHttp(({ url }) => url.endsWith('/users/me')
+      ? { data: { resource: { uri: 'https://api.calendly.com/users/U1' } } }
+      : { data: { collection: [], pagination: {} } });
+
+    const { status } = await callTool(app.baseUrl, 'findMyBookings', { callerNumber: '+14155550123' }, callKeys);
+    return { status, token: requests[0]?.headers.Authorization };
+  }
+
+  it('uses the Calendly account of the tenant that owns the agent', async () => {
+    assert.deepEqual(await calendlyTokenFor({ agent_id: 'agent_acme' }), {
+      status: 200,
+      token: 'Bearer test-acme-calendly-token'
+    });
+  });
+
+  it('uses the tenant whose number was called', async () => {
+    const { token } = await calendlyTokenFor({ called_number: '+14155550100' });
+    assert.equal(token, 'Bearer test-acme-calendly-token');
+  });
+
+  it('uses the default tenant for calls that match no tenant', async () => {
+    const { token } = await calendlyTokenFor({ agent_id: 'agent_unknown', called_number: '+14155559999' });
+    assert.equal(token, 'Bearer test-calendly-token');
+  });
+
+  it('rejects an unknown explicit tenant', async () => {
+    const { status, token } = await calendlyTokenFor({ tenantId: 'nobody' });
+    assert.equal(status, 404);
+    assert.equal(token, undefined);
+  });
+});
@@ -0,0 +1,51 @@
+// test/text-diff.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines, formatUnifiedDiff } = require('../src/utils/text-diff');
+
+describe('text-diff', () => {
+  describe('diffLines', () => {
+    it('marks identical texts as unchanged', () => {
+      assert.deepEqual(diffLines('a\nb', 'a\nb'), [
+        { type: 'same', line: 1, text: 'a' },
+        { type: 'same', line: 2, text: 'b' }
+      ]);
+    });
+
+    it('finds added and removed lines', () => {
+      assert.deepEqual(diffLines('a\nb\nc', 'a\nc\nd'), [
+        { type: 'same', line: 1, text: 'a' },
+        { type: 'removed', line: 2, text: 'b' },
+        { type: 'same', line: 2, text: 'c' },
+        { type: 'added', line: 3, text: 'd' }
+      ]);
+    });
+
+    it('lists a changed line as removed, then added', () => {
+      assert.deepEqual(diffLines('hello', 'goodbye'), [
+        { type: 'removed', line: 1, text: 'hello' },
+        { type: 'added', line: 1, text: 'goodbye' }
+      ]);
+    });
+  });
+
+  describe('formatUnifiedDiff', () => {
+    it('prefixes lines by their change', () => {
+      assert.equal(formatUnifiedDiff(diffLines('a\nb', 'a\nc')), '  a\n- b\n+ c');
+    });
+
+    it('keeps context lines around changes and elides the rest', () => {
+      const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9'].join('\n');
+      const after = ['1', 'two', '3', '4', '5', '6', '7', 'eight', '9'].join('\n');
+
+      assert.equal(
+        formatUnifiedDiff(diffLines(before, after), 1),
+        '  1\n- 2\n+ two\n  3\n...\n  7\n- 8\n+ eight\n  9'
+      );
+    });
+
+    it('returns nothing when there are no changes', () => {
+      assert.equal(formatUnifiedDiff(diffLines('a\nb', 'a\nb')), '');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// test/time-utils.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const timeUtils = require('../src/utils/time-utils');
+
+describe('time-utils', () => {
+  describe('detectTimeZone', () => {
+    it('detects the time zone from the caller\'s country', () => {
+      assert.equal(timeUtils.detectTimeZone('+14155550123'), 'America/New_York');
+      assert.equal(timeUtils.detectTimeZone('+442071838750'), 'Europe/London');
+      assert.equal(timeUtils.detectTimeZone('+34612345678'), 'Europe/Madrid');
+    });
+  });
+
+  describe('resolveTimeZone', () => {
+    it('prefers a valid requested time zone', () => {
+      assert.equal(timeUtils.resolveTimeZone('Asia/Tokyo', '+14155550123'), 'Asia/Tokyo');
+      assert.equal(timeUtils.resolveTimeZone('Not/AZone', '+14155550123'), 'America/New_York');
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    it('accepts IANA identifiers only', () => {
+      assert.equal(timeUtils.isValidTimeZone('Europe/Berlin'), true);
+      assert.equal(timeUtils.isValidTimeZone('Mars/Olympus'), false);
+      assert.equal(timeUtils.isValidTimeZone(''), false);
+    });
+  });
+
+  describe('formatDateTime', () => {
+    it('formats in the caller\'s time zone', () => {
+      const result = timeUtils.formatDateTime(new Date('2025-05-14T18:30:00Z'), '+14155550123');
+      assert.deepEqual(result, {
+        date: 'Wednesday, May 14, 2025',
+        time: '2:30 PM',
+        timeZone: 'America/New_York',
+        locale: 'en-US'
+      });
+    });
+
+    it('formats in a given locale', () => {
+      const result = timeUtils.formatDateTime(new Date('2025-05-14T18:30:00Z'), '+14155550123', 'es-US');
+      assert.equal(result.locale, 'es-US');
+      assert.match(result.date, /^miércoles/);
+    });
+
+    it('uses a 24-hour clock where the locale does', () => {
+      const result = timeUtils.formatDateTime(new Date('2025-05-14T18:30:00Z'), '+34612345678', 'es-ES');
+      assert.equal(result.time, '20:30');
+      assert.equal(result.timeZone, 'Europe/Madrid');
+    });
+  });
+
+  describe('getZonedParts', () => {
+    it('gives the calendar and clock parts in a time zone', () => {
+      assert.deepEqual(timeUtils.getZonedParts(new Date('2025-05-15T02:30:00Z'), 'America/New_York'), {
+        year: 2025, month: 5, day: 14, hour: 22, minute: 30, second: 0, weekday: 3
+      });
+    });
+  });
+
+  describe('zonedTimeToDate', () => {
+    it('finds the instant of a wall-clock time', () => {
+      const date = timeUtils.zonedTimeToDate({ year: 2025, month: 5, day: 14, hour: 9 }, 'America/New_York');
+      assert.equal(date.toISOString(), '2025-05-14T13:00:00.000Z');
+    });
+
+    it('follows daylight saving time', () => {
+      const winter = timeUtils.zonedTimeToDate({ year: 2025, month: 1, day: 14, hour: 9 }, 'Europe/London');
+      const summer = timeUtils.zonedTimeToDate({ year: 2025, month: 7, day: 14, hour: 9 }, 'Europe/London');
+      assert.equal(winter.toISOString(), '2025-01-14T09:00:00.000Z');
+      assert.equal(summer.toISOString(), '2025-07-14T08:00:00.000Z');
+    });
+  });
+
+  describe('getTimeZoneOffset', () => {
+    it('gives the offset from UTC in milliseconds', () => {
+      assert.equal(timeUtils.getTimeZoneOffset(new Date('2025-07-01T12:00:00Z'), 'America/New_York'), -4 * 60 * 60 * 1000);
+      assert.equal(timeUtils.getTimeZoneOffset(new Date('2025-01-01T12:00:00Z'), 'America/New_York'), -5 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('addCalendarDays', () => {
+    it('rolls over months and years', () => {
+      assert.deepEqual(timeUtils.addCalendarDays({ year: 2025, month: 12, day: 30 }, 3), { year: 2026, month: 1, day: 2, weekday: 5 });
+      assert.deepEqual(timeUtils.addCalendarDays({ year: 2024, month: 3, day: 1 }, -1), { year: 2024, month: 2, day: 29, weekday: 4 });
+    });
+  });
+
+  describe('parseTimeOfDay', () => {
+    it('reads "HH:MM" and hour numbers as minutes since midnight', () => {
+      assert.equal(timeUtils.parseTimeOfDay('13:30'), 810);
+      assert.equal(timeUtils.parseTimeOfDay('9'), 540);
+      assert.equal(timeUtils.parseTimeOfDay(11.5), 690);
+    });
+
+    it('rejects times that are not on the clock', () => {
+      assert.throws(() => timeUtils.parseTimeOfDay('25:00'), /Invalid time of day/);
+      assert.throws(() => timeUtils.parseTimeOfDay('10:75'), /Invalid time of day/);
+      assert.throws(() => timeUtils.parseTimeOfDay(-1), /Invalid time of day/);
+      assert.throws(() => timeUtils.parseTimeOfDay('noon'), /Invalid time of day/);
+    });
+  });
+
+  describe('formatTimeOfDay', () => {
+    it('formats minutes since midnight in a locale', () => {
+      assert.equal(timeUtils.formatTimeOfDay(510), '8:30 AM');
+      assert.equal(timeUtils.formatTimeOfDay(1020, 'de-DE'), '17:00');
+    });
+  });
+
+  describe('formatCalendarDate and getZonedDateString', () => {
+    it('format dates as YYYY-MM-DD', () => {
+      assert.equal(timeUtils.formatCalendarDate({ year: 2025, month: 5, day: 4 }), '2025-05-04');
+      assert.equal(timeUtils.getZonedDateString(new Date('2025-05-15T02:30:00Z'), 'America/New_York'), '2025-05-14');
+      assert.equal(timeUtils.getZonedDateString(new Date('2025-05-15T02:30:00Z'), 'Asia/Tokyo'), '2025-05-15');
+    });
+  });
+});